@@ -1,6 +1,11 @@
+/* global importScripts, getAllEmojis, getEmojiNames, countEmojis, putEmojis, deleteEmojis, replaceAllEmojis, updateWorkspace, removeWorkspace */
 // MV3 service worker: fetch and sample emoji colors without page CORS limitations
 
+importScripts('emoji-db.js');
+
 const SAMPLE_SIZE = 24;
+const THUMBNAIL_SIZE = 4; // Spatial descriptor: THUMBNAIL_SIZE × THUMBNAIL_SIZE OKLab cells
+const THUMBNAIL_AB_RANGE = 0.4; // OKLab a/b are stored as bytes over [-range, range]
 
 // In-memory cache (clears when service worker restarts, but still helps a lot during a resync)
 const memCache = new Map();
@@ -87,7 +92,59 @@ function computeFromImageData(imageData) {
     ? { r: Math.round(ar / accentWeight), g: Math.round(ag / accentWeight), b: Math.round(ab / accentWeight) }
     : avg;
 
-  return { color: avg, accentColor: accent, variance, colorProfile: colorProfileFromPixels(data, count, centerWeights) };
+  return {
+    color: avg,
+    accentColor: accent,
+    variance,
+    colorProfile: colorProfileFromPixels(data, count, centerWeights),
+    thumbnail: thumbnailFromPixels(data)
+  };
+}
+
+function srgb8ToLinear(c) {
+  const v = c / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function linearToOklab(r, g, b) {
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  return {
+    L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  };
+}
+
+// Spatial layout descriptor: average each block of the sample in linear RGB and store it as OKLab,
+// row-major, 3 bytes per cell (L, a, b), base64-encoded to keep the cached record small
+function thumbnailFromPixels(data) {
+  const block = SAMPLE_SIZE / THUMBNAIL_SIZE;
+  const bytes = new Uint8Array(THUMBNAIL_SIZE * THUMBNAIL_SIZE * 3);
+  const toByte = (v, min, max) => Math.max(0, Math.min(255, Math.round(((v - min) / (max - min)) * 255)));
+
+  for (let ty = 0; ty < THUMBNAIL_SIZE; ty++) {
+    for (let tx = 0; tx < THUMBNAIL_SIZE; tx++) {
+      let r = 0, g = 0, b = 0;
+      for (let y = ty * block; y < (ty + 1) * block; y++) {
+        for (let x = tx * block; x < (tx + 1) * block; x++) {
+          const off = (y * SAMPLE_SIZE + x) * 4;
+          r += srgb8ToLinear(data[off]);
+          g += srgb8ToLinear(data[off + 1]);
+          b += srgb8ToLinear(data[off + 2]);
+        }
+      }
+      const n = block * block;
+      const lab = linearToOklab(r / n, g / n, b / n);
+      const i = (ty * THUMBNAIL_SIZE + tx) * 3;
+      bytes[i] = toByte(lab.L, 0, 1);
+      bytes[i + 1] = toByte(lab.a, -THUMBNAIL_AB_RANGE, THUMBNAIL_AB_RANGE);
+      bytes[i + 2] = toByte(lab.b, -THUMBNAIL_AB_RANGE, THUMBNAIL_AB_RANGE);
+    }
+  }
+
+  return btoa(String.fromCharCode(...bytes));
 }
 
 // Adaptive k-means to extract dominant colors from sampled pixels
@@ -237,9 +294,9 @@ async function sampleEmojiColor(url) {
     }
 
     const imageData = ctx.getImageData(0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
-    const { color, accentColor, variance, colorProfile } = computeFromImageData(imageData);
+    const { color, accentColor, variance, colorProfile, thumbnail } = computeFromImageData(imageData);
 
-    const result = { color, accentColor, variance, colorProfile, colorError: false };
+    const result = { color, accentColor, variance, colorProfile, thumbnail, colorError: false };
     memCache.set(url, result);
     return result;
   } catch (err) {
@@ -257,6 +314,39 @@ async function sampleEmojiColor(url) {
   }
 }
 
+// Fetch an emoji image as a data: URL. Extension pages draw these without tainting their canvas,
+// which a direct cross-origin <img> would do. Returns null when the image cannot be fetched.
+async function fetchImageDataUrl(url) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 10000);
+
+  try {
+    const response = await fetch(url, {
+      method: 'GET',
+      credentials: 'include',
+      cache: 'force-cache',
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const type = response.headers.get('content-type') || 'image/png';
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    // btoa needs a binary string; build it in chunks to stay under the argument limit
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${type};base64,${btoa(binary)}`;
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request && request.action === 'sampleEmojiColors' && Array.isArray(request.urls)) {
     // Process in chunks of 20 to avoid overwhelming the service worker
@@ -280,5 +370,34 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  if (request && request.action === 'fetchEmojiImages' && Array.isArray(request.urls)) {
+    Promise.all(request.urls.map(url => fetchImageDataUrl(url))).then(sendResponse);
+    return true;
+  }
+
+  // Emoji cache access for the content script, which cannot open the extension's IndexedDB, and
+  // workspace writes from the popup (see emoji-db.js). Every operation but `getAll` (null = all
+  // workspaces) needs the workspace id.
+  if (request && request.action === 'emojiCache') {
+    const workspace = request.workspace ?? null;
+    if (workspace === null && request.op !== 'getAll') return false;
+    const operations = {
+      getAll: () => getAllEmojis(workspace),
+      getNames: () => getEmojiNames(workspace),
+      count: () => countEmojis(workspace),
+      put: () => putEmojis(workspace, request.emojis || []),
+      delete: () => deleteEmojis(workspace, request.names || []),
+      replace: () => replaceAllEmojis(workspace, request.emojis || []),
+      updateWorkspace: () => updateWorkspace(workspace, request.fields || {}),
+      removeWorkspace: () => removeWorkspace(workspace)
+    };
+    const operation = operations[request.op];
+    if (!operation) return false;
+    operation()
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => sendResponse({ success: false, error: String(error && error.message ? error.message : error) }));
+    return true;
+  }
+
   return false;
 });
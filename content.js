@@ -58,7 +58,7 @@
   // Track if extraction is in progress to prevent duplicate runs
   let extractionInProgress = false;
 
-  const COLOR_SAMPLER_VERSION = 6;
+  const COLOR_SAMPLER_VERSION = 7;
 
   // Send progress update to popup and persist to storage
   let contextInvalidated = false;
@@ -105,6 +105,77 @@
     return fetch(url, options);
   }
 
+  // Record an alias under the emoji it points to
+  function addAlias(aliasesByTarget, alias, target) {
+    if (!alias || !target || alias === target) return;
+    if (!aliasesByTarget.has(target)) {
+      aliasesByTarget.set(target, []);
+    }
+    const list = aliasesByTarget.get(target);
+    if (!list.includes(alias)) {
+      list.push(alias);
+    }
+  }
+
+  // Collect aliases from emoji.adminList entries ({ name, url, is_alias, alias_for })
+  function collectAdminListAliases(entries) {
+    const aliasesByTarget = new Map();
+    for (const emoji of entries) {
+      if (!emoji.name) continue;
+      if (emoji.alias_for) {
+        addAlias(aliasesByTarget, emoji.name, emoji.alias_for);
+      } else if (typeof emoji.url === 'string' && emoji.url.startsWith('alias:')) {
+        addAlias(aliasesByTarget, emoji.name, emoji.url.slice('alias:'.length));
+      }
+    }
+    return aliasesByTarget;
+  }
+
+  function isAdminListAlias(emoji) {
+    return Boolean(emoji.is_alias || emoji.alias_for) || emoji.url.startsWith('alias:');
+  }
+
+  let workspaceInfo = null;
+
+  // Identify the workspace this page belongs to. Caches are keyed by team ID and domain, so the
+  // workspaces of an Enterprise Grid org (several teams, one org) each get their own cache.
+  function getWorkspaceInfo() {
+    if (workspaceInfo) return workspaceInfo;
+
+    const bootData = (typeof boot_data !== 'undefined' && boot_data) || window.boot_data || {};
+    let teamId = bootData.team_id || null;
+    let enterpriseId = bootData.enterprise_id || null;
+    if (!teamId || !enterpriseId) {
+      for (const script of document.querySelectorAll('script:not([src])')) {
+        const content = script.textContent;
+        teamId = teamId || (content.match(/"team_id"\s*:\s*"(T[A-Z0-9]+)"/) || [])[1] || null;
+        enterpriseId = enterpriseId || (content.match(/"enterprise_id"\s*:\s*"(E[A-Z0-9]+)"/) || [])[1] || null;
+        if (teamId && enterpriseId) break;
+      }
+    }
+
+    const domain = window.location.hostname;
+    workspaceInfo = {
+      id: teamId ? `${teamId}:${domain}` : domain,
+      name: bootData.team_name || domain.replace(/\.slack\.com$/, ''),
+      domain,
+      teamId,
+      enterpriseId
+    };
+    return workspaceInfo;
+  }
+
+  // The emoji cache lives in the extension's IndexedDB, which this page-origin script cannot open;
+  // the background worker runs the operation (getAll, getNames, count, put, delete, replace,
+  // updateWorkspace) for us, on this page's workspace unless `payload.workspace` says otherwise
+  async function emojiCacheRequest(op, payload = {}) {
+    const response = await chrome.runtime.sendMessage({ action: 'emojiCache', op, workspace: getWorkspaceInfo().id, ...payload });
+    if (!response || !response.success) {
+      throw new Error(response ? response.error : 'No response from the emoji cache');
+    }
+    return response.result;
+  }
+
   // Function to extract emojis via Slack API (preferred method)
   async function extractEmojisViaApi() {
     const token = getSlackApiToken();
@@ -200,18 +271,23 @@
         }
       }
       
-      // Convert to our format and deduplicate
+      // Convert to our format and deduplicate; aliases are attached to the emoji they point to
       sendProgressUpdate('Processing emojis...', 65, 'Removing duplicates...');
+      const aliasesByTarget = collectAdminListAliases(allEmojis);
       const seenNames = new Set();
       const result = [];
       
       for (const emoji of allEmojis) {
-        if (emoji.name && emoji.url && !emoji.url.startsWith('alias:') && !seenNames.has(emoji.name)) {
+        if (emoji.name && emoji.url && !isAdminListAlias(emoji) && !seenNames.has(emoji.name)) {
           seenNames.add(emoji.name);
-          result.push({
+          const entry = {
             name: emoji.name,
             url: emoji.url
-          });
+          };
+          if (aliasesByTarget.has(emoji.name)) {
+            entry.aliases = aliasesByTarget.get(emoji.name);
+          }
+          result.push(entry);
         }
       }
       
@@ -248,14 +324,25 @@
       
       const emojis = [];
       const emojiData = data.emoji || {};
+      const aliasesByTarget = new Map();
+
+      // Aliases are listed as "alias:<target>"; record them on their target emoji
+      for (const [name, url] of Object.entries(emojiData)) {
+        if (typeof url === 'string' && url.startsWith('alias:')) {
+          addAlias(aliasesByTarget, name, url.slice('alias:'.length));
+        }
+      }
       
       for (const [name, url] of Object.entries(emojiData)) {
-        // Skip aliases (they start with "alias:")
         if (typeof url === 'string' && !url.startsWith('alias:')) {
-          emojis.push({
+          const entry = {
             name: name,
             url: url
-          });
+          };
+          if (aliasesByTarget.has(name)) {
+            entry.aliases = aliasesByTarget.get(name);
+          }
+          emojis.push(entry);
         }
       }
       
@@ -407,6 +494,7 @@
           accentColor: response.accentColor || response.color || { r: 128, g: 128, b: 128 },
           variance: typeof response.variance === 'number' ? response.variance : 999,
           colorProfile: Array.isArray(response.colorProfile) ? response.colorProfile : undefined,
+          thumbnail: typeof response.thumbnail === 'string' ? response.thumbnail : undefined,
           colorError: Boolean(response.colorError)
         })));
         });
@@ -439,6 +527,8 @@
               accentColor: cached.accentColor || cached.color,
               variance: typeof cached.variance === 'number' ? cached.variance : 999,
               colorProfile: Array.isArray(cached.colorProfile) ? cached.colorProfile : undefined,
+              cp: !Array.isArray(cached.colorProfile) && Array.isArray(cached.cp) ? cached.cp : undefined, // Migrated caches
+              thumbnail: typeof cached.thumbnail === 'string' ? cached.thumbnail : undefined,
               colorError: false
             };
             continue;
@@ -485,15 +575,40 @@
     const allEmojis = await extractEmojisViaEmojiList(baseUrl, token);
     if (!allEmojis || allEmojis.length === 0) return null;
 
-    const cached = await chrome.storage.local.get(['slackEmojis']);
-    const cachedNames = new Set((cached.slackEmojis || []).map(e => e.name));
+    const cachedNames = new Set(await emojiCacheRequest('getNames'));
     const newEmojis = allEmojis.filter(e => !cachedNames.has(e.name));
 
+    const aliasesByTarget = new Map();
+    for (const emoji of allEmojis) {
+      if (emoji.aliases) aliasesByTarget.set(emoji.name, emoji.aliases);
+    }
+
     console.log(`Delta via emoji.list: ${newEmojis.length} new emojis (out of ${allEmojis.length} total)`);
-    return newEmojis;
+    return { newEmojis, aliasesByTarget, complete: true };
   }
 
-  // Delta extraction: fetch all emojis via API but return only those created after lastSyncDate
+  // Refresh the alias lists of already-cached emojis; returns the names whose aliases changed.
+  // With `addOnly` (the listing missed some pages) aliases are only added, since an alias missing
+  // from the listing may just sit on a skipped page.
+  function mergeAliases(existing, aliasesByTarget, addOnly = false) {
+    const changed = {};
+    const merged = existing.map(e => {
+      const current = e.aliases || [];
+      const fetched = aliasesByTarget.get(e.name) || [];
+      const aliases = addOnly ? [...current, ...fetched.filter(a => !current.includes(a))] : fetched;
+      if (aliases.length === current.length && aliases.every(a => current.includes(a))) {
+        return e;
+      }
+      changed[e.name] = aliases;
+      const updated = { ...e, aliases };
+      if (aliases.length === 0) delete updated.aliases;
+      return updated;
+    });
+    return { merged, changed };
+  }
+
+  // Delta extraction: fetch all emojis via API but return only those created after lastSyncDate.
+  // `complete` is false when some pages could not be fetched.
   async function deltaExtractEmojisViaApi(lastSyncDate) {
     const token = getSlackApiToken();
 
@@ -511,6 +626,7 @@
     try {
       let allEmojis = [];
       let page = 1;
+      let complete = true;
       const count = 500;
 
       sendProgressUpdate('Fetching emoji list...', 15, 'Getting first page...');
@@ -555,6 +671,7 @@
 
           if (!response.ok) {
             console.warn(`Delta page ${page} request failed: ${response.status}, skipping...`);
+            complete = false;
             continue;
           }
 
@@ -562,6 +679,7 @@
 
           if (!data.ok) {
             console.warn(`Delta page ${page} API error: ${data.error}, skipping...`);
+            complete = false;
             continue;
           }
 
@@ -576,30 +694,36 @@
             await new Promise(resolve => setTimeout(resolve, 100));
           }
         } catch (pageError) {
+          complete = false;
           if (isContextInvalidated(pageError)) { contextInvalidated = true; console.warn('Extension context invalidated, aborting delta extraction.'); break; }
           console.warn(`Error fetching delta page ${page}:`, pageError.message, '- continuing...');
         }
       }
 
-      // Filter to only emojis created after the cutoff, deduplicate, and convert to {name, url}
+      // Filter to only emojis created after the cutoff, deduplicate, and convert to {name, url, aliases}
       sendProgressUpdate('Filtering new emojis...', 65, 'Finding recently added emojis...');
+      const aliasesByTarget = collectAdminListAliases(allEmojis);
       const seenNames = new Set();
       const result = [];
 
       for (const emoji of allEmojis) {
-        if (emoji.name && emoji.url && !emoji.url.startsWith('alias:') && !seenNames.has(emoji.name)) {
+        if (emoji.name && emoji.url && !isAdminListAlias(emoji) && !seenNames.has(emoji.name)) {
           if (emoji.created > cutoffSeconds) {
             seenNames.add(emoji.name);
-            result.push({
+            const entry = {
               name: emoji.name,
               url: emoji.url
-            });
+            };
+            if (aliasesByTarget.has(emoji.name)) {
+              entry.aliases = aliasesByTarget.get(emoji.name);
+            }
+            result.push(entry);
           }
         }
       }
 
       console.log(`Delta extraction: ${result.length} new emojis (out of ${allEmojis.length} total)`);
-      return result;
+      return { newEmojis: result, aliasesByTarget, complete };
 
     } catch (error) {
       console.error('Delta API extraction failed:', error);
@@ -648,18 +772,18 @@
 
           // Build cache lookup for reuse (performance: avoid re-sampling unchanged emoji URLs)
           sendProgressUpdate('Preparing...', 67, `Building cache index for ${emojis.length.toLocaleString()} emojis...`);
+          // Samples are reused across workspaces: the same image URL gives the same colors
           const cachedByUrl = new Map();
           let cachedVersion = -1;
           try {
-            const cached = await chrome.storage.local.get(['slackEmojis', 'colorSamplerVersion']);
-            cachedVersion = typeof cached.colorSamplerVersion === 'number' ? cached.colorSamplerVersion : -1;
-            if (Array.isArray(cached.slackEmojis)) {
-              for (const e of cached.slackEmojis) {
-                if (e && typeof e.url === 'string') {
-                  cachedByUrl.set(e.url, e);
-                }
+            const { workspaces } = await chrome.storage.local.get(['workspaces']);
+            for (const e of await emojiCacheRequest('getAll', { workspace: null })) {
+              const sampledWith = workspaces && workspaces[e.workspace] ? workspaces[e.workspace].colorSamplerVersion : -1;
+              if (sampledWith === COLOR_SAMPLER_VERSION && typeof e.url === 'string') {
+                cachedByUrl.set(e.url, e);
               }
             }
+            cachedVersion = cachedByUrl.size > 0 ? COLOR_SAMPLER_VERSION : -1;
           } catch {
             // ignore
           }
@@ -673,41 +797,33 @@
             console.log(`Processing batch ${currentBatch}/${totalBatches} (${processedCount} emojis processed)`);
           }).then(emojisWithColors => ({ emojisWithColors, extractionMethod }));
         })
-        .then(({ emojisWithColors, extractionMethod }) => {
+        .then(async ({ emojisWithColors, extractionMethod }) => {
           sendProgressUpdate('Saving...', 98, 'Caching emojis for offline use...');
           
-          const slimEmojis = emojisWithColors.map(e => {
-            const slim = { name: e.name, url: e.url, color: e.color, accentColor: e.accentColor, variance: e.variance };
-            if (Array.isArray(e.colorProfile) && e.colorProfile.length > 0) {
-              slim.cp = e.colorProfile.slice(0, 2).map(c => [c.rgb.r, c.rgb.g, c.rgb.b, Math.round(c.weight * 100)]);
-            }
-            return slim;
-          });
-          
           try {
-            chrome.storage.local.set({ 
-              slackEmojis: slimEmojis,
+            await emojiCacheRequest('replace', { emojis: emojisWithColors });
+            await emojiCacheRequest('updateWorkspace', { fields: {
+              ...getWorkspaceInfo(),
               extractedAt: Date.now(),
               extractionMethod: extractionMethod,
-              colorSamplerVersion: COLOR_SAMPLER_VERSION
-            }, () => {
-              if (chrome.runtime.lastError) {
-                console.warn('Storage save warning:', chrome.runtime.lastError.message);
-              }
-              sendProgressUpdate('Complete!', 100, `${emojisWithColors.length.toLocaleString()} emojis ready to use!`);
-              extractionInProgress = false;
-              clearExtractionProgress();
-              try { sendResponse({ 
-                success: true, 
-                count: emojisWithColors.length,
-                emojis: emojisWithColors,
-                method: extractionMethod
-              }); } catch (e) { /* popup closed */ }
-            });
+              colorSamplerVersion: COLOR_SAMPLER_VERSION,
+              emojiCount: emojisWithColors.length
+            } });
           } catch (e) {
-            extractionInProgress = false;
-            clearExtractionProgress();
+            if (isContextInvalidated(e)) contextInvalidated = true;
+            console.warn('Cache save warning:', e.message);
           }
+
+          sendProgressUpdate('Complete!', 100, `${emojisWithColors.length.toLocaleString()} emojis ready to use!`);
+          extractionInProgress = false;
+          clearExtractionProgress();
+          try { sendResponse({ 
+            success: true, 
+            count: emojisWithColors.length,
+            emojis: emojisWithColors,
+            method: extractionMethod,
+            workspace: getWorkspaceInfo()
+          }); } catch (e) { /* popup closed */ }
         })
         .catch(error => {
           extractionInProgress = false;
@@ -727,16 +843,30 @@
       sendProgressUpdate('Starting delta sync...', 5, 'Looking for new emojis...');
 
       deltaExtractEmojisViaApi(request.lastSyncDate)
-        .then(async (newEmojis) => {
-          if (!newEmojis) {
+        .then(async (delta) => {
+          if (!delta) {
             throw new Error('Delta extraction failed. Could not connect to Slack API.');
           }
 
+          const { newEmojis, aliasesByTarget, complete } = delta;
+
+          // Aliases can be added to old emojis at any time, so refresh them for the whole cache
+          let aliasChanges = {};
+          try {
+            const { merged, changed } = mergeAliases(await emojiCacheRequest('getAll'), aliasesByTarget, !complete);
+            aliasChanges = changed;
+            if (Object.keys(changed).length > 0) {
+              await emojiCacheRequest('put', { emojis: merged.filter(e => Object.prototype.hasOwnProperty.call(changed, e.name)) });
+            }
+          } catch (e) {
+            if (isContextInvalidated(e)) contextInvalidated = true;
+          }
+
           if (newEmojis.length === 0) {
             extractionInProgress = false;
             clearExtractionProgress();
             sendProgressUpdate('Complete!', 100, 'No new emojis found.');
-            try { sendResponse({ success: true, newEmojis: [], count: 0 }); } catch (e) { /* popup closed */ }
+            try { sendResponse({ success: true, newEmojis: [], count: 0, aliases: aliasChanges, workspace: getWorkspaceInfo() }); } catch (e) { /* popup closed */ }
             return;
           }
 
@@ -746,19 +876,10 @@
             console.log(`Delta color batch ${currentBatch}/${totalBatches} (${processedCount} emojis processed)`);
           });
 
-          // Merge new emojis into storage so results persist even if popup is closed
+          // Add the new emojis to the cache so results persist even if popup is closed
           try {
-            const cached = await chrome.storage.local.get(['slackEmojis']);
-            const existing = cached.slackEmojis || [];
-            const slimNew = emojisWithColors.map(e => {
-              const slim = { name: e.name, url: e.url, color: e.color, accentColor: e.accentColor, variance: e.variance };
-              if (Array.isArray(e.colorProfile) && e.colorProfile.length > 0) {
-                slim.cp = e.colorProfile.slice(0, 2).map(c => [c.rgb.r, c.rgb.g, c.rgb.b, Math.round(c.weight * 100)]);
-              }
-              return slim;
-            });
-            const merged = existing.concat(slimNew);
-            await chrome.storage.local.set({ slackEmojis: merged, extractedAt: Date.now() });
+            await emojiCacheRequest('put', { emojis: emojisWithColors });
+            await emojiCacheRequest('updateWorkspace', { fields: { extractedAt: Date.now(), emojiCount: await emojiCacheRequest('count') } });
           } catch (e) {
             if (isContextInvalidated(e)) contextInvalidated = true;
           }
@@ -766,7 +887,7 @@
           sendProgressUpdate('Complete!', 100, `${emojisWithColors.length.toLocaleString()} new emojis ready!`);
           extractionInProgress = false;
           clearExtractionProgress();
-          try { sendResponse({ success: true, newEmojis: emojisWithColors, count: emojisWithColors.length }); } catch (e) { /* popup closed */ }
+          try { sendResponse({ success: true, newEmojis: emojisWithColors, count: emojisWithColors.length, aliases: aliasChanges, workspace: getWorkspaceInfo() }); } catch (e) { /* popup closed */ }
         })
         .catch(error => {
           extractionInProgress = false;
@@ -776,18 +897,21 @@
 
       return true;
     } else if (request.action === 'scanDeletedEmojis') {
-      const cachedNames = request.cachedNames || [];
-
       extractEmojisViaApi()
-        .then(apiEmojis => {
+        .then(async apiEmojis => {
           if (!apiEmojis) {
             throw new Error('Could not fetch current emoji list from API');
           }
 
           const currentNames = new Set(apiEmojis.map(e => e.name));
+          const cachedNames = await emojiCacheRequest('getNames');
           const deletedNames = cachedNames.filter(name => !currentNames.has(name));
+          if (deletedNames.length > 0) {
+            await emojiCacheRequest('delete', { names: deletedNames });
+            await emojiCacheRequest('updateWorkspace', { fields: { emojiCount: await emojiCacheRequest('count') } });
+          }
 
-          sendResponse({ success: true, deletedNames });
+          sendResponse({ success: true, deletedNames, workspace: getWorkspaceInfo() });
         })
         .catch(error => {
           sendResponse({ success: false, error: error.message });
@@ -798,11 +922,14 @@
       const emojiCountEl = document.querySelector('h4[data-qa="customize_emoji_count"]');
       if (emojiCountEl) {
         const parsed = parseInt(emojiCountEl.textContent.replace(/[^0-9]/g, ''), 10);
-        sendResponse({ totalCount: isNaN(parsed) ? null : parsed });
+        sendResponse({ totalCount: isNaN(parsed) ? null : parsed, workspace: getWorkspaceInfo() });
       } else {
-        sendResponse({ totalCount: null });
+        sendResponse({ totalCount: null, workspace: getWorkspaceInfo() });
       }
       return false;
+    } else if (request.action === 'getWorkspace') {
+      sendResponse(getWorkspaceInfo());
+      return false;
     }
   });
 
@@ -819,7 +946,7 @@
       clearInterval(countCheckInterval);
       const parsed = parseInt(emojiCountEl.textContent.replace(/[^0-9]/g, ''), 10);
       if (!isNaN(parsed)) {
-        try { chrome.runtime.sendMessage({ action: 'emojiCountCheck', totalCount: parsed }).catch(() => {}); } catch (e) { /* context invalidated */ }
+        try { chrome.runtime.sendMessage({ action: 'emojiCountCheck', totalCount: parsed, workspace: getWorkspaceInfo() }).catch(() => {}); } catch (e) { /* context invalidated */ }
       }
     } else if (countCheckAttempts >= 30) {
       clearInterval(countCheckInterval);
@@ -0,0 +1,231 @@
+/* exported getAllEmojis, getEmojiNames, countEmojis, putEmojis, deleteEmojis, replaceAllEmojis, deleteWorkspaceEmojis, getWorkspaces, updateWorkspace, removeWorkspace */
+/* global ServiceWorkerGlobalScope */
+// IndexedDB emoji cache shared by the background worker and the popup (both run on the extension's
+// origin; the content script reaches it through the background's `emojiCache` messages).
+// One record per emoji and workspace, keyed by [workspace, name] and indexed by workspace and URL,
+// holding the full sampled data. Per-workspace sync state lives in chrome.storage.local `workspaces`.
+// Every write of `workspaces` is a read-modify-write of that one key, so writes only run in the
+// background worker, which serializes them; other contexts send it an `emojiCache` message.
+
+const EMOJI_DB_NAME = 'slackEmojiCache';
+const EMOJI_DB_VERSION = 2;
+const EMOJI_STORE = 'emojis';
+const LEGACY_WORKSPACE_ID = 'legacy'; // Workspace of caches saved before workspaces were tracked
+
+// Fields kept in a record; anything else (e.g. the OKLab values prepareEmojiColors() attaches) is dropped
+const EMOJI_RECORD_FIELDS = ['name', 'url', 'color', 'accentColor', 'variance', 'colorProfile', 'cp', 'thumbnail', 'aliases', 'colorError', 'error'];
+
+let emojiDbPromise = null;
+let workspaceUpdates = Promise.resolve(); // Serializes read-modify-write updates of `workspaces`
+const IN_BACKGROUND = typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope;
+
+function toEmojiRecord(emoji, workspace) {
+  const record = { workspace };
+  for (const field of EMOJI_RECORD_FIELDS) {
+    if (emoji[field] !== undefined) record[field] = emoji[field];
+  }
+  if (Array.isArray(record.aliases) && record.aliases.length === 0) delete record.aliases;
+  return record;
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Emoji cache transaction aborted'));
+  });
+}
+
+function createEmojiStore(db) {
+  const store = db.createObjectStore(EMOJI_STORE, { keyPath: ['workspace', 'name'] });
+  store.createIndex('workspace', 'workspace', { unique: false });
+  store.createIndex('url', 'url', { unique: false });
+  return store;
+}
+
+// Open (and on first use create) the database, then move caches left by older versions into it.
+// Memoized: every caller shares one connection.
+function openEmojiDb() {
+  if (!emojiDbPromise) {
+    emojiDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(EMOJI_DB_NAME, EMOJI_DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          createEmojiStore(db);
+          return;
+        }
+        // Version 1 keyed records by name alone; they become the legacy workspace's cache
+        request.transaction.objectStore(EMOJI_STORE).getAll().onsuccess = (e) => {
+          db.deleteObjectStore(EMOJI_STORE);
+          const store = createEmojiStore(db);
+          for (const record of e.target.result) {
+            store.put({ ...record, workspace: LEGACY_WORKSPACE_ID });
+          }
+        };
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    })
+      .then(db => migrateLegacyEmojiCache(db).then(() => db))
+      .catch(error => {
+        emojiDbPromise = null;
+        throw error;
+      });
+  }
+  return emojiDbPromise;
+}
+
+// Older versions stored a slimmed array under `slackEmojis` and a single set of sync keys. Import
+// the array into the legacy workspace when it has no records yet, and turn the sync keys into its
+// `workspaces` entry.
+async function migrateLegacyEmojiCache(db) {
+  const legacy = await chrome.storage.local.get(['slackEmojis', 'extractedAt', 'extractionMethod', 'colorSamplerVersion']);
+
+  if (Array.isArray(legacy.slackEmojis)) {
+    const tx = db.transaction(EMOJI_STORE, 'readwrite');
+    const store = tx.objectStore(EMOJI_STORE);
+    const count = await requestToPromise(store.index('workspace').count(LEGACY_WORKSPACE_ID));
+    if (count === 0) {
+      for (const emoji of legacy.slackEmojis) {
+        if (emoji && typeof emoji.name === 'string') store.put(toEmojiRecord(emoji, LEGACY_WORKSPACE_ID));
+      }
+    }
+    await transactionDone(tx);
+  }
+
+  const emojiCount = await countEmojisIn(db, LEGACY_WORKSPACE_ID);
+  if (legacy.extractedAt !== undefined || emojiCount > 0) {
+    const workspaces = await readWorkspaces();
+    if (!workspaces[LEGACY_WORKSPACE_ID]) {
+      await updateWorkspace(LEGACY_WORKSPACE_ID, {
+        name: 'Previous cache',
+        extractedAt: legacy.extractedAt,
+        extractionMethod: legacy.extractionMethod,
+        colorSamplerVersion: legacy.colorSamplerVersion,
+        emojiCount
+      });
+    }
+  }
+  await chrome.storage.local.remove(['slackEmojis', 'extractedAt', 'extractionMethod', 'colorSamplerVersion']);
+}
+
+function countEmojisIn(db, workspace) {
+  return requestToPromise(db.transaction(EMOJI_STORE).objectStore(EMOJI_STORE).index('workspace').count(workspace));
+}
+
+// Records of one workspace, or of every workspace when `workspace` is null
+async function getAllEmojis(workspace = null) {
+  const db = await openEmojiDb();
+  const store = db.transaction(EMOJI_STORE).objectStore(EMOJI_STORE);
+  return requestToPromise(workspace === null ? store.getAll() : store.index('workspace').getAll(workspace));
+}
+
+async function getEmojiNames(workspace) {
+  const db = await openEmojiDb();
+  const keys = await requestToPromise(db.transaction(EMOJI_STORE).objectStore(EMOJI_STORE).index('workspace').getAllKeys(workspace));
+  return keys.map(([, name]) => name);
+}
+
+async function countEmojis(workspace) {
+  return countEmojisIn(await openEmojiDb(), workspace);
+}
+
+// Insert or update records by name
+async function putEmojis(workspace, emojis) {
+  const db = await openEmojiDb();
+  const tx = db.transaction(EMOJI_STORE, 'readwrite');
+  const store = tx.objectStore(EMOJI_STORE);
+  for (const emoji of emojis) {
+    store.put(toEmojiRecord(emoji, workspace));
+  }
+  return transactionDone(tx);
+}
+
+async function deleteEmojis(workspace, names) {
+  const db = await openEmojiDb();
+  const tx = db.transaction(EMOJI_STORE, 'readwrite');
+  const store = tx.objectStore(EMOJI_STORE);
+  for (const name of names) {
+    store.delete([workspace, name]);
+  }
+  return transactionDone(tx);
+}
+
+// Every key of a workspace: [workspace, name] for any name (arrays sort after strings)
+function workspaceKeyRange(workspace) {
+  return IDBKeyRange.bound([workspace, ''], [workspace, []]);
+}
+
+// Replace a workspace's cache (full extraction) in one transaction, so readers never see it half-written
+async function replaceAllEmojis(workspace, emojis) {
+  const db = await openEmojiDb();
+  const tx = db.transaction(EMOJI_STORE, 'readwrite');
+  const store = tx.objectStore(EMOJI_STORE);
+  store.delete(workspaceKeyRange(workspace));
+  for (const emoji of emojis) {
+    store.put(toEmojiRecord(emoji, workspace));
+  }
+  return transactionDone(tx);
+}
+
+async function deleteWorkspaceEmojis(workspace) {
+  const db = await openEmojiDb();
+  const tx = db.transaction(EMOJI_STORE, 'readwrite');
+  tx.objectStore(EMOJI_STORE).delete(workspaceKeyRange(workspace));
+  return transactionDone(tx);
+}
+
+async function readWorkspaces() {
+  const { workspaces } = await chrome.storage.local.get('workspaces');
+  return workspaces || {};
+}
+
+// Workspace id -> { id, name, domain, teamId, enterpriseId, extractedAt, extractionMethod,
+// colorSamplerVersion, emojiCount }, after any migration of older caches has run
+async function getWorkspaces() {
+  await openEmojiDb();
+  return readWorkspaces();
+}
+
+// Run a workspace write in the background worker, through its `emojiCache` message handler
+async function requestWorkspaceWrite(op, workspace, payload = {}) {
+  const response = await chrome.runtime.sendMessage({ action: 'emojiCache', op, workspace, ...payload });
+  if (!response || !response.success) {
+    throw new Error(response ? response.error : 'No response from the emoji cache');
+  }
+  return response.result;
+}
+
+// Merge `fields` into a workspace's entry, creating it if needed
+function updateWorkspace(id, fields) {
+  if (!IN_BACKGROUND) return requestWorkspaceWrite('updateWorkspace', id, { fields });
+  const update = workspaceUpdates.then(async () => {
+    const workspaces = await readWorkspaces();
+    workspaces[id] = { ...workspaces[id], ...fields, id };
+    await chrome.storage.local.set({ workspaces });
+    return workspaces[id];
+  });
+  workspaceUpdates = update.catch(() => {});
+  return update;
+}
+
+// Delete a workspace's cache and its entry
+async function removeWorkspace(id) {
+  if (!IN_BACKGROUND) return requestWorkspaceWrite('removeWorkspace', id);
+  await deleteWorkspaceEmojis(id);
+  const update = workspaceUpdates.then(async () => {
+    const workspaces = await readWorkspaces();
+    delete workspaces[id];
+    await chrome.storage.local.set({ workspaces });
+  });
+  workspaceUpdates = update.catch(() => {});
+  return update;
+}
@@ -29,7 +29,15 @@ export default [
     },
   },
   {
-    files: ["pixelart.js"],
+    files: ["pixelart-worker.js"],
+    languageOptions: {
+      globals: {
+        ...globals.worker,
+      },
+    },
+  },
+  {
+    files: ["pixelart.js", "zip.js", "bitmap-fonts.js"],
     languageOptions: {
       globals: {
         module: "readonly",
@@ -0,0 +1,57 @@
+/* global PixelArtConverter */
+// Dedicated worker that runs the conversion pipeline (rasterization, matching, dithering,
+// post-processing) off the popup's main thread. Messages use the same `action` convention as
+// the extension's runtime messages; every reply carries the `id` of the request it answers.
+
+importScripts('pixelart.js');
+
+// AbortControllers for runs in progress, keyed by request id
+const activeRuns = new Map();
+
+self.addEventListener('message', async (event) => {
+  const request = event.data;
+  if (!request) return;
+
+  if (request.action === 'cancel') {
+    const controller = activeRuns.get(request.id);
+    if (controller) controller.abort();
+    return;
+  }
+
+  if (request.action === 'convert' || request.action === 'regenerateRegion') {
+    const controller = new AbortController();
+    activeRuns.set(request.id, controller);
+
+    try {
+      const converter = new PixelArtConverter(request.emojis, request.options);
+      const onProgress = (progress, message) => {
+        self.postMessage({ action: 'progress', id: request.id, progress, message });
+      };
+      const options = { signal: controller.signal };
+      let result;
+      if (request.action === 'regenerateRegion') {
+        // `region` carries the grid, its target colors and the mask of cells to re-match
+        const { grid, targetColors, mask } = request.region;
+        result = await converter.regenerateRegion(grid, targetColors, mask, onProgress, options);
+      } else {
+        // Animated GIFs arrive as the raw file bytes (ArrayBuffer); still images as an ImageBitmap
+        result = request.animated
+          ? await converter.convertGif(request.source, onProgress, options)
+          : await converter.convert(request.source, false, onProgress, options);
+      }
+      self.postMessage({ action: 'result', id: request.id, result });
+    } catch (error) {
+      self.postMessage({
+        action: 'error',
+        id: request.id,
+        name: error && error.name ? error.name : 'Error',
+        error: error && error.message ? error.message : String(error)
+      });
+    } finally {
+      activeRuns.delete(request.id);
+      if (request.source && typeof request.source.close === 'function') {
+        request.source.close();
+      }
+    }
+  }
+});
@@ -3,13 +3,96 @@
 class PixelArtConverter {
   // Constants
   static TRANSPARENCY_THRESHOLD = 128; // Alpha value threshold for considering pixels as opaque
-  static AVG_EMOJI_LENGTH = 10; // Average length of emoji in Slack format (:emoji_name:)
+  static AVG_EMOJI_LENGTH = 10; // Fallback average length of an emoji in Slack format (:emoji_name:) for an empty palette
   static FALLBACK_EMOJI = 'white_square'; // Emoji used for transparent/null pixels
   static MIN_DIMENSION = 5; // Minimum grid dimension
+  static MAX_FIT_ATTEMPTS = 6; // Match passes allowed when fitting the grid to the character budget
+  static NAME_LENGTH_PENALTY = 0.0015; // Distance added per output character at full short-name preference
+  static YIELD_INTERVAL_MS = 50; // How often a cancellable conversion yields to the event loop
+  static VALID_EMOJI_NAME = /^[a-z0-9_\-+'.]+$/; // Characters Slack allows in emoji names and aliases
+  static TILE_SIZE = 128; // Side length of big-emoji tiles (Slack's recommended custom emoji size)
+  static MAX_TILE_GRID = 20; // Maximum tiles per side in a tile pack
+  static GLOBAL_FLOW_MAX_CELLS = 1024; // Grids up to this size get an exact min-cost assignment; larger ones use swap refinement
+  static GLOBAL_ASSIGNMENT_CANDIDATES = 10; // Cheapest emojis per cell considered by the global optimizer
+  static GLOBAL_SWAP_PASSES = 4; // Maximum refinement passes over large grids
+  static GLOBAL_SWAP_PARTNERS = 24; // Cells holding an emoji that are checked as swap partners
+  static DETAIL_GRID = 4; // Sub-cells per side in detail mode; matches the 4×4 emoji thumbnails from background.js
+  static THUMBNAIL_AB_RANGE = 0.4; // OKLab a/b byte range used by the thumbnail encoding in background.js
+  static DETAIL_STRUCTURE_WEIGHT = 0.65; // Share of the detail-mode score taken by the per-sub-cell comparison
+  static FRAME_REUSE_DISTANCE = 0.02; // OKLab distance under which an animation frame keeps the previous frame's emoji
+  static INDEX_LEAF_SIZE = 8; // Points per leaf of the nearest-neighbor k-d tree
+  static CIEDE_RERANK_CANDIDATES = 20; // OKLab-ranked matches re-scored with CIEDE2000
+  static MATCH_CACHE_LIMIT = 65536; // Memoized target colors kept before the match cache is cleared
+  static EXPORT_MAX_SIDE = 16384; // Largest PNG export side browsers reliably allocate a canvas for
+  static EXPORT_MAX_PIXELS = 64 * 1024 * 1024; // Area limit for PNG exports (~256 MB of RGBA)
+  static EXPORT_FORMAT = 'slack-emoji-pixelart'; // `format` field of JSON exports
+  static EXPORT_FORMAT_VERSION = 1; // Bump when the JSON export layout changes incompatibly
+  static BLOCK_KIT_SECTION_LIMIT = 3000; // Slack rejects section blocks with longer text
+  static BLOCK_KIT_MAX_BLOCKS = 50; // Slack rejects messages with more blocks
+  static EMOJI_CODE_PATTERN = /:([a-z0-9_\-+'.]+):/gi; // One `:name:` code in Slack message text
+  static SKIN_TONE_PATTERN = /^skin-tone-([2-6])$/; // Modifier code that follows the emoji it applies to
+  static REGION_BLEND_WIDTH = 1; // Cells inside a regenerated region's border that may keep their old emoji
+  static BANNER_PADDING = 1; // Background cells around text banners
+  static LETTER_FAMILY_MIN_LETTERS = 20; // Letters A-Z a name pattern needs before it counts as a letter family
+  static NEUTRAL_CHROMA = 0.04; // OKLCh chroma below which the palette browser treats a color as gray
+  static COVERAGE_LEVELS = 16; // Samples per sRGB channel when measuring gamut coverage (16³ colors)
+  static COVERAGE_DISTANCE = 0.06; // oklabDistance() within which a color counts as reproducible
+  static HOLE_RADIUS = 0.12; // Unreproducible colors this close to a hole's center belong to that hole
+  static MAX_GAMUT_HOLES = 8; // Holes and image problem colors listed by the coverage report
+  static IMAGE_COVERAGE_BITS = 5; // Bits per channel image colors are binned to before matching
+  static FILLER_MAX_COUNT = 50; // Most emojis one filler pack may propose
+  static FILLER_CANDIDATES = 1500; // Unreproducible colors tried as filler colors; more are evenly thinned
+  static FILLER_SHADE_STEP = 0.08; // OKLab lightness added to the light shade of gradient and split fillers
+  static FILLER_STYLES = ['solid', 'gradient', 'split'];
+  static REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/; // Palette set pattern written as /regex/flags; anything else is a glob
+
+  // Palette browser hue families as [id, start, end) in OKLCh hue degrees; red wraps around 0°
+  static HUE_FAMILIES = [
+    ['red', 350, 40], ['orange', 40, 75], ['yellow', 75, 115], ['green', 115, 170],
+    ['cyan', 170, 230], ['blue', 230, 285], ['purple', 285, 325], ['pink', 325, 350]
+  ];
+
+  // Palette browser bands as [min, max): OKLCh lightness (0-100) and sampled `variance`
+  static LIGHTNESS_BANDS = { dark: [0, 40], mid: [40, 75], light: [75, Infinity] };
+  static TEXTURE_BANDS = { solid: [0, 15], moderate: [15, 40], busy: [40, Infinity] };
+
+  // Spelled-out name endings of non-letter characters in letter emoji families
+  static LETTER_TOKEN_CHARS = {
+    zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+    exclamation: '!', 'exclamation-mark': '!', bang: '!', question: '?', 'question-mark': '?',
+    at: '@', hash: '#', hashtag: '#', pound: '#', ampersand: '&', dollar: '$', plus: '+',
+    period: '.', dot: '.', comma: ',', apostrophe: '\'', dash: '-', hyphen: '-', space: ' ', blank: ' '
+  };
 
   // Emojis that are exempted from duplication rules (solid colors, blanks)
   static EXEMPTED_EMOJI_PATTERNS = ['space', 'blank', 'white', 'black', 'red', 'blue', 'green', 'yellow', 'square'];
 
+  // Error-diffusion kernels: [dx, dy, weight] taps relative to the current pixel (dx mirrored on
+  // serpentine rows), weights divided by `divisor`. Atkinson deliberately diffuses only 6/8 of the error.
+  static DIFFUSION_KERNELS = {
+    'floyd-steinberg': { divisor: 16, taps: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]] },
+    'atkinson': { divisor: 8, taps: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]] },
+    'jarvis-judice-ninke': {
+      divisor: 48,
+      taps: [[1, 0, 7], [2, 0, 5], [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+        [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]]
+    },
+    'stucki': {
+      divisor: 42,
+      taps: [[1, 0, 8], [2, 0, 4], [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+        [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1]]
+    },
+    'sierra': {
+      divisor: 32,
+      taps: [[1, 0, 5], [2, 0, 3], [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+        [-1, 2, 2], [0, 2, 3], [1, 2, 2]]
+    },
+    'sierra-lite': { divisor: 4, taps: [[1, 0, 2], [-1, 1, 1], [0, 1, 1]] }
+  };
+
+  static BLUE_NOISE_SIZE = 32; // Side of the tiled blue-noise threshold mask
+  static blueNoiseMask = null; // Generated on first use by getBlueNoiseMask()
+
   // 8x8 Bayer ordered dithering matrix (normalized to 0-1 range)
   static BAYER_8X8 = [
     [ 0/64,48/64,12/64,60/64, 3/64,51/64,15/64,63/64],
@@ -23,7 +106,6 @@ class PixelArtConverter {
   ];
 
   constructor(emojis, options = {}) {
-    this.emojis = emojis;
     this.options = {
       width: options.width || 20,
       height: options.height || 20,
@@ -31,12 +113,16 @@ class PixelArtConverter {
       tolerance: options.tolerance || 10,
       dithering: options.dithering ?? true,
       ditheringStrength: options.ditheringStrength ?? 85,
+      // A DIFFUSION_KERNELS key, or 'blue-noise' for ordered dithering with a blue-noise mask
+      ditherAlgorithm: options.ditherAlgorithm || 'floyd-steinberg',
       texturePenalty: options.texturePenalty ?? 55,
       // Rasterization quality controls how we sample the *source* image into the target grid.
       // Higher values = better color fidelity (and better matching), at modest CPU cost.
       rasterSamples: options.rasterSamples ?? 3,
       rasterMaxSourceSide: options.rasterMaxSourceSide ?? 2048,
       colorMetric: options.colorMetric || 'oklab',
+      // 'color' matches one color per cell; 'detail' also matches each cell's 4×4 layout against emoji thumbnails
+      matchMode: options.matchMode || 'color',
       // New enhancement options
       errorClamping: options.errorClamping ?? true,
       clahe: options.clahe ?? false,
@@ -47,18 +133,43 @@ class PixelArtConverter {
       perColorTolerance: options.perColorTolerance ?? false,
       spatialCoherence: options.spatialCoherence ?? false,
       coherenceStrength: options.coherenceStrength ?? 50,
+      // Minimize total error over the whole grid under the usage cap instead of matching greedily in scan order
+      globalAssignment: options.globalAssignment ?? false,
+      // Keep the requested dimensions and split output across several messages instead of shrinking
+      multiMessage: options.multiMessage ?? false,
+      // Tie-breaker that favors shorter emoji names when color distances are nearly equal (0-100)
+      shortNamePreference: options.shortNamePreference ?? 20,
+      // Animated GIF frame selection (0-based, frameEnd inclusive; null = last frame)
+      frameStart: options.frameStart ?? 0,
+      frameEnd: options.frameEnd ?? null,
+      frameStride: options.frameStride ?? 1,
+      // Names excluded in the palette browser; they never appear in generated art
+      excludedEmojis: options.excludedEmojis || [],
+      // Named palette set limiting which emojis are matched (see applyPaletteSet); null = whole palette
+      paletteSet: options.paletteSet || null,
       ...options
     };
+    // Lookups by name (importing, tile name collisions) still see excluded and filtered-out emojis
+    this.allEmojis = emojis;
+    const excluded = new Set(this.options.excludedEmojis);
+    const included = excluded.size > 0 ? emojis.filter(emoji => !emoji || !excluded.has(emoji.name)) : emojis;
+    this.emojis = this.options.paletteSet ? PixelArtConverter.applyPaletteSet(included, this.options.paletteSet) : included;
     this.usedEmojis = new Map(); // Track emoji usage
+    this.usageEpoch = 0; // Bumped when usage is reset, so memoized capped matches get recomputed
+    this.matchCache = new Map(); // 24-bit target color -> memoized match (see findBestEmoji)
+    this.timings = {}; // Milliseconds spent per conversion stage, reported by generateStats()
     this.maxEmojiUses = Infinity;
+    this.signal = null; // AbortSignal of the conversion in progress, if any
+    this.lastYield = 0;
 
     // Precompute color representations for better matching performance.
     // Mutates emoji objects in-place (safe: they are stored and reused).
     this.prepareEmojiColors();
 
-    // Performance optimization: Build a spatial index for faster color matching
-    // For large emoji sets (>1000), this dramatically improves performance
-    this.colorIndex = this.buildColorIndex();
+    // Exact nearest-neighbor index over the colors every emoji is scored against.
+    // Built by getColorIndex() on the first match, so converters that never match skip the cost.
+    this.colorIndex = null;
+    this.coverageIndex = null; // k-d tree of average colors, built by getCoverageIndex()
   }
 
   // -------- Color math (sRGB -> linear -> OKLab) --------
@@ -110,6 +221,23 @@ class PixelArtConverter {
     };
   }
 
+  // Inverse of linearToOklab(); colors outside the sRGB gamut come back with channels outside 0-1
+  oklabToLinear(lab) {
+    const l_ = lab.L + 0.3963377774 * lab.a + 0.2158037573 * lab.b;
+    const m_ = lab.L - 0.1055613458 * lab.a - 0.0638541728 * lab.b;
+    const s_ = lab.L - 0.0894841775 * lab.a - 1.2914855480 * lab.b;
+
+    const l = l_ * l_ * l_;
+    const m = m_ * m_ * m_;
+    const s = s_ * s_ * s_;
+
+    return {
+      r: 4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+      g: -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+      b: -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    };
+  }
+
   oklabDistance(lab1, lab2, emphasizeLightness = false) {
     // Weighted OKLab distance with improved perceptual weighting
     // Lightness is more important in low-saturation regions
@@ -132,25 +260,21 @@ class PixelArtConverter {
     return Math.sqrt(dL * dL + da * da + db * db + Math.max(0, dH2) * 0.25);
   }
 
+  // Helmholtz-Kohlrausch adjusted lightness: high-chroma colors look brighter than their L suggests
+  hkLightness(lab) {
+    const C = Math.sqrt(lab.a * lab.a + lab.b * lab.b);
+    if (C <= 0.1) return lab.L;
+    const hkFactor = 0.12 + 0.06 * Math.cos(Math.atan2(lab.b, lab.a) + 0.8);
+    return lab.L + 0.015 * C * hkFactor;
+  }
+
   oklabDistanceCalibrated(lab1, lab2) {
     // Calibrated OKLab delta with LCh decomposition and Helmholtz-Kohlrausch compensation
     const C1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
     const C2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
 
     // HK lightness adjustment for high-chroma colors
-    let L1 = lab1.L, L2 = lab2.L;
-    if (C1 > 0.1) {
-      const hue1 = Math.atan2(lab1.b, lab1.a);
-      const hkFactor1 = 0.12 + 0.06 * Math.cos(hue1 + 0.8);
-      L1 = lab1.L + 0.015 * C1 * hkFactor1;
-    }
-    if (C2 > 0.1) {
-      const hue2 = Math.atan2(lab2.b, lab2.a);
-      const hkFactor2 = 0.12 + 0.06 * Math.cos(hue2 + 0.8);
-      L2 = lab2.L + 0.015 * C2 * hkFactor2;
-    }
-
-    const dL = L1 - L2;
+    const dL = this.hkLightness(lab1) - this.hkLightness(lab2);
     const dC = C1 - C2;
     const da = lab1.a - lab2.a;
     const db = lab1.b - lab2.b;
@@ -363,6 +487,11 @@ class PixelArtConverter {
         });
       }
 
+      // Decode the 4×4 OKLab layout thumbnail (base64, 3 bytes per cell) for detail matching
+      if (typeof emoji.thumbnail === 'string' && !emoji._thumbLab) {
+        emoji._thumbLab = this.decodeThumbnail(emoji.thumbnail);
+      }
+
       if (typeof emoji.variance !== 'number') {
         emoji.variance = 999;
       }
@@ -375,98 +504,311 @@ class PixelArtConverter {
     }
   }
 
-  // Build a color index for faster lookup with large emoji sets
-  buildColorIndex() {
-    if (this.emojis.length < 1000) {
-      return null; // Not worth the overhead for small sets
+  // Decode a base64 4×4 OKLab thumbnail (3 bytes per sub-cell) written by background.js
+  decodeThumbnail(encoded) {
+    const cells = PixelArtConverter.DETAIL_GRID * PixelArtConverter.DETAIL_GRID;
+    let binary;
+    try {
+      binary = atob(encoded);
+    } catch {
+      return null;
     }
+    if (binary.length !== cells * 3) return null;
+
+    const range = PixelArtConverter.THUMBNAIL_AB_RANGE;
+    const thumb = new Array(cells);
+    for (let i = 0; i < cells; i++) {
+      thumb[i] = {
+        L: binary.charCodeAt(i * 3) / 255,
+        a: (binary.charCodeAt(i * 3 + 1) / 255) * 2 * range - range,
+        b: (binary.charCodeAt(i * 3 + 2) / 255) * 2 * range - range
+      };
+    }
+    return thumb;
+  }
 
-    // Bucket emojis by quantized OKLab coordinates
-    const binL = 0.05;  // L range ~0–1, ~20 bins
-    const binA = 0.04;  // a range ~-0.4–0.4, ~20 bins
-    const binB = 0.04;  // b range ~-0.4–0.4, ~20 bins
-    const index = new Map();
+  // -------- Nearest-neighbor color index --------
 
-    const pushToBucket = (emoji, rgb) => {
-      if (!emoji || !rgb) return;
-      const lab = this.linearToOklab(this.rgb8ToLinear(rgb));
-      const kL = Math.floor(lab.L / binL);
-      const kA = Math.floor(lab.a / binA);
-      const kB = Math.floor(lab.b / binB);
-      const key = `${kL},${kA},${kB}`;
+  // Coordinates of a color in the space the nearest-neighbor index uses for the current metric:
+  // Jzazbz for 'jzazbz', HK-adjusted OKLab for 'oklab-hk', plain OKLab otherwise. `color` is a
+  // Jzazbz color for the Jzazbz metric and an OKLab color for every other one.
+  indexCoordinates(color) {
+    const metric = this.options.colorMetric;
+    if (metric === 'jzazbz') return [color.Jz, color.az, color.bz];
+    if (metric === 'oklab-hk') return [this.hkLightness(color), color.a, color.b];
+    return [color.L, color.a, color.b];
+  }
 
-      if (!index.has(key)) {
-        index.set(key, []);
-      }
+  // Colors scoreEmoji() measures an emoji against, in index space: profile clusters plus their
+  // weighted average, or the mean color plus the accent color.
+  getEmojiIndexColors(emoji) {
+    const useJzazbz = this.options.colorMetric === 'jzazbz';
+    if (emoji._labProfile) {
+      const clusters = emoji._labProfile.map(entry => useJzazbz ? this.linearToJzazbz(entry.lin) : entry.lab);
+      const keys = useJzazbz ? ['Jz', 'az', 'bz'] : ['L', 'a', 'b'];
+      const avg = { [keys[0]]: 0, [keys[1]]: 0, [keys[2]]: 0 };
+      let totalW = 0;
+      emoji._labProfile.forEach((entry, i) => {
+        for (const key of keys) avg[key] += clusters[i][key] * entry.weight;
+        totalW += entry.weight;
+      });
+      if (totalW <= 0) return clusters;
+      for (const key of keys) avg[key] /= totalW;
+      return [...clusters, avg];
+    }
+    if (useJzazbz && emoji._jzazbz) {
+      return [emoji._jzazbz];
+    }
+    const colors = [emoji._lab || this.linearToOklab(this.rgb8ToLinear(emoji.color))];
+    if (emoji._labAccent) colors.push(emoji._labAccent);
+    return colors;
+  }
 
-      const arr = index.get(key);
-      // Avoid duplicates when mean and accent land in same bucket
-      if (arr.length === 0 || arr[arr.length - 1] !== emoji) {
-        arr.push(emoji);
-      }
-    };
+  // Factor that turns Euclidean distance in index space into a lower bound on scoreEmoji()'s
+  // color term. The weighted OKLab and Jzazbz distances never fall below Euclidean distance; the
+  // calibrated metric halves the a/b weight of its hue term at worst. Accent matches get a 5% bonus
+  // and detail mode blends the color term with the structure term, so both scale the bound down.
+  getIndexBoundScale() {
+    let scale = this.options.colorMetric === 'oklab-hk' ? Math.SQRT1_2 : 1;
+    scale *= 0.95;
+    if (this.options.matchMode === 'detail') {
+      scale *= 1 - PixelArtConverter.DETAIL_STRUCTURE_WEIGHT;
+    }
+    return scale;
+  }
 
+  // Build a k-d tree over every emoji's index colors. Nodes keep their bounding box and the
+  // smallest target-independent penalty below them, so searches can prune whole subtrees exactly,
+  // plus a count of points whose emoji is still under its usage cap.
+  buildColorIndex() {
+    const structured = this.options.matchMode === 'detail';
+    const entries = [];
+    const added = new Set();
     for (const emoji of this.emojis) {
-      if (!emoji || !emoji.color) continue;
-      pushToBucket(emoji, emoji.color);
-      if (emoji.accentColor) {
-        pushToBucket(emoji, emoji.accentColor);
+      if (!emoji || !emoji.color || added.has(emoji)) continue;
+      added.add(emoji);
+      entries.push({
+        emoji,
+        penalty: this.getEmojiPenalty(emoji, structured),
+        points: this.getEmojiIndexColors(emoji).map(color => this.indexCoordinates(color))
+      });
+    }
+    return this.buildKdTree(entries, this.getIndexBoundScale());
+  }
+
+  // k-d tree over `entries` ([{ emoji, penalty, points: [[x, y, z], ...] }]) for searchKdTree().
+  // `boundScale` turns Euclidean distance between points into a lower bound on the search's score.
+  buildKdTree(entries, boundScale) {
+    const emojis = [];
+    const penalties = [];
+    const coords = [];
+    const owners = [];
+    const emojiIds = new Map();
+
+    for (const { emoji, penalty, points } of entries) {
+      const id = emojis.length;
+      emojis.push(emoji);
+      emojiIds.set(emoji, id);
+      penalties.push(penalty);
+      for (const point of points) {
+        coords.push(...point);
+        owners.push(id);
       }
-      const profile = emoji.colorProfile || emoji.cp;
-      if (Array.isArray(profile)) {
-        for (const entry of profile) {
-          const rgb = Array.isArray(entry) ? { r: entry[0], g: entry[1], b: entry[2] } : entry.rgb;
-          pushToBucket(emoji, rgb);
+    }
+
+    const count = owners.length;
+    const order = Int32Array.from({ length: count }, (_, i) => i);
+    const leafOf = new Array(count);
+    const nodes = [];
+
+    const build = (start, end, parent) => {
+      const node = {
+        start,
+        end,
+        parent,
+        left: null,
+        right: null,
+        min: [Infinity, Infinity, Infinity],
+        max: [-Infinity, -Infinity, -Infinity],
+        minPenalty: Infinity,
+        available: end - start
+      };
+      nodes.push(node);
+
+      for (let i = start; i < end; i++) {
+        const p = order[i];
+        for (let axis = 0; axis < 3; axis++) {
+          const v = coords[p * 3 + axis];
+          if (v < node.min[axis]) node.min[axis] = v;
+          if (v > node.max[axis]) node.max[axis] = v;
         }
+        node.minPenalty = Math.min(node.minPenalty, penalties[owners[p]]);
       }
-    }
 
-    return { colorIndex: index, binL, binA, binB };
+      if (end - start <= PixelArtConverter.INDEX_LEAF_SIZE) {
+        for (let i = start; i < end; i++) leafOf[order[i]] = node;
+        return node;
+      }
+
+      // Split at the median of the widest axis
+      let axis = 0;
+      for (let a = 1; a < 3; a++) {
+        if (node.max[a] - node.min[a] > node.max[axis] - node.min[axis]) axis = a;
+      }
+      const sorted = Array.from(order.subarray(start, end)).sort((p, q) => coords[p * 3 + axis] - coords[q * 3 + axis]);
+      order.set(sorted, start);
+      const mid = (start + end) >> 1;
+      node.left = build(start, mid, node);
+      node.right = build(mid, end, node);
+      return node;
+    };
+
+    const root = count > 0 ? build(0, count, null) : null;
+    const emojiPoints = emojis.map(() => []);
+    owners.forEach((id, p) => emojiPoints[id].push(p));
+
+    return {
+      root,
+      nodes,
+      coords: Float64Array.from(coords),
+      owners: Int32Array.from(owners),
+      order,
+      leafOf,
+      emojis,
+      emojiIds,
+      emojiPoints,
+      penalties,
+      exhausted: new Uint8Array(emojis.length),
+      seen: new Uint32Array(emojis.length),
+      queryStamp: 0,
+      boundScale
+    };
   }
 
-  // Get candidate emojis from nearby color buckets
-  getCandidateEmojis(targetColor) {
+  getColorIndex() {
     if (!this.colorIndex) {
-      return this.emojis; // Return all emojis for small sets
-    }
-
-    const { colorIndex, binL, binA, binB } = this.colorIndex;
-    const lab = this.linearToOklab(this.rgb8ToLinear(targetColor));
-    const kL = Math.floor(lab.L / binL);
-    const kA = Math.floor(lab.a / binA);
-    const kB = Math.floor(lab.b / binB);
-
-    const seen = new Set();
-    const candidates = [];
-
-    const collect = (radius) => {
-      for (let dL = -radius; dL <= radius; dL++) {
-        for (let da = -radius; da <= radius; da++) {
-          for (let db = -radius; db <= radius; db++) {
-            const key = `${kL + dL},${kA + da},${kB + db}`;
-            const bucket = colorIndex.get(key);
-            if (bucket) {
-              for (const emoji of bucket) {
-                if (!seen.has(emoji)) {
-                  seen.add(emoji);
-                  candidates.push(emoji);
-                }
-              }
-            }
-          }
+      const start = performance.now();
+      this.colorIndex = this.buildColorIndex();
+      this.recordTiming('index', start);
+    }
+    return this.colorIndex;
+  }
+
+  // Exact k best emojis for a match target, ranked by scoreEmoji() ([{ emoji, dist, penalty }]).
+  // With `allowedOnly`, emojis that reached their usage cap are skipped and subtrees holding only
+  // such emojis are never entered.
+  searchColorIndex(target, k = 1, allowedOnly = false) {
+    const q = this.indexCoordinates(this.options.colorMetric === 'jzazbz' ? target.jzazbz : target.lab);
+    return this.searchKdTree(this.getColorIndex(), q, k, emoji => this.scoreEmoji(emoji, target), allowedOnly);
+  }
+
+  // Exact k best emojis of a buildKdTree() index for the point `q`, ranked by `score(emoji)`, which
+  // returns { dist, ... }; results are those objects with `emoji` added. `score` must never fall
+  // below the index's bound: Euclidean distance to the emoji's nearest point times boundScale, plus
+  // its penalty. `allowedOnly` works as in searchColorIndex().
+  searchKdTree(index, q, k, score, allowedOnly = false) {
+    const results = [];
+    if (!index.root) return results;
+
+    const { coords, owners, order, penalties, seen, boundScale } = index;
+    const stamp = ++index.queryStamp;
+    let worst = Infinity;
+
+    const boxBound = (node) => {
+      let sum = 0;
+      for (let axis = 0; axis < 3; axis++) {
+        const v = q[axis];
+        const d = v < node.min[axis] ? node.min[axis] - v : (v > node.max[axis] ? v - node.max[axis] : 0);
+        sum += d * d;
+      }
+      return Math.sqrt(sum) * boundScale + node.minPenalty;
+    };
+
+    const visit = (node, bound) => {
+      if (bound >= worst || (allowedOnly && node.available === 0)) return;
+
+      if (!node.left) {
+        for (let i = node.start; i < node.end; i++) {
+          const p = order[i];
+          const id = owners[p];
+          if (seen[id] === stamp) continue;
+          const dL = q[0] - coords[p * 3];
+          const dA = q[1] - coords[p * 3 + 1];
+          const dB = q[2] - coords[p * 3 + 2];
+          // Another point of the same emoji may still be closer, so only mark it seen once scored
+          if (Math.sqrt(dL * dL + dA * dA + dB * dB) * boundScale + penalties[id] >= worst) continue;
+          seen[id] = stamp;
+
+          const emoji = index.emojis[id];
+          if (allowedOnly && !this.isEmojiAllowed(emoji)) continue;
+          const result = score(emoji);
+          const dist = result.dist;
+          if (dist >= worst) continue;
+          result.emoji = emoji;
+
+          let pos = results.length;
+          while (pos > 0 && results[pos - 1].dist > dist) pos--;
+          results.splice(pos, 0, result);
+          if (results.length > k) results.pop();
+          if (results.length === k) worst = results[k - 1].dist;
         }
+        return;
+      }
+
+      // Descend into the nearer child first so `worst` tightens early
+      const leftBound = boxBound(node.left);
+      const rightBound = boxBound(node.right);
+      if (leftBound <= rightBound) {
+        visit(node.left, leftBound);
+        visit(node.right, rightBound);
+      } else {
+        visit(node.right, rightBound);
+        visit(node.left, leftBound);
       }
     };
 
-    // Start with current + adjacent buckets (27 buckets)
-    collect(1);
+    visit(index.root, boxBound(index.root));
+    return results;
+  }
+
+  // Remove an emoji that reached its usage cap from the index's availability counts
+  markEmojiExhausted(emoji) {
+    const index = this.colorIndex;
+    if (!index) return;
+    const id = index.emojiIds.get(emoji);
+    if (id === undefined || index.exhausted[id]) return;
+    index.exhausted[id] = 1;
+    for (const p of index.emojiPoints[id]) {
+      for (let node = index.leafOf[p]; node; node = node.parent) {
+        node.available--;
+      }
+    }
+  }
+
+  // Whether an emoji can be placed again without exceeding its usage cap
+  isEmojiAllowed(emoji) {
+    if (this.options.tolerance >= 100 || this.isExemptedEmoji(emoji.name)) return true;
+    return (this.usedEmojis.get(emoji.name) || 0) < this.getEmojiMaxUses(emoji);
+  }
 
-    // If candidate set is too small, widen the net
-    if (candidates.length < 200) {
-      collect(2);
+  // Count one placement of an emoji toward its usage cap
+  recordEmojiUse(emoji) {
+    this.usedEmojis.set(emoji.name, (this.usedEmojis.get(emoji.name) || 0) + 1);
+    if (!this.isEmojiAllowed(emoji)) {
+      this.markEmojiExhausted(emoji);
     }
+  }
 
-    return candidates.length > 0 ? candidates : this.emojis;
+  // Forget all placements. Memoized unrestricted matches stay valid; capped ones are recomputed.
+  resetEmojiUsage() {
+    this.usedEmojis.clear();
+    this.usageEpoch++;
+    const index = this.colorIndex;
+    if (!index) return;
+    index.exhausted.fill(0);
+    for (const node of index.nodes) {
+      node.available = node.end - node.start;
+    }
   }
 
   // Calculate color difference using weighted Euclidean distance
@@ -478,6 +820,27 @@ class PixelArtConverter {
     return this.oklabDistance(lab1, lab2);
   }
 
+  // Shortest name Slack accepts for this emoji: the canonical name or any recorded alias.
+  // Cached on the emoji object like the other precomputed fields.
+  getEmojiOutputName(emoji) {
+    if (emoji._outputName) return emoji._outputName;
+
+    let shortest = emoji.name;
+    if (Array.isArray(emoji.aliases)) {
+      for (const alias of emoji.aliases) {
+        if (typeof alias === 'string' && PixelArtConverter.VALID_EMOJI_NAME.test(alias) && alias.length < shortest.length) {
+          shortest = alias;
+        }
+      }
+    }
+    // Imported cells keep their skin-tone modifier (`:wave::skin-tone-3:`)
+    if (emoji.skinTone) {
+      shortest += `::skin-tone-${emoji.skinTone}`;
+    }
+    emoji._outputName = shortest;
+    return shortest;
+  }
+
   // Check if an emoji is exempted from duplication rules
   isExemptedEmoji(emojiName) {
     const lowerName = emojiName.toLowerCase();
@@ -495,304 +858,975 @@ class PixelArtConverter {
     return this.maxEmojiUses; // Saturated colors: normal limit
   }
 
-  // Find the best matching emoji for a given color.
-  // `targetColor` is an sRGB 8-bit color ({r, g, b} in the 0..255 range).
-  // Optionally, a precomputed OKLab color ({L, a, b}) can be passed as
-  // `targetLabOverride` to avoid recomputing the RGB → linear RGB → OKLab conversion.
-  findBestEmoji(targetColor, targetLabOverride = null) {
-    // Use spatial index to reduce search space for large emoji sets
-    const candidates = this.getCandidateEmojis(targetColor);
-    const targetLab = targetLabOverride || this.linearToOklab(this.rgb8ToLinear(targetColor));
+  // Precompute the target color in every space the selected metric needs
+  // `patchLab` (detail mode) is the cell's sub-cell layout as DETAIL_GRID² OKLab colors, row-major;
+  // for CIEDE2000 and Jzazbz it is also converted into that space (`patchMetric`).
+  createMatchTarget(targetColor, targetLabOverride = null, patchLab = null) {
+    const metric = this.options.colorMetric;
+    const target = {
+      lab: targetLabOverride || this.linearToOklab(this.rgb8ToLinear(targetColor)),
+      cieLab: null,
+      jzazbz: null,
+      patch: patchLab,
+      patchMetric: null
+    };
+    if (metric === 'ciede2000') {
+      target.cieLab = this.linearToCieLab(this.rgb8ToLinear(targetColor));
+    } else if (metric === 'jzazbz') {
+      target.jzazbz = this.linearToJzazbz(this.rgb8ToLinear(targetColor));
+    }
+    if (patchLab && (metric === 'ciede2000' || metric === 'jzazbz')) {
+      target.patchMetric = this.convertLayout(patchLab, metric);
+    }
+    return target;
+  }
 
-    let best = null;
-    let bestDist = Infinity;
-    let bestAllowed = null;
-    let bestAllowedDist = Infinity;
+  // OKLab layout (patch or thumbnail) in CIE L*a*b* ('ciede2000') or Jzazbz ('jzazbz')
+  convertLayout(labs, metric) {
+    return labs.map(lab => {
+      const lin = this.clampLinear(this.oklabToLinear(lab));
+      return metric === 'ciede2000' ? this.linearToCieLab(lin) : this.linearToJzazbz(lin);
+    });
+  }
 
-    const metric = this.options.colorMetric;
-    const useCiede = metric === 'ciede2000';
-    const useJzazbz = metric === 'jzazbz';
-    const useHK = metric === 'oklab-hk';
+  // Detail mode: mean distance between the cell's layout and the emoji's thumbnail, sub-cell by
+  // sub-cell, in the units of `space` ('oklab', 'jzazbz' or 'ciede2000') so it blends with the color
+  // term of that metric. Emojis without a thumbnail are treated as flat (their mean color everywhere).
+  getStructureDistance(emoji, target, space) {
+    let patch = target.patch;
+    let thumb = emoji._thumbLab;
+    let flat;
+    let distFn;
+    if (space === 'oklab') {
+      flat = emoji._lab || this.linearToOklab(this.rgb8ToLinear(emoji.color));
+      distFn = this.options.colorMetric === 'oklab-hk'
+        ? (a, b) => this.oklabDistanceCalibrated(a, b)
+        : (a, b) => this.oklabDistance(a, b);
+    } else {
+      const cache = space === 'ciede2000' ? '_thumbCieLab' : '_thumbJzazbz';
+      if (thumb && !emoji[cache]) emoji[cache] = this.convertLayout(thumb, space);
+      thumb = thumb && emoji[cache];
+      patch = target.patchMetric;
+      const lin = emoji._lin || this.rgb8ToLinear(emoji.color);
+      if (space === 'ciede2000') {
+        flat = emoji._cieLab || (emoji._cieLab = this.linearToCieLab(lin));
+        distFn = (a, b) => this.ciede2000Distance(a, b);
+      } else {
+        flat = emoji._jzazbz || this.linearToJzazbz(lin);
+        distFn = (a, b) => this.jzazbzDistance(a, b);
+      }
+    }
 
-    // For CIEDE2000: first pass with OKLab to find top candidates, then re-rank
-    let ciede2000Target = null;
-    let jzazbzTarget = null;
-    if (useCiede) {
-      ciede2000Target = this.linearToCieLab(this.rgb8ToLinear(targetColor));
-    } else if (useJzazbz) {
-      jzazbzTarget = this.linearToJzazbz(this.rgb8ToLinear(targetColor));
+    let total = 0;
+    for (let i = 0; i < patch.length; i++) {
+      total += distFn(patch[i], thumb ? thumb[i] : flat);
     }
+    return total / patch.length;
+  }
 
-    const distFn = useHK
+  // Score one emoji against a match target (lower is better).
+  // `dist` includes the colorError, texture and name-length penalties; `penalty` is their sum, so
+  // CIEDE2000 re-ranking (scoreEmojiCiede) can replace the color part and keep the penalties.
+  scoreEmoji(emoji, target) {
+    const metric = this.options.colorMetric;
+    const useJzazbz = metric === 'jzazbz';
+    const targetLab = target.lab;
+    const jzazbzTarget = target.jzazbz;
+    const distFn = metric === 'oklab-hk'
       ? (a, b) => this.oklabDistanceCalibrated(a, b)
       : (a, b) => this.oklabDistance(a, b);
 
-    // Collect scored candidates for CIEDE2000 re-ranking
-    const topCandidates = useCiede ? [] : null;
-
-    for (const emoji of candidates) {
-      if (!emoji || !emoji.color) continue;
-
-      let dist;
-      let baseColorDist; // Base color distance before penalties (for CIEDE2000 re-ranking)
-      if (emoji._labProfile) {
-        // Multi-region profile: blend overall visual impression with best cluster match.
-        // For Jzazbz metric, convert profile clusters to Jzazbz on-the-fly
-        if (useJzazbz) {
-          let avgJz = 0, avgAz = 0, avgBz = 0, totalW = 0;
-          let minClusterDist = Infinity;
-          for (const entry of emoji._labProfile) {
-            // Convert linear RGB cluster to Jzazbz
-            const clusterJzazbz = this.linearToJzazbz(entry.lin);
-            avgJz += clusterJzazbz.Jz * entry.weight;
-            avgAz += clusterJzazbz.az * entry.weight;
-            avgBz += clusterJzazbz.bz * entry.weight;
-            totalW += entry.weight;
-            const d = this.jzazbzDistance(jzazbzTarget, clusterJzazbz);
-            if (d < minClusterDist) minClusterDist = d;
-          }
-          if (totalW > 0) {
-            const avgJzazbz = { Jz: avgJz / totalW, az: avgAz / totalW, bz: avgBz / totalW };
-            const avgDist = this.jzazbzDistance(jzazbzTarget, avgJzazbz);
-            dist = avgDist * 0.6 + minClusterDist * 0.4;
-            baseColorDist = dist;
-          } else {
-            dist = minClusterDist;
-            baseColorDist = dist;
-          }
+    let dist;
+    if (emoji._labProfile) {
+      // Multi-region profile: blend overall visual impression with best cluster match.
+      // For Jzazbz metric, convert profile clusters to Jzazbz on-the-fly
+      if (useJzazbz) {
+        let avgJz = 0, avgAz = 0, avgBz = 0, totalW = 0;
+        let minClusterDist = Infinity;
+        for (const entry of emoji._labProfile) {
+          // Convert linear RGB cluster to Jzazbz
+          const clusterJzazbz = this.linearToJzazbz(entry.lin);
+          avgJz += clusterJzazbz.Jz * entry.weight;
+          avgAz += clusterJzazbz.az * entry.weight;
+          avgBz += clusterJzazbz.bz * entry.weight;
+          totalW += entry.weight;
+          const d = this.jzazbzDistance(jzazbzTarget, clusterJzazbz);
+          if (d < minClusterDist) minClusterDist = d;
+        }
+        if (totalW > 0) {
+          const avgJzazbz = { Jz: avgJz / totalW, az: avgAz / totalW, bz: avgBz / totalW };
+          const avgDist = this.jzazbzDistance(jzazbzTarget, avgJzazbz);
+          dist = avgDist * 0.6 + minClusterDist * 0.4;
         } else {
-          // OKLab or OKLab+HK: use profile directly
-          let avgL = 0, avgA = 0, avgB = 0, totalW = 0;
-          let minClusterDist = Infinity;
-          for (const entry of emoji._labProfile) {
-            avgL += entry.lab.L * entry.weight;
-            avgA += entry.lab.a * entry.weight;
-            avgB += entry.lab.b * entry.weight;
-            totalW += entry.weight;
-            const d = distFn(targetLab, entry.lab);
-            if (d < minClusterDist) minClusterDist = d;
-          }
-          if (totalW > 0) {
-            const avgLab = { L: avgL / totalW, a: avgA / totalW, b: avgB / totalW };
-            const avgDist = distFn(targetLab, avgLab);
-            // Blend: overall impression (60%) + best cluster (40%)
-            dist = avgDist * 0.6 + minClusterDist * 0.4;
-            baseColorDist = dist;
-          } else {
-            dist = minClusterDist;
-            baseColorDist = dist;
-          }
+          dist = minClusterDist;
         }
-      } else if (useJzazbz && emoji._jzazbz) {
-        dist = this.jzazbzDistance(jzazbzTarget, emoji._jzazbz);
-        baseColorDist = dist;
       } else {
-        // Fallback: single mean + optional accent
-        const emojiLab = emoji._lab || this.linearToOklab(this.rgb8ToLinear(emoji.color));
-        dist = distFn(targetLab, emojiLab);
-
-        if (emoji._labAccent) {
-          const distAccent = distFn(targetLab, emoji._labAccent);
-          // Use whichever is closer; slightly favor the accent by making it 5% closer
-          dist = Math.min(dist, distAccent * 0.95);
+        // OKLab or OKLab+HK: use profile directly
+        let avgL = 0, avgA = 0, avgB = 0, totalW = 0;
+        let minClusterDist = Infinity;
+        for (const entry of emoji._labProfile) {
+          avgL += entry.lab.L * entry.weight;
+          avgA += entry.lab.a * entry.weight;
+          avgB += entry.lab.b * entry.weight;
+          totalW += entry.weight;
+          const d = distFn(targetLab, entry.lab);
+          if (d < minClusterDist) minClusterDist = d;
+        }
+        if (totalW > 0) {
+          const avgLab = { L: avgL / totalW, a: avgA / totalW, b: avgB / totalW };
+          const avgDist = distFn(targetLab, avgLab);
+          // Blend: overall impression (60%) + best cluster (40%)
+          dist = avgDist * 0.6 + minClusterDist * 0.4;
+        } else {
+          dist = minClusterDist;
         }
-        baseColorDist = dist;
       }
-
-      // If we couldn't read the emoji pixels during extraction (CORS/taint), its color is a fallback.
-      // Penalize these so they don't pollute matching.
-      if (emoji.colorError) {
-        dist += 0.35;
+    } else if (useJzazbz && emoji._jzazbz) {
+      dist = this.jzazbzDistance(jzazbzTarget, emoji._jzazbz);
+    } else {
+      // Fallback: single mean + optional accent
+      const emojiLab = emoji._lab || this.linearToOklab(this.rgb8ToLinear(emoji.color));
+      dist = distFn(targetLab, emojiLab);
+
+      if (emoji._labAccent) {
+        const distAccent = distFn(targetLab, emoji._labAccent);
+        // Use whichever is closer; slightly favor the accent by making it 5% closer
+        dist = Math.min(dist, distAccent * 0.95);
       }
+    }
 
-      // Penalize busy/outlined emojis when user wants more photo-like output.
-      // variance ~= 0 for solid blocks; higher for detailed icons.
-      const textureWeight = Math.max(0, Math.min(1, (this.options.texturePenalty ?? 0) / 100));
-      if (textureWeight > 0 && typeof emoji.variance === 'number') {
-        const v = Math.max(0, Math.min(255, emoji.variance)) / 255;
-        dist += v * (0.28 * textureWeight);
-      }
+    // Detail mode: blend in the layout comparison, measured in the same space as the color term
+    const structured = Boolean(target.patch);
+    if (structured) {
+      const structureDist = this.getStructureDistance(emoji, target, useJzazbz ? 'jzazbz' : 'oklab');
+      const weight = PixelArtConverter.DETAIL_STRUCTURE_WEIGHT;
+      dist = dist * (1 - weight) + structureDist * weight;
+    }
 
-      // For CIEDE2000: collect top 20 candidates by OKLab, then re-rank
-      if (useCiede) {
-        topCandidates.push({ emoji, dist, baseColorDist });
-        continue;
-      }
+    const penalty = this.getEmojiPenalty(emoji, structured);
+    return { dist: dist + penalty, penalty };
+  }
 
-      if (dist < bestDist) {
-        bestDist = dist;
-        best = emoji;
-      }
+  // CIEDE2000 score of an emoji for re-ranking: CIEDE2000 color distance, blended in detail mode
+  // with the CIEDE2000 layout distance, plus the `penalty` scoreEmoji() reported
+  scoreEmojiCiede(emoji, target, penalty) {
+    const cieLab = emoji._cieLab || this.linearToCieLab(emoji._lin || this.rgb8ToLinear(emoji.color));
+    emoji._cieLab = cieLab;
+    let dist = this.ciede2000Distance(target.cieLab, cieLab);
+    if (target.patch) {
+      const weight = PixelArtConverter.DETAIL_STRUCTURE_WEIGHT;
+      dist = dist * (1 - weight) + this.getStructureDistance(emoji, target, 'ciede2000') * weight;
+    }
+    return dist + penalty;
+  }
 
-      if (this.options.tolerance >= 100) {
-        continue;
-      }
+  // Target-independent part of an emoji's score (colorError, texture and name-length penalties).
+  // `structured` is true when matching against a detail-mode layout.
+  getEmojiPenalty(emoji, structured = false) {
+    let penalty = 0;
+
+    // If we couldn't read the emoji pixels during extraction (CORS/taint), its color is a fallback.
+    // Penalize these so they don't pollute matching.
+    if (emoji.colorError) {
+      penalty += 0.35;
+    }
 
-      const isExempted = this.isExemptedEmoji(emoji.name);
-      const usageCount = this.usedEmojis.get(emoji.name) || 0;
-      const maxUses = this.getEmojiMaxUses(emoji);
-      const allowed = isExempted || usageCount < maxUses;
+    // Penalize busy/outlined emojis when user wants more photo-like output.
+    // variance ~= 0 for solid blocks; higher for detailed icons.
+    // In detail mode a thumbnail already accounts for the emoji's busyness, so skip the penalty.
+    const textureWeight = Math.max(0, Math.min(1, (this.options.texturePenalty ?? 0) / 100));
+    if (textureWeight > 0 && typeof emoji.variance === 'number' && !(structured && emoji._thumbLab)) {
+      const v = Math.max(0, Math.min(255, emoji.variance)) / 255;
+      penalty += v * (0.28 * textureWeight);
+    }
 
-      if (allowed && dist < bestAllowedDist) {
-        bestAllowedDist = dist;
-        bestAllowed = emoji;
-      }
+    // Prefer shorter names so more cells fit in the character budget.
+    // Small enough to only decide between near-ties in color.
+    const nameWeight = Math.max(0, Math.min(1, this.options.shortNamePreference / 100));
+    if (nameWeight > 0) {
+      penalty += (this.getEmojiOutputName(emoji).length + 2) * PixelArtConverter.NAME_LENGTH_PENALTY * nameWeight;
     }
 
-    // CIEDE2000 re-ranking: sort by OKLab distance, take top 20, re-rank with CIEDE2000
-    if (useCiede && topCandidates.length > 0) {
-      topCandidates.sort((a, b) => a.dist - b.dist);
-      const rerank = topCandidates.slice(0, 20);
-      for (const entry of rerank) {
-        const cieLab = entry.emoji._cieLab || this.linearToCieLab(entry.emoji._lin || this.rgb8ToLinear(entry.emoji.color));
-        entry.emoji._cieLab = cieLab;
-        // Compute new base CIEDE2000 distance, then add back the penalties
-        const baseCiede = this.ciede2000Distance(ciede2000Target, cieLab);
-        const penalty = entry.dist - entry.baseColorDist;
-        entry.dist = baseCiede + penalty;
-      }
-      rerank.sort((a, b) => a.dist - b.dist);
-      best = rerank[0].emoji;
-      if (this.options.tolerance < 100) {
+    return penalty;
+  }
+
+  // Find the best matching emoji for a given color.
+  // `targetColor` is an sRGB 8-bit color ({r, g, b} in the 0..255 range).
+  // Optionally, a precomputed OKLab color ({L, a, b}) can be passed as
+  // `targetLabOverride` to avoid recomputing the RGB → linear RGB → OKLab conversion.
+  // Results are memoized per 8-bit target color (outside detail mode, where the layout matters too).
+  findBestEmoji(targetColor, targetLabOverride = null, patchLab = null) {
+    const useCiede = this.options.colorMetric === 'ciede2000';
+    const cacheKey = patchLab ? null : (targetColor.r << 16) | (targetColor.g << 8) | targetColor.b;
+    let match = cacheKey === null ? null : this.matchCache.get(cacheKey);
+
+    if (!match) {
+      const target = this.createMatchTarget(targetColor, targetLabOverride, patchLab);
+      match = { target, best: null, ranked: null, allowed: null, allowedEpoch: -1 };
+
+      if (useCiede) {
+        // CIEDE2000: take the top candidates by OKLab score, then re-rank them with CIEDE2000
+        const rerank = this.searchColorIndex(target, PixelArtConverter.CIEDE_RERANK_CANDIDATES);
         for (const entry of rerank) {
-          const isExempted = this.isExemptedEmoji(entry.emoji.name);
-          const usageCount = this.usedEmojis.get(entry.emoji.name) || 0;
-          const maxUses = this.getEmojiMaxUses(entry.emoji);
-          if (isExempted || usageCount < maxUses) {
-            bestAllowed = entry.emoji;
-            break;
-          }
+          entry.dist = this.scoreEmojiCiede(entry.emoji, target, entry.penalty);
         }
+        rerank.sort((a, b) => a.dist - b.dist);
+        match.ranked = rerank.map(entry => entry.emoji);
+        match.best = match.ranked[0] || null;
+      } else {
+        match.best = this.searchColorIndex(target, 1)[0]?.emoji || null;
+      }
+
+      if (cacheKey !== null) {
+        if (this.matchCache.size >= PixelArtConverter.MATCH_CACHE_LIMIT) this.matchCache.clear();
+        this.matchCache.set(cacheKey, match);
       }
     }
 
-    const chosen = this.options.tolerance >= 100 ? best : (bestAllowed || best);
-    if (chosen) {
-      const count = this.usedEmojis.get(chosen.name) || 0;
-      this.usedEmojis.set(chosen.name, count + 1);
+    let chosen = match.best;
+    if (chosen && this.options.tolerance < 100) {
+      if (useCiede) {
+        chosen = match.ranked.find(emoji => this.isEmojiAllowed(emoji)) || match.best;
+      } else {
+        // Usage only grows between resets, so a remembered allowed match stays the best allowed
+        // one for as long as it is still under its cap
+        if (match.allowedEpoch !== this.usageEpoch || !match.allowed || !this.isEmojiAllowed(match.allowed)) {
+          match.allowed = this.searchColorIndex(match.target, 1, true)[0]?.emoji || null;
+          match.allowedEpoch = this.usageEpoch;
+        }
+        chosen = match.allowed || match.best;
+      }
     }
+
+    if (chosen) this.recordEmojiUse(chosen);
     return chosen;
   }
 
   // Find best emoji for a linear color with dithering (target in linear 0..1)
-  findBestEmojiFromLinear(targetLinear) {
+  findBestEmojiFromLinear(targetLinear, patchLab = null) {
     const targetRgb = this.linearToRgb8(targetLinear);
     const targetLab = this.linearToOklab(targetLinear);
-    return this.findBestEmoji(targetRgb, targetLab);
+    return this.findBestEmoji(targetRgb, targetLab, patchLab);
   }
 
-  // Load and process an image
-  async loadImage(source, isUrl = true) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
+  // OKLab layout of a detail-mode cell. When the cell's mean color was moved to `targetLinear`
+  // (dither error, ordered-dither threshold), every sub-cell is shifted by the same amount.
+  // Returns null outside detail mode.
+  getPatchLab(pixel, targetLinear = null) {
+    if (!pixel || !pixel.patch) return null;
+    const mean = this.rgb8ToLinear(pixel);
+    const dr = targetLinear ? targetLinear.r - mean.r : 0;
+    const dg = targetLinear ? targetLinear.g - mean.g : 0;
+    const db = targetLinear ? targetLinear.b - mean.b : 0;
+    return pixel.patch.map(lin => this.linearToOklab(this.clampLinear({ r: lin.r + dr, g: lin.g + dg, b: lin.b + db })));
+  }
 
-      img.onload = () => resolve(img);
-      img.onerror = () => reject(new Error('Failed to load image'));
+  // Keep the emoji from the previous animation frame when it still matches the target closely.
+  // Avoids flicker between near-identical matches and counts toward the usage cap like a normal match.
+  // Not used in detail mode, where matching the mean color alone could keep a flat emoji on an edge.
+  reusePreviousEmoji(previousEmoji, targetLinear) {
+    if (!previousEmoji || !previousEmoji._lab || this.options.matchMode === 'detail') return null;
 
-      if (isUrl) {
-        const parsedUrl = new URL(source);
-        if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
-          reject(new Error('Only http and https URLs are allowed'));
-          return;
-        }
-        img.crossOrigin = 'Anonymous';
-        img.src = source;
-      } else {
-        // source is a File object
-        const reader = new FileReader();
-        reader.onload = (e) => {
-          img.src = e.target.result;
-        };
-        reader.onerror = () => reject(new Error('Failed to read file'));
-        reader.readAsDataURL(source);
-      }
-    });
-  }
+    if (!this.isEmojiAllowed(previousEmoji)) return null;
 
-  // High-quality image resizing using multi-step downscaling
-  // Similar to PIL's LANCZOS - reduces artifacts and aliasing
-  resizeImageHighQuality(img, targetWidth, targetHeight) {
-    // For significant downscaling, use multi-step approach
-    // This mimics LANCZOS-style quality by progressively halving
-    let currentWidth = img.width;
-    let currentHeight = img.height;
+    const targetLab = this.linearToOklab(targetLinear);
+    if (this.oklabDistance(targetLab, previousEmoji._lab) > PixelArtConverter.FRAME_REUSE_DISTANCE) {
+      return null;
+    }
 
-    // Create source canvas with original image
-    let sourceCanvas = document.createElement('canvas');
-    const sourceCtx = sourceCanvas.getContext('2d');
-    sourceCanvas.width = currentWidth;
-    sourceCanvas.height = currentHeight;
+    this.recordEmojiUse(previousEmoji);
+    return previousEmoji;
+  }
 
-    // Fill with white background first (handles transparency like Python)
-    sourceCtx.fillStyle = '#FFFFFF';
-    sourceCtx.fillRect(0, 0, currentWidth, currentHeight);
-    sourceCtx.drawImage(img, 0, 0);
+  // -------- Global assignment under the usage cap --------
 
-    // Progressive downscaling - halve dimensions until close to target
-    while (currentWidth / 2 > targetWidth && currentHeight / 2 > targetHeight) {
-      const newWidth = Math.floor(currentWidth / 2);
-      const newHeight = Math.floor(currentHeight / 2);
+  // Cost used by the global optimizer: the same score as findBestEmoji, with the CIEDE2000 base
+  // distance swapped in directly (there is no top-20 re-ranking step to defer it to).
+  assignmentCost(emoji, target) {
+    const { dist, penalty } = this.scoreEmoji(emoji, target);
+    if (this.options.colorMetric !== 'ciede2000') return dist;
+    return this.scoreEmojiCiede(emoji, target, penalty);
+  }
 
-      const tempCanvas = document.createElement('canvas');
-      const tempCtx = tempCanvas.getContext('2d');
-      tempCanvas.width = newWidth;
-      tempCanvas.height = newHeight;
+  // Usage cap as a capacity; exempted (neutral/filler) emojis are never capped
+  getEmojiCapacity(emoji) {
+    return this.isExemptedEmoji(emoji.name) ? Infinity : this.getEmojiMaxUses(emoji);
+  }
 
-      tempCtx.imageSmoothingEnabled = true;
-      tempCtx.imageSmoothingQuality = 'high';
-      tempCtx.drawImage(sourceCanvas, 0, 0, newWidth, newHeight);
+  // Re-assign the greedy grid so total perceptual error is minimized across the whole image while
+  // every emoji stays within its usage cap. `targets` holds the color each cell was matched against
+  // (after dithering), so the optimizer keeps the dithering intent of the greedy pass.
+  async optimizeAssignment(grid, targets, w, h, onProgress = null) {
+    if (onProgress) onProgress(80, 'Optimizing emoji assignment...');
 
-      sourceCanvas = tempCanvas;
-      currentWidth = newWidth;
-      currentHeight = newHeight;
+    const cells = [];
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        if (!grid[y][x] || !targets[y][x]) continue;
+        const { rgb, lab, patchLab } = targets[y][x];
+        const matchTarget = this.createMatchTarget(rgb, lab, patchLab);
+        const costs = new Map(); // emoji name -> cost, filled lazily
+        cells.push({ x, y, rgb, matchTarget, costs, current: grid[y][x], candidates: null });
+      }
+    }
+    if (cells.length === 0) return grid;
+
+    // Keep the K cheapest emojis per cell, always including the greedy choice so the
+    // greedy assignment remains a feasible solution. CIEDE2000 costs are taken over the same
+    // OKLab-ranked pool findBestEmoji re-ranks.
+    const k = PixelArtConverter.GLOBAL_ASSIGNMENT_CANDIDATES;
+    const useCiede = this.options.colorMetric === 'ciede2000';
+    const poolSize = useCiede ? Math.max(k, PixelArtConverter.CIEDE_RERANK_CANDIDATES) : k;
+    for (const cell of cells) {
+      await this.checkpoint();
+      const scored = this.searchColorIndex(cell.matchTarget, poolSize).map(({ emoji, dist }) => ({
+        emoji,
+        cost: useCiede ? this.assignmentCost(emoji, cell.matchTarget) : dist
+      }));
+      scored.sort((a, b) => a.cost - b.cost);
+      const candidates = scored.slice(0, k);
+      if (!candidates.some(c => c.emoji === cell.current)) {
+        candidates.push({ emoji: cell.current, cost: this.assignmentCost(cell.current, cell.matchTarget) });
+      }
+      for (const c of candidates) cell.costs.set(c.emoji.name, c.cost);
+      cell.candidates = candidates;
     }
 
-    // Final resize to exact target dimensions
-    const finalCanvas = document.createElement('canvas');
-    const finalCtx = finalCanvas.getContext('2d');
-    finalCanvas.width = targetWidth;
-    finalCanvas.height = targetHeight;
-
-    finalCtx.imageSmoothingEnabled = true;
-    finalCtx.imageSmoothingQuality = 'high';
-    finalCtx.drawImage(sourceCanvas, 0, 0, targetWidth, targetHeight);
+    const assignment = cells.length <= PixelArtConverter.GLOBAL_FLOW_MAX_CELLS
+      ? await this.solveMinCostAssignment(cells, onProgress)
+      : await this.refineAssignmentBySwaps(cells, onProgress);
 
-    return finalCanvas;
+    const result = grid.map(row => row.slice());
+    this.resetEmojiUsage();
+    cells.forEach((cell, i) => {
+      result[cell.y][cell.x] = assignment[i];
+    });
+    for (const row of result) {
+      for (const emoji of row) {
+        if (emoji) this.recordEmojiUse(emoji);
+      }
+    }
+    return result;
   }
 
-  // Create an ImageData snapshot of the source image for sampling.
-  // Optionally downscales very large images first to keep memory/CPU bounded.
-  getSourceImageData(img) {
-    const maxSide = Math.max(1, this.options.rasterMaxSourceSide ?? 2048);
-    const scale = Math.min(1, maxSide / Math.max(img.width, img.height));
-    const sw = Math.max(1, Math.floor(img.width * scale));
-    const sh = Math.max(1, Math.floor(img.height * scale));
+  // Exact minimum-cost assignment via min-cost flow (successive shortest paths with potentials).
+  // Graph: source -> cell (cap 1) -> candidate emoji (cap 1, cost) -> sink (cap = usage cap).
+  async solveMinCostAssignment(cells, onProgress = null) {
+    const n = cells.length;
+    const emojiIndex = new Map(); // emoji name -> node
+    const emojiNodes = [];
+    const greedyUsage = new Map();
+    for (const cell of cells) {
+      greedyUsage.set(cell.current.name, (greedyUsage.get(cell.current.name) || 0) + 1);
+      for (const { emoji } of cell.candidates) {
+        if (!emojiIndex.has(emoji.name)) {
+          emojiIndex.set(emoji.name, n + 1 + emojiNodes.length);
+          emojiNodes.push(emoji);
+        }
+      }
+    }
 
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d', { willReadFrequently: true });
-    canvas.width = sw;
-    canvas.height = sh;
+    const source = 0;
+    const sink = n + 1 + emojiNodes.length;
+    const nodeCount = sink + 1;
+    const head = new Int32Array(nodeCount).fill(-1);
+    const to = [];
+    const cap = [];
+    const cost = [];
+    const next = [];
+    const addEdge = (u, v, capacity, edgeCost) => {
+      to.push(v); cap.push(capacity); cost.push(edgeCost); next.push(head[u]); head[u] = to.length - 1;
+      to.push(u); cap.push(0); cost.push(-edgeCost); next.push(head[v]); head[v] = to.length - 1;
+    };
 
-    // Draw without pre-filling; we handle alpha compositing ourselves in linear space.
-    ctx.imageSmoothingEnabled = true;
-    ctx.imageSmoothingQuality = 'high';
-    ctx.drawImage(img, 0, 0, sw, sh);
+    // Integer costs keep reduced costs exact across Dijkstra runs
+    const scale = 1e6;
+    const cellEdges = [];
+    cells.forEach((cell, i) => {
+      addEdge(source, i + 1, 1, 0);
+      const edges = [];
+      for (const { emoji, cost: c } of cell.candidates) {
+        edges.push({ edge: to.length, emoji });
+        addEdge(i + 1, emojiIndex.get(emoji.name), 1, Math.round(c * scale));
+      }
+      cellEdges.push(edges);
+    });
+    for (const emoji of emojiNodes) {
+      // Never below the greedy usage, so the greedy assignment stays feasible even when
+      // the greedy pass had to exceed the cap for lack of alternatives
+      const capacity = Math.min(n, Math.max(this.getEmojiCapacity(emoji), greedyUsage.get(emoji.name) || 0));
+      addEdge(emojiIndex.get(emoji.name), sink, capacity, 0);
+    }
 
-    return { imageData: ctx.getImageData(0, 0, sw, sh), sw, sh };
-  }
+    const potential = new Float64Array(nodeCount);
+    const dist = new Float64Array(nodeCount);
+    const prevEdge = new Int32Array(nodeCount);
 
-  lerp(a, b, t) {
-    return a + (b - a) * t;
-  }
+    for (let flow = 0; flow < n; flow++) {
+      await this.checkpoint();
+      if (onProgress && flow % 50 === 0) {
+        onProgress(80 + Math.floor((flow / n) * 2), `Optimizing emoji assignment... ${flow}/${n}`);
+      }
 
-  // Lanczos3 kernel function for high-quality resampling
-  lanczos3(x) {
-    if (x === 0) return 1;
-    if (x < -3 || x > 3) return 0;
-    const pi = Math.PI;
-    const px = pi * x;
-    return (3 * Math.sin(px) * Math.sin(px / 3)) / (px * px);
-  }
+      // Dijkstra on reduced costs with a binary heap of [dist, node] pairs (lazy deletion)
+      dist.fill(Infinity);
+      prevEdge.fill(-1);
+      dist[source] = 0;
+      const heap = [[0, source]];
+      while (heap.length > 0) {
+        const [d, u] = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+          heap[0] = last;
+          for (let i = 0; ;) {
+            const l = 2 * i + 1;
+            const r = l + 1;
+            let m = i;
+            if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+            if (r < heap.length && heap[r][0] < heap[m][0]) m = r;
+            if (m === i) break;
+            [heap[i], heap[m]] = [heap[m], heap[i]];
+            i = m;
+          }
+        }
+        if (d > dist[u]) continue;
+
+        for (let e = head[u]; e !== -1; e = next[e]) {
+          if (cap[e] <= 0) continue;
+          const v = to[e];
+          const nd = d + cost[e] + potential[u] - potential[v];
+          if (nd < dist[v]) {
+            dist[v] = nd;
+            prevEdge[v] = e;
+            heap.push([nd, v]);
+            for (let i = heap.length - 1; i > 0;) {
+              const p = (i - 1) >> 1;
+              if (heap[p][0] <= heap[i][0]) break;
+              [heap[i], heap[p]] = [heap[p], heap[i]];
+              i = p;
+            }
+          }
+        }
+      }
+
+      if (dist[sink] === Infinity) break; // Cannot happen while the greedy assignment is feasible
+
+      for (let v = 0; v < nodeCount; v++) {
+        if (dist[v] < Infinity) potential[v] += dist[v];
+      }
+      for (let v = sink; v !== source; v = to[prevEdge[v] ^ 1]) {
+        cap[prevEdge[v]] -= 1;
+        cap[prevEdge[v] ^ 1] += 1;
+      }
+    }
+
+    // A saturated cell -> emoji edge is the chosen assignment
+    return cells.map((cell, i) => {
+      const chosen = cellEdges[i].find(({ edge }) => cap[edge] === 0);
+      return chosen ? chosen.emoji : cell.current;
+    });
+  }
+
+  // Local search for large grids: starting from the greedy result, move each cell to a cheaper
+  // candidate with spare capacity, or swap emojis with another cell when that lowers the total cost.
+  async refineAssignmentBySwaps(cells, onProgress = null) {
+    const assigned = cells.map(cell => cell.current);
+    const usage = new Map();
+    const cellsByEmoji = new Map(); // emoji name -> Set of cell indices
+    assigned.forEach((emoji, i) => {
+      usage.set(emoji.name, (usage.get(emoji.name) || 0) + 1);
+      if (!cellsByEmoji.has(emoji.name)) cellsByEmoji.set(emoji.name, new Set());
+      cellsByEmoji.get(emoji.name).add(i);
+    });
+
+    const costOf = (i, emoji) => {
+      const cell = cells[i];
+      let c = cell.costs.get(emoji.name);
+      if (c === undefined) {
+        c = this.assignmentCost(emoji, cell.matchTarget);
+        cell.costs.set(emoji.name, c);
+      }
+      return c;
+    };
+
+    const reassign = (i, emoji) => {
+      const old = assigned[i];
+      usage.set(old.name, usage.get(old.name) - 1);
+      cellsByEmoji.get(old.name).delete(i);
+      usage.set(emoji.name, (usage.get(emoji.name) || 0) + 1);
+      if (!cellsByEmoji.has(emoji.name)) cellsByEmoji.set(emoji.name, new Set());
+      cellsByEmoji.get(emoji.name).add(i);
+      assigned[i] = emoji;
+    };
+
+    const epsilon = 1e-9;
+    const maxSwapPartners = PixelArtConverter.GLOBAL_SWAP_PARTNERS;
+
+    for (let pass = 1; pass <= PixelArtConverter.GLOBAL_SWAP_PASSES; pass++) {
+      if (onProgress) onProgress(80 + pass - 1, `Refining emoji assignment (pass ${pass})...`);
+      let improved = 0;
+
+      for (let i = 0; i < cells.length; i++) {
+        await this.checkpoint();
+        const current = assigned[i];
+        const currentCost = costOf(i, current);
+
+        for (const { emoji, cost: candidateCost } of cells[i].candidates) {
+          if (candidateCost >= currentCost - epsilon) break; // Sorted: nothing cheaper left
+          if (emoji === current) continue;
+
+          if ((usage.get(emoji.name) || 0) < this.getEmojiCapacity(emoji)) {
+            reassign(i, emoji);
+            improved++;
+            break;
+          }
+
+          // Full: look for a holder of `emoji` that gains (or loses least) by taking ours
+          let bestPartner = -1;
+          let bestGain = epsilon;
+          let checked = 0;
+          for (const j of cellsByEmoji.get(emoji.name) || []) {
+            if (checked++ >= maxSwapPartners) break;
+            const gain = (currentCost - candidateCost) + (costOf(j, emoji) - costOf(j, current));
+            if (gain > bestGain) {
+              bestGain = gain;
+              bestPartner = j;
+            }
+          }
+          if (bestPartner !== -1) {
+            reassign(bestPartner, current);
+            reassign(i, emoji);
+            improved++;
+            break;
+          }
+        }
+      }
+
+      if (improved === 0) break;
+    }
+
+    return assigned;
+  }
+
+  // -------- Animated GIF decoding --------
+
+  // True when the buffer starts with a GIF87a/GIF89a signature
+  static isGif(buffer) {
+    const bytes = new Uint8Array(buffer, 0, Math.min(6, buffer.byteLength));
+    return bytes.length === 6 &&
+      bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46 && // "GIF"
+      bytes[3] === 0x38 && (bytes[4] === 0x37 || bytes[4] === 0x39) && bytes[5] === 0x61; // "87a" / "89a"
+  }
+
+  // Parse the GIF block structure without decoding pixel data.
+  // Returns the logical screen size and one entry per image with its LZW data and
+  // graphics-control settings (delay in ms, disposal method, transparent index).
+  static parseGif(buffer) {
+    if (!PixelArtConverter.isGif(buffer)) {
+      throw new Error('Not a GIF file');
+    }
+
+    const bytes = new Uint8Array(buffer);
+    let pos = 6;
+
+    const readU16 = () => {
+      const v = bytes[pos] | (bytes[pos + 1] << 8);
+      pos += 2;
+      return v;
+    };
+
+    const skipSubBlocks = () => {
+      while (pos < bytes.length) {
+        const len = bytes[pos++];
+        if (len === 0) break;
+        pos += len;
+      }
+    };
+
+    const readSubBlocks = () => {
+      const chunks = [];
+      let total = 0;
+      while (pos < bytes.length) {
+        const len = bytes[pos++];
+        if (len === 0) break;
+        chunks.push(bytes.subarray(pos, Math.min(bytes.length, pos + len)));
+        total += len;
+        pos += len;
+      }
+      const data = new Uint8Array(total);
+      let offset = 0;
+      for (const chunk of chunks) {
+        data.set(chunk, offset);
+        offset += chunk.length;
+      }
+      return data;
+    };
+
+    const width = readU16();
+    const height = readU16();
+    const screenFlags = bytes[pos];
+    pos += 3; // flags, background color index, pixel aspect ratio
+
+    let globalPalette = null;
+    if (screenFlags & 0x80) {
+      const size = 3 * (1 << ((screenFlags & 0x07) + 1));
+      globalPalette = bytes.subarray(pos, pos + size);
+      pos += size;
+    }
+
+    const frames = [];
+    let control = null;
+
+    while (pos < bytes.length) {
+      const block = bytes[pos++];
+
+      if (block === 0x3B) break; // Trailer
+
+      if (block === 0x21) {
+        const label = bytes[pos++];
+        if (label === 0xF9 && bytes[pos] >= 4) {
+          // Graphics Control Extension
+          const flags = bytes[pos + 1];
+          control = {
+            disposal: (flags >> 2) & 0x07,
+            delay: (bytes[pos + 2] | (bytes[pos + 3] << 8)) * 10,
+            transparentIndex: (flags & 0x01) ? bytes[pos + 4] : -1
+          };
+          pos += bytes[pos] + 1;
+        }
+        skipSubBlocks();
+        continue;
+      }
+
+      if (block === 0x2C) {
+        const left = readU16();
+        const top = readU16();
+        const frameWidth = readU16();
+        const frameHeight = readU16();
+        const flags = bytes[pos++];
+
+        let palette = globalPalette;
+        if (flags & 0x80) {
+          const size = 3 * (1 << ((flags & 0x07) + 1));
+          palette = bytes.subarray(pos, pos + size);
+          pos += size;
+        }
+
+        const minCodeSize = bytes[pos++];
+        const data = readSubBlocks();
+
+        frames.push({
+          left,
+          top,
+          width: frameWidth,
+          height: frameHeight,
+          interlaced: Boolean(flags & 0x40),
+          palette,
+          minCodeSize,
+          data,
+          delay: control ? control.delay : 0,
+          disposal: control ? control.disposal : 0,
+          transparentIndex: control ? control.transparentIndex : -1
+        });
+        control = null;
+        continue;
+      }
+
+      // Unknown block: stop rather than misread the rest of the file
+      break;
+    }
+
+    return { width, height, frames };
+  }
+
+  // Decode GIF LZW image data into an array of palette indices
+  static decodeGifLzw(minCodeSize, data, pixelCount) {
+    const output = new Uint8Array(pixelCount);
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+
+    const prefix = new Int16Array(4096);
+    const suffix = new Uint8Array(4096);
+    const firstByte = new Uint8Array(4096);
+    const lengths = new Uint16Array(4096);
+    for (let i = 0; i < clearCode; i++) {
+      prefix[i] = -1;
+      suffix[i] = i;
+      firstByte[i] = i;
+      lengths[i] = 1;
+    }
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let prev = -1;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let outPos = 0;
+    let i = 0;
+
+    // Write the string for `code` at the current output position (strings are stored back to front)
+    const writeString = (code) => {
+      const len = lengths[code];
+      let p = outPos + len - 1;
+      let c = code;
+      while (c !== -1) {
+        if (p < pixelCount) output[p] = suffix[c];
+        p--;
+        c = prefix[c];
+      }
+      outPos += len;
+    };
+
+    const addEntry = (prefixCode, byte) => {
+      if (nextCode >= 4096) return;
+      prefix[nextCode] = prefixCode;
+      suffix[nextCode] = byte;
+      firstByte[nextCode] = firstByte[prefixCode];
+      lengths[nextCode] = lengths[prefixCode] + 1;
+      nextCode++;
+      if (nextCode === (1 << codeSize) && codeSize < 12) {
+        codeSize++;
+      }
+    };
+
+    while (outPos < pixelCount) {
+      while (bitCount < codeSize && i < data.length) {
+        bitBuffer |= data[i++] << bitCount;
+        bitCount += 8;
+      }
+      if (bitCount < codeSize) break;
+
+      const code = bitBuffer & ((1 << codeSize) - 1);
+      bitBuffer >>>= codeSize;
+      bitCount -= codeSize;
+
+      if (code === clearCode) {
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+        prev = -1;
+        continue;
+      }
+      if (code === endCode) break;
+
+      if (prev === -1) {
+        if (code >= clearCode) break; // Corrupt stream
+        writeString(code);
+      } else if (code < nextCode) {
+        writeString(code);
+        addEntry(prev, firstByte[code]);
+      } else if (code === nextCode) {
+        // KwKwK case: the new string is prev + first byte of prev
+        addEntry(prev, firstByte[prev]);
+        writeString(code);
+      } else {
+        break; // Corrupt stream
+      }
+      prev = code;
+    }
+
+    return output;
+  }
+
+  // Decode and composite GIF frames into full-size RGBA buffers, honoring disposal methods.
+  // Only frames selected by { start, end, stride } (0-based, `end` inclusive) are kept, but every
+  // frame is still composited because later frames draw on top of earlier ones.
+  static decodeGifFrames(buffer, { start = 0, end = null, stride = 1 } = {}) {
+    const gif = PixelArtConverter.parseGif(buffer);
+    const { width, height } = gif;
+    const canvas = new Uint8ClampedArray(width * height * 4);
+    const lastIndex = end == null ? gif.frames.length - 1 : Math.min(end, gif.frames.length - 1);
+    const step = Math.max(1, stride | 0);
+    const frames = [];
+
+    for (let f = 0; f <= lastIndex; f++) {
+      const frame = gif.frames[f];
+      const saved = frame.disposal === 3 ? canvas.slice() : null;
+
+      const indices = PixelArtConverter.decodeGifLzw(frame.minCodeSize, frame.data, frame.width * frame.height);
+
+      // Interlaced images store rows in four passes: every 8th from 0, every 8th from 4, every 4th from 2, odd rows
+      let rowOrder = null;
+      if (frame.interlaced) {
+        rowOrder = [];
+        for (const [first, rowStep] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+          for (let y = first; y < frame.height; y += rowStep) rowOrder.push(y);
+        }
+      }
+
+      if (frame.palette) {
+        for (let row = 0; row < frame.height; row++) {
+          const y = frame.top + (rowOrder ? rowOrder[row] : row);
+          if (y >= height) continue;
+          for (let col = 0; col < frame.width; col++) {
+            const x = frame.left + col;
+            if (x >= width) continue;
+            const index = indices[row * frame.width + col];
+            if (index === frame.transparentIndex || index * 3 + 2 >= frame.palette.length) continue;
+            const o = (y * width + x) * 4;
+            canvas[o] = frame.palette[index * 3];
+            canvas[o + 1] = frame.palette[index * 3 + 1];
+            canvas[o + 2] = frame.palette[index * 3 + 2];
+            canvas[o + 3] = 255;
+          }
+        }
+      }
+
+      if (f >= start && (f - start) % step === 0) {
+        // Browsers treat very short delays as 100ms; match them so playback speed looks the same
+        frames.push({ index: f, data: canvas.slice(), delay: frame.delay >= 20 ? frame.delay : 100 });
+      }
+
+      if (frame.disposal === 2) {
+        // Restore to background (transparent)
+        for (let y = frame.top; y < Math.min(height, frame.top + frame.height); y++) {
+          for (let x = frame.left; x < Math.min(width, frame.left + frame.width); x++) {
+            canvas.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 4);
+          }
+        }
+      } else if (saved) {
+        canvas.set(saved);
+      }
+    }
+
+    return { width, height, totalFrames: gif.frames.length, frames };
+  }
+
+  // Create a 2D canvas; uses OffscreenCanvas when running inside a worker (no DOM)
+  createCanvas(width, height) {
+    if (typeof document === 'undefined') {
+      return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  // Load and process an image.
+  // Accepts an ImageBitmap (already decoded, e.g. transferred to a worker), a URL, or a File.
+  async loadImage(source, isUrl = true) {
+    if (typeof ImageBitmap !== 'undefined' && source instanceof ImageBitmap) {
+      return source;
+    }
+
+    // Workers have no Image element or FileReader; decode with createImageBitmap instead
+    if (typeof Image === 'undefined') {
+      if (isUrl) {
+        const parsedUrl = new URL(source);
+        if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+          throw new Error('Only http and https URLs are allowed');
+        }
+        const response = await fetch(source);
+        if (!response.ok) {
+          throw new Error('Failed to load image');
+        }
+        return createImageBitmap(await response.blob());
+      }
+      return createImageBitmap(source);
+    }
+
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Failed to load image'));
+
+      if (isUrl) {
+        const parsedUrl = new URL(source);
+        if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+          reject(new Error('Only http and https URLs are allowed'));
+          return;
+        }
+        img.crossOrigin = 'Anonymous';
+        img.src = source;
+      } else {
+        // source is a File object
+        const reader = new FileReader();
+        reader.onload = (e) => {
+          img.src = e.target.result;
+        };
+        reader.onerror = () => reject(new Error('Failed to read file'));
+        reader.readAsDataURL(source);
+      }
+    });
+  }
+
+  // High-quality image resizing using multi-step downscaling
+  // Similar to PIL's LANCZOS - reduces artifacts and aliasing
+  resizeImageHighQuality(img, targetWidth, targetHeight) {
+    // For significant downscaling, use multi-step approach
+    // This mimics LANCZOS-style quality by progressively halving
+    let currentWidth = img.width;
+    let currentHeight = img.height;
+
+    // Create source canvas with original image
+    let sourceCanvas = this.createCanvas(currentWidth, currentHeight);
+    const sourceCtx = sourceCanvas.getContext('2d');
+
+    // Fill with white background first (handles transparency like Python)
+    sourceCtx.fillStyle = '#FFFFFF';
+    sourceCtx.fillRect(0, 0, currentWidth, currentHeight);
+    sourceCtx.drawImage(img, 0, 0);
+
+    // Progressive downscaling - halve dimensions until close to target
+    while (currentWidth / 2 > targetWidth && currentHeight / 2 > targetHeight) {
+      const newWidth = Math.floor(currentWidth / 2);
+      const newHeight = Math.floor(currentHeight / 2);
+
+      const tempCanvas = this.createCanvas(newWidth, newHeight);
+      const tempCtx = tempCanvas.getContext('2d');
+
+      tempCtx.imageSmoothingEnabled = true;
+      tempCtx.imageSmoothingQuality = 'high';
+      tempCtx.drawImage(sourceCanvas, 0, 0, newWidth, newHeight);
+
+      sourceCanvas = tempCanvas;
+      currentWidth = newWidth;
+      currentHeight = newHeight;
+    }
+
+    // Final resize to exact target dimensions
+    const finalCanvas = this.createCanvas(targetWidth, targetHeight);
+    const finalCtx = finalCanvas.getContext('2d');
+
+    finalCtx.imageSmoothingEnabled = true;
+    finalCtx.imageSmoothingQuality = 'high';
+    finalCtx.drawImage(sourceCanvas, 0, 0, targetWidth, targetHeight);
+
+    return finalCanvas;
+  }
+
+  // Create an ImageData snapshot of the source image for sampling.
+  // Optionally downscales very large images first to keep memory/CPU bounded.
+  getSourceImageData(img) {
+    const maxSide = Math.max(1, this.options.rasterMaxSourceSide ?? 2048);
+    const scale = Math.min(1, maxSide / Math.max(img.width, img.height));
+    const sw = Math.max(1, Math.floor(img.width * scale));
+    const sh = Math.max(1, Math.floor(img.height * scale));
+
+    const canvas = this.createCanvas(sw, sh);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    // Draw without pre-filling; we handle alpha compositing ourselves in linear space.
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(img, 0, 0, sw, sh);
+
+    return { imageData: ctx.getImageData(0, 0, sw, sh), sw, sh };
+  }
+
+  lerp(a, b, t) {
+    return a + (b - a) * t;
+  }
+
+  // Lanczos3 kernel function for high-quality resampling
+  lanczos3(x) {
+    if (x === 0) return 1;
+    if (x < -3 || x > 3) return 0;
+    const pi = Math.PI;
+    const px = pi * x;
+    return (3 * Math.sin(px) * Math.sin(px / 3)) / (px * px);
+  }
 
   // Sample using Lanczos3 interpolation for superior quality
   sampleSourceLanczos(imageData, sw, sh, x, y) {
@@ -1175,6 +2209,45 @@ class PixelArtConverter {
     return result;
   }
 
+  // Rasterize the source into one color per cell. In detail mode the source is rasterized at
+  // DETAIL_GRID× the resolution and every cell also carries its sub-cell `patch` (linear RGB,
+  // row-major); the cell color is the patch average.
+  extractCellPixels(img, width, height) {
+    const start = performance.now();
+    try {
+      if (this.options.matchMode !== 'detail') {
+        return this.extractPixelColors(img, width, height);
+      }
+
+      const n = PixelArtConverter.DETAIL_GRID;
+      const fine = this.extractPixelColors(img, width * n, height * n);
+      const pixels = [];
+      for (let y = 0; y < height; y++) {
+        const row = [];
+        for (let x = 0; x < width; x++) {
+          const patch = [];
+          let r = 0, g = 0, b = 0;
+          for (let sy = 0; sy < n; sy++) {
+            for (let sx = 0; sx < n; sx++) {
+              const lin = this.rgb8ToLinear(fine[y * n + sy][x * n + sx]);
+              patch.push(lin);
+              r += lin.r;
+              g += lin.g;
+              b += lin.b;
+            }
+          }
+          const count = n * n;
+          const mean = this.linearToRgb8({ r: r / count, g: g / count, b: b / count });
+          row.push({ ...mean, a: 255, patch });
+        }
+        pixels.push(row);
+      }
+      return pixels;
+    } finally {
+      this.recordTiming('rasterize', start);
+    }
+  }
+
   // Extract pixel colors from an image with high-quality resampling
   extractPixelColors(img, width, height) {
     // Prefer gamma-correct supersampled rasterization for best palette matching.
@@ -1329,21 +2402,144 @@ class PixelArtConverter {
     return isPhoto;
   }
 
-  // Apply spatial coherence: prefer neighboring emojis when close in color distance
-  applySpatialCoherence(grid, pixels, w, h) {
-    const strength = Math.max(0, Math.min(1, (this.options.coherenceStrength ?? 50) / 100));
-    if (strength <= 0) return grid;
+  // Adaptive dithering: sigmoid attenuation for edges, boost for smooth gradients.
+  // Shared by every error-diffusion kernel and the ordered (Bayer / blue-noise) thresholds.
+  adaptDitherStrength(baseStrength, localVariance, x, y) {
+    if (!localVariance) return baseStrength;
+
+    let ditherStrength = baseStrength;
+    const { variance, gradient } = localVariance[y][x];
+    // Sigmoid attenuation: sharp rolloff near threshold preserves detail
+    const k = 10;
+    const threshold = 0.15;
+    ditherStrength *= 1.0 / (1.0 + Math.exp(k * (variance - threshold)));
+    // Boost dither on smooth ramps (high gradient, low variance) by up to 20%
+    if (gradient > 0.05 && variance < threshold) {
+      ditherStrength *= 1.0 + 0.2 * (gradient / 0.5);
+    }
+    return ditherStrength;
+  }
 
-    const newGrid = grid.map(row => [...row]);
-    const directions = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+  // Ordered-dither threshold in [-0.5, 0.5) for a cell: blue noise when that algorithm is
+  // selected, the 8×8 Bayer matrix otherwise (hybrid mode's flat regions)
+  getOrderedThreshold(x, y) {
+    if (this.options.ditherAlgorithm === 'blue-noise') {
+      const size = PixelArtConverter.BLUE_NOISE_SIZE;
+      return PixelArtConverter.getBlueNoiseMask()[(y % size) * size + (x % size)];
+    }
+    return PixelArtConverter.BAYER_8X8[y % 8][x % 8] - 0.5;
+  }
 
-    for (let y = 0; y < h; y++) {
-      for (let x = 0; x < w; x++) {
-        const current = grid[y][x];
-        if (!current || !current.color) continue;
+  static getBlueNoiseMask() {
+    if (!PixelArtConverter.blueNoiseMask) {
+      PixelArtConverter.blueNoiseMask = PixelArtConverter.generateBlueNoiseMask(PixelArtConverter.BLUE_NOISE_SIZE);
+    }
+    return PixelArtConverter.blueNoiseMask;
+  }
 
-        const targetLab = this.linearToOklab(this.rgb8ToLinear(pixels[y][x]));
-        const currentLab = current._lab || this.linearToOklab(this.rgb8ToLinear(current.color));
+  // Tileable blue-noise threshold mask (values in [-0.5, 0.5)) built with Ulichney's
+  // void-and-cluster method on a torus. Deterministic, so output is reproducible.
+  static generateBlueNoiseMask(size) {
+    const n = size * size;
+    const sigma = 1.5;
+
+    // Gaussian energy contributed at each toroidal offset
+    const kernel = new Float64Array(n);
+    for (let dy = 0; dy < size; dy++) {
+      for (let dx = 0; dx < size; dx++) {
+        const wx = Math.min(dx, size - dx);
+        const wy = Math.min(dy, size - dy);
+        kernel[dy * size + dx] = Math.exp(-(wx * wx + wy * wy) / (2 * sigma * sigma));
+      }
+    }
+
+    const energy = new Float64Array(n);
+    const pattern = new Uint8Array(n);
+    const toggle = (i, on) => {
+      pattern[i] = on ? 1 : 0;
+      const sign = on ? 1 : -1;
+      const ix = i % size;
+      const iy = (i / size) | 0;
+      for (let j = 0; j < n; j++) {
+        const dx = (j % size - ix + size) % size;
+        const dy = (((j / size) | 0) - iy + size) % size;
+        energy[j] += sign * kernel[dy * size + dx];
+      }
+    };
+    // Tightest cluster: the set pixel with most energy; largest void: the empty pixel with least
+    const tightestCluster = () => {
+      let best = -1;
+      for (let i = 0; i < n; i++) if (pattern[i] && (best === -1 || energy[i] > energy[best])) best = i;
+      return best;
+    };
+    const largestVoid = () => {
+      let best = -1;
+      for (let i = 0; i < n; i++) if (!pattern[i] && (best === -1 || energy[i] < energy[best])) best = i;
+      return best;
+    };
+
+    // Initial pattern: ~10% of pixels from a seeded LCG, then relaxed until evenly spread
+    let seed = 12345;
+    const random = () => (seed = (seed * 1103515245 + 12345) & 0x7fffffff) / 0x7fffffff;
+    const initialCount = Math.max(1, Math.floor(n / 10));
+    let placed = 0;
+    while (placed < initialCount) {
+      const i = Math.floor(random() * n);
+      if (!pattern[i]) {
+        toggle(i, true);
+        placed++;
+      }
+    }
+    for (let iter = 0; iter < n; iter++) {
+      const cluster = tightestCluster();
+      toggle(cluster, false);
+      const voidIndex = largestVoid();
+      toggle(voidIndex, true);
+      if (voidIndex === cluster) break;
+    }
+
+    const initialPattern = pattern.slice();
+    const initialEnergy = energy.slice();
+    const rank = new Int32Array(n);
+
+    // Phase 1: rank the initial points by repeatedly removing the tightest cluster
+    for (let r = initialCount - 1; r >= 0; r--) {
+      const cluster = tightestCluster();
+      toggle(cluster, false);
+      rank[cluster] = r;
+    }
+
+    // Phase 2: from the initial pattern, fill the largest void until every pixel is ranked
+    pattern.set(initialPattern);
+    energy.set(initialEnergy);
+    for (let r = initialCount; r < n; r++) {
+      const voidIndex = largestVoid();
+      toggle(voidIndex, true);
+      rank[voidIndex] = r;
+    }
+
+    const mask = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      mask[i] = (rank[i] + 0.5) / n - 0.5;
+    }
+    return mask;
+  }
+
+  // Apply spatial coherence: prefer neighboring emojis when close in color distance
+  applySpatialCoherence(grid, pixels, w, h) {
+    const strength = Math.max(0, Math.min(1, (this.options.coherenceStrength ?? 50) / 100));
+    if (strength <= 0) return grid;
+
+    const newGrid = grid.map(row => [...row]);
+    const directions = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const current = grid[y][x];
+        if (!current || !current.color) continue;
+
+        const targetLab = this.linearToOklab(this.rgb8ToLinear(pixels[y][x]));
+        const currentLab = current._lab || this.linearToOklab(this.rgb8ToLinear(current.color));
         const currentDist = this.oklabDistance(targetLab, currentLab);
 
         // Check if any neighbor emoji is close enough to be preferred
@@ -1432,13 +2628,26 @@ class PixelArtConverter {
     return newGrid;
   }
 
+  // Average rendered length (:name:) across the palette, used as the first guess when fitting the budget
+  estimateEmojiTextLength() {
+    let total = 0;
+    let count = 0;
+    for (const emoji of this.emojis) {
+      if (!emoji || !emoji.name) continue;
+      total += this.getEmojiOutputName(emoji).length + 2;
+      count++;
+    }
+    return count > 0 ? total / count : PixelArtConverter.AVG_EMOJI_LENGTH;
+  }
+
   // Adjust dimensions to fit within character budget
-  adjustDimensionsForBudget(width, height) {
-    if (this.options.charBudget === 0) {
+  adjustDimensionsForBudget(width, height, avgEmojiLength = this.estimateEmojiTextLength()) {
+    // In multi-message mode the budget applies per message, so the grid keeps its size
+    if (this.options.charBudget === 0 || this.options.multiMessage) {
       return { width, height };
     }
 
-    const maxPixels = Math.floor(this.options.charBudget / PixelArtConverter.AVG_EMOJI_LENGTH);
+    const maxPixels = Math.floor(this.options.charBudget / avgEmojiLength);
     const currentPixels = width * height;
 
     if (currentPixels <= maxPixels) {
@@ -1453,34 +2662,250 @@ class PixelArtConverter {
     };
   }
 
-  // Convert image to pixel art
-  async convert(imageSource, isUrl = true, onProgress = null) {
+  // Convert image to pixel art.
+  // Pass an AbortSignal as `signal` to cancel a run in progress; the returned promise then
+  // rejects with the signal's reason (an AbortError DOMException by default).
+  async convert(imageSource, isUrl = true, onProgress = null, { signal = null } = {}) {
     if (!this.emojis || this.emojis.length === 0) {
       throw new Error('No emojis available. Please extract emojis from Slack first.');
     }
 
+    this.signal = signal;
+    this.lastYield = Date.now();
+    this.timings = {};
+    if (signal) signal.throwIfAborted();
+
     // Load the image
     if (onProgress) onProgress(10, 'Loading image...');
+    const decodeStart = performance.now();
     const img = await this.loadImage(imageSource, isUrl);
+    this.recordTiming('decode', decodeStart);
 
-    // Adjust dimensions for character budget
-    if (onProgress) onProgress(20, 'Calculating dimensions...');
-    const dimensions = this.adjustDimensionsForBudget(
-      this.options.width,
-      this.options.height
-    );
+    let grid;
+    let dimensions;
+    let pixels;
+    if (this.options.charBudget > 0 && !this.options.multiMessage) {
+      // Search for the largest grid whose real output fits the character budget
+      if (onProgress) onProgress(20, 'Calculating dimensions...');
+      ({ grid, dimensions, pixels } = await this.fitGridToBudget(img, onProgress));
+    } else {
+      dimensions = { width: this.options.width, height: this.options.height };
 
-    // Extract pixel colors with high-quality resampling
-    if (onProgress) onProgress(30, 'Processing image...');
-    const pixels = this.extractPixelColors(img, dimensions.width, dimensions.height);
+      // Extract pixel colors with high-quality resampling
+      if (onProgress) onProgress(30, 'Processing image...');
+      pixels = this.extractCellPixels(img, dimensions.width, dimensions.height);
+      grid = await this.buildGrid(pixels, dimensions.width, dimensions.height, onProgress);
+    }
+
+    // Generate text output
+    if (onProgress) onProgress(90, 'Generating output...');
+    const outputStart = performance.now();
+    const caption = this.describeCaption(dimensions.width);
+    grid = this.attachCaption(grid);
+    const output = this.generateTextOutput(grid);
+    const messages = this.options.multiMessage ? this.generateMessageChunks(grid) : [output];
+    this.recordTiming('output', outputStart);
+
+    if (onProgress) onProgress(100, 'Complete!');
+
+    return {
+      grid,
+      output,
+      messages,
+      dimensions,
+      requestedDimensions: { width: this.options.width, height: this.options.height },
+      targetColors: this.attachCaption(this.getCellColors(pixels), true),
+      settings: { ...this.options },
+      ...(caption ? { caption } : {}),
+      stats: this.generateStats(grid)
+    };
+  }
 
+  // Convert an animated GIF (ArrayBuffer) into one grid per selected frame.
+  // Every frame shares the dimensions fitted on the first frame so the sequence can be played back
+  // or posted message by message; multiMessage is ignored because each frame is already its own message.
+  async convertGif(buffer, onProgress = null, { signal = null } = {}) {
+    if (!this.emojis || this.emojis.length === 0) {
+      throw new Error('No emojis available. Please extract emojis from Slack first.');
+    }
+
+    this.signal = signal;
+    this.lastYield = Date.now();
+    this.timings = {};
+    if (signal) signal.throwIfAborted();
+
+    if (onProgress) onProgress(5, 'Decoding GIF frames...');
+    const decodeStart = performance.now();
+    const decoded = PixelArtConverter.decodeGifFrames(buffer, {
+      start: Math.max(0, this.options.frameStart | 0),
+      end: this.options.frameEnd,
+      stride: this.options.frameStride
+    });
+    this.recordTiming('decode', decodeStart);
+    if (decoded.frames.length === 0) {
+      throw new Error(`No frames selected (the GIF has ${decoded.totalFrames} frame${decoded.totalFrames === 1 ? '' : 's'})`);
+    }
+
+    const frameCanvas = this.createCanvas(decoded.width, decoded.height);
+    const frameCtx = frameCanvas.getContext('2d');
+    const drawFrame = (frame) => {
+      frameCtx.putImageData(new ImageData(frame.data, decoded.width, decoded.height), 0, 0);
+      return frameCanvas;
+    };
+
+    const frameCount = decoded.frames.length;
+    // Map a stage's 0-100 progress into this frame's slice of the overall bar
+    const frameProgress = (index) => onProgress
+      ? (progress, message) => onProgress(
+        Math.floor(10 + ((index + progress / 100) / frameCount) * 80),
+        `Frame ${index + 1}/${frameCount}: ${message}`)
+      : null;
+
+    let dimensions;
+    let firstGrid;
+    let firstPixels;
+    if (this.options.charBudget > 0) {
+      ({ grid: firstGrid, dimensions, pixels: firstPixels } = await this.fitGridToBudget(drawFrame(decoded.frames[0]), frameProgress(0)));
+    } else {
+      dimensions = { width: this.options.width, height: this.options.height };
+      firstPixels = this.extractCellPixels(drawFrame(decoded.frames[0]), dimensions.width, dimensions.height);
+      firstGrid = await this.buildGrid(firstPixels, dimensions.width, dimensions.height, frameProgress(0));
+    }
+
+    const frames = [{
+      grid: firstGrid,
+      delay: decoded.frames[0].delay,
+      index: decoded.frames[0].index,
+      targetColors: this.getCellColors(firstPixels)
+    }];
+    for (let i = 1; i < frameCount; i++) {
+      const frame = decoded.frames[i];
+      const pixels = this.extractCellPixels(drawFrame(frame), dimensions.width, dimensions.height);
+      const grid = await this.buildGrid(pixels, dimensions.width, dimensions.height, frameProgress(i), frames[i - 1].grid);
+      frames.push({ grid, delay: frame.delay, index: frame.index, targetColors: this.getCellColors(pixels) });
+    }
+
+    if (onProgress) onProgress(90, 'Generating output...');
+    const outputStart = performance.now();
+    const caption = this.describeCaption(dimensions.width);
+    for (const frame of frames) {
+      frame.grid = this.attachCaption(frame.grid);
+      frame.targetColors = this.attachCaption(frame.targetColors, true);
+      frame.output = this.generateTextOutput(frame.grid);
+    }
+    this.recordTiming('output', outputStart);
+
+    if (onProgress) onProgress(100, 'Complete!');
+
+    const stats = this.generateStats(frames[0].grid);
+    stats.frameCount = frameCount;
+    stats.totalFrames = decoded.totalFrames;
+    stats.characterCount = Math.max(...frames.map(frame => this.calculateCharacterCount(frame.grid)));
+
+    return {
+      grid: frames[0].grid,
+      output: frames[0].output,
+      messages: frames.map(frame => frame.output),
+      frames,
+      dimensions,
+      requestedDimensions: { width: this.options.width, height: this.options.height },
+      targetColors: frames[0].targetColors,
+      settings: { ...this.options },
+      ...(caption ? { caption } : {}),
+      stats
+    };
+  }
+
+  // Find the largest grid (keeping the requested aspect ratio) whose rendered text fits charBudget.
+  // Starts from an estimate based on palette name lengths, then re-solves using the real
+  // character count of each matched grid until the size converges.
+  async fitGridToBudget(img, onProgress = null) {
+    const budget = this.options.charBudget;
+    const reqWidth = this.options.width;
+    const reqHeight = this.options.height;
+    const min = PixelArtConverter.MIN_DIMENSION;
+
+    const dimsForScale = (scale) => ({
+      width: Math.max(min, Math.min(reqWidth, Math.floor(reqWidth * scale))),
+      height: Math.max(min, Math.min(reqHeight, Math.floor(reqHeight * scale)))
+    });
+
+    const initial = this.adjustDimensionsForBudget(reqWidth, reqHeight);
+    let scale = Math.min(1, Math.max(initial.width / reqWidth, initial.height / reqHeight));
+    let fitScale = 0; // Largest scale known to fit
+    let overScale = Infinity; // Smallest scale known to overflow
+    let best = null;
+    let smallest = null;
+    const tried = new Set();
+
+    for (let attempt = 1; attempt <= PixelArtConverter.MAX_FIT_ATTEMPTS; attempt++) {
+      const dims = dimsForScale(scale);
+      const key = `${dims.width}x${dims.height}`;
+      if (tried.has(key)) break;
+      tried.add(key);
+
+      if (onProgress) onProgress(30, `Fitting ${dims.width}×${dims.height} to budget (pass ${attempt})...`);
+      const pixels = this.extractCellPixels(img, dims.width, dims.height);
+      const grid = await this.buildGrid(pixels, dims.width, dims.height, onProgress);
+      const length = this.generateTextOutput(this.attachCaption(grid)).length;
+      const candidate = { grid, dimensions: dims, pixels };
+
+      if (!smallest || dims.width * dims.height < smallest.dimensions.width * smallest.dimensions.height) {
+        smallest = candidate;
+      }
+
+      if (length <= budget) {
+        if (!best || dims.width * dims.height > best.dimensions.width * best.dimensions.height) {
+          best = candidate;
+        }
+        fitScale = Math.max(fitScale, scale);
+        if (scale >= 1) break;
+      } else {
+        overScale = Math.min(overScale, scale);
+        if (dims.width === min && dims.height === min) break;
+      }
+
+      // Re-estimate from the real average length per cell (including newlines)
+      const perCell = length / (dims.width * dims.height);
+      let next = Math.min(1, Math.sqrt(budget / (perCell * reqWidth * reqHeight)));
+      // Keep the next guess strictly between the known bounds; bisect if the estimate falls outside
+      if (next <= fitScale || next >= overScale) {
+        next = overScale === Infinity ? Math.min(1, fitScale * 1.1) : (fitScale + overScale) / 2;
+      }
+      scale = next;
+    }
+
+    return best || smallest;
+  }
+
+  // Add the time elapsed since `start` (a performance.now() reading) to a stage of this.timings
+  recordTiming(stage, start) {
+    this.timings[stage] = (this.timings[stage] || 0) + (performance.now() - start);
+  }
+
+  // Yield to the event loop every YIELD_INTERVAL_MS so cancellation messages can be delivered,
+  // then throw if the current run has been aborted. No-op when convert() was given no signal.
+  async checkpoint() {
+    if (!this.signal) return;
+    if (Date.now() - this.lastYield >= PixelArtConverter.YIELD_INTERVAL_MS) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      this.lastYield = Date.now();
+    }
+    this.signal.throwIfAborted();
+  }
+
+  // Match emojis for every rasterized pixel, including dithering and post-processing passes.
+  // `previous` is the grid of the preceding animation frame, used to keep unchanged cells stable.
+  // `region` ({ mask, fixed }) limits matching to cells where mask[y][x] is true; the others keep
+  // their `fixed` emoji, which still counts toward usage caps and diffuses dither error.
+  async buildGrid(pixels, w, h, onProgress = null, previous = null, region = null) {
     // Reset usage tracking
-    this.usedEmojis.clear();
+    this.resetEmojiUsage();
 
     // Build the pixel art grid
     if (onProgress) onProgress(40, 'Matching emojis...');
     let grid = [];
-    const totalPixels = dimensions.width * dimensions.height;
+    const totalPixels = w * h;
     let processedPixels = 0;
 
     // Set per-emoji usage cap based on tolerance.
@@ -1490,15 +2915,26 @@ class PixelArtConverter {
       ? Infinity
       : Math.max(1, Math.floor(totalPixels * (this.options.tolerance / 100)));
 
-    // Optional Floyd–Steinberg dithering in linear space to improve perceived quality.
+    if (region) {
+      for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+          if (!region.mask[y][x] && region.fixed[y][x]) this.recordEmojiUse(region.fixed[y][x]);
+        }
+      }
+    }
+
+    // Optional dithering in linear space to improve perceived quality: error diffusion with the
+    // selected kernel (serpentine scan), or ordered dithering with a blue-noise mask
     const useDithering = Boolean(this.options.dithering);
     const baseDitherStrength = Math.max(0, Math.min(1, (this.options.ditheringStrength ?? 85) / 100));
     const adaptiveDithering = this.options.adaptiveDithering ?? true;
-    const useHybridDithering = this.options.hybridDithering && useDithering;
+    const useBlueNoise = this.options.ditherAlgorithm === 'blue-noise';
+    const kernel = PixelArtConverter.DIFFUSION_KERNELS[this.options.ditherAlgorithm] ||
+      PixelArtConverter.DIFFUSION_KERNELS['floyd-steinberg'];
+    const useHybridDithering = this.options.hybridDithering && useDithering && !useBlueNoise;
     const useErrorClamping = this.options.errorClamping ?? true;
-    const w = dimensions.width;
-    const h = dimensions.height;
-    const error = useDithering
+    const maxErr = 0.1;
+    const error = useDithering && !useBlueNoise
       ? Array.from({ length: h }, () => Array.from({ length: w }, () => ({ r: 0, g: 0, b: 0 })))
       : null;
 
@@ -1512,30 +2948,48 @@ class PixelArtConverter {
       ? this.computeRegionType(localVariance, w, h)
       : null;
 
+    // Colors each cell was matched against, kept for the global assignment pass
+    const useGlobalAssignment = Boolean(this.options.globalAssignment) && this.options.tolerance < 100 && !region;
+    const targets = useGlobalAssignment ? Array.from({ length: h }, () => new Array(w).fill(null)) : null;
+    const recordTarget = (x, y, lin, patchLab) => {
+      targets[y][x] = { rgb: this.linearToRgb8(lin), lab: this.linearToOklab(lin), patchLab };
+    };
+
+    const matchStart = performance.now();
     for (let y = 0; y < h; y++) {
+      await this.checkpoint();
       const row = [];
-      const serpentine = useDithering && (y % 2 === 1);
+      const serpentine = Boolean(error) && (y % 2 === 1);
       const xStart = serpentine ? (w - 1) : 0;
       const xEnd = serpentine ? -1 : w;
       const xStep = serpentine ? -1 : 1;
 
       for (let x = xStart; x !== xEnd; x += xStep) {
         const pixel = pixels[y][x];
+        const previousEmoji = previous?.[y]?.[x] || null;
+        const keep = region !== null && !region.mask[y][x];
 
         let emoji;
         if (useDithering) {
-          // Check if this pixel should use ordered (Bayer) dithering instead of F-S
-          const useOrdered = useHybridDithering && regionType && !regionType[y][x];
+          // Ordered dithering everywhere for blue noise; only in flat regions for hybrid mode
+          const useOrdered = useBlueNoise || (useHybridDithering && regionType && !regionType[y][x]);
 
           if (useOrdered) {
-            // Ordered dithering for graphic/flat regions
-            const threshold = PixelArtConverter.BAYER_8X8[y % 8][x % 8] - 0.5;
-            const scale = baseDitherStrength * 0.3;
+            // Ordered dithering for graphic/flat regions. Blue noise covers the whole image, so it
+            // also gets the adaptive attenuation and clamping the diffusion kernels use.
+            const threshold = this.getOrderedThreshold(x, y);
+            let offset = threshold * baseDitherStrength * 0.3;
+            if (useBlueNoise) {
+              offset = threshold * this.adaptDitherStrength(baseDitherStrength, localVariance, x, y) * 0.3;
+              if (useErrorClamping) {
+                offset = Math.max(-maxErr, Math.min(maxErr, offset));
+              }
+            }
             let baseLin = this.rgb8ToLinear(pixel);
             
-            // Consume any accumulated Floyd-Steinberg error at this pixel
+            // Consume any accumulated error-diffusion error at this pixel
             // so error does not build up in ordered-dithered regions
-            const e = error[y][x];
+            const e = error ? error[y][x] : null;
             if (e && (e.r !== 0 || e.g !== 0 || e.b !== 0)) {
               baseLin = {
                 r: baseLin.r + e.r,
@@ -1547,13 +3001,19 @@ class PixelArtConverter {
             }
             
             const targetLin = this.clampLinear({
-              r: baseLin.r + threshold * scale,
-              g: baseLin.g + threshold * scale,
-              b: baseLin.b + threshold * scale
+              r: baseLin.r + offset,
+              g: baseLin.g + offset,
+              b: baseLin.b + offset
             });
-            emoji = this.findBestEmojiFromLinear(targetLin);
+            if (keep) {
+              emoji = region.fixed[y][x];
+            } else {
+              const patchLab = this.getPatchLab(pixel, targetLin);
+              emoji = this.reusePreviousEmoji(previousEmoji, targetLin) || this.findBestEmojiFromLinear(targetLin, patchLab);
+              if (targets) recordTarget(x, y, targetLin, patchLab);
+            }
           } else {
-            // Floyd-Steinberg error diffusion for photo-like regions
+            // Error diffusion for photo-like regions
             const baseLin = this.rgb8ToLinear(pixel);
             const e = error[y][x];
             const targetLin = this.clampLinear({
@@ -1562,23 +3022,17 @@ class PixelArtConverter {
               b: baseLin.b + e.b
             });
 
-            emoji = this.findBestEmojiFromLinear(targetLin);
+            if (keep) {
+              emoji = region.fixed[y][x];
+            } else {
+              const patchLab = this.getPatchLab(pixel, targetLin);
+              emoji = this.reusePreviousEmoji(previousEmoji, targetLin) || this.findBestEmojiFromLinear(targetLin, patchLab);
+              if (targets) recordTarget(x, y, targetLin, patchLab);
+            }
 
             const chosenLin = emoji?._lin || (emoji?.color ? this.rgb8ToLinear(emoji.color) : null);
             if (emoji && chosenLin) {
-              // Adaptive dithering: sigmoid attenuation for edges, boost for smooth gradients
-              let ditherStrength = baseDitherStrength;
-              if (localVariance) {
-                const { variance, gradient } = localVariance[y][x];
-                // Sigmoid attenuation: sharp rolloff near threshold preserves detail
-                const k = 10;
-                const threshold = 0.15;
-                ditherStrength *= 1.0 / (1.0 + Math.exp(k * (variance - threshold)));
-                // Boost dither on smooth ramps (high gradient, low variance) by up to 20%
-                if (gradient > 0.05 && variance < threshold) {
-                  ditherStrength *= 1.0 + 0.2 * (gradient / 0.5);
-                }
-              }
+              const ditherStrength = this.adaptDitherStrength(baseDitherStrength, localVariance, x, y);
 
               const err = {
                 r: (targetLin.r - chosenLin.r) * ditherStrength,
@@ -1588,44 +3042,30 @@ class PixelArtConverter {
 
               // Clamp error to prevent overcorrection in high-contrast regions
               if (useErrorClamping) {
-                const maxErr = 0.1;
                 err.r = Math.max(-maxErr, Math.min(maxErr, err.r));
                 err.g = Math.max(-maxErr, Math.min(maxErr, err.g));
                 err.b = Math.max(-maxErr, Math.min(maxErr, err.b));
               }
 
-              // Diffuse error to neighbors (Floyd–Steinberg)
-              const right = serpentine ? -1 : 1;
-              const left = serpentine ? 1 : -1;
-
-              // Right
-              if (x + right >= 0 && x + right < w) {
-                error[y][x + right].r += err.r * (7 / 16);
-                error[y][x + right].g += err.g * (7 / 16);
-                error[y][x + right].b += err.b * (7 / 16);
-              }
-              // Bottom-left
-              if (y + 1 < h && x + left >= 0 && x + left < w) {
-                error[y + 1][x + left].r += err.r * (3 / 16);
-                error[y + 1][x + left].g += err.g * (3 / 16);
-                error[y + 1][x + left].b += err.b * (3 / 16);
-              }
-              // Bottom
-              if (y + 1 < h) {
-                error[y + 1][x].r += err.r * (5 / 16);
-                error[y + 1][x].g += err.g * (5 / 16);
-                error[y + 1][x].b += err.b * (5 / 16);
-              }
-              // Bottom-right
-              if (y + 1 < h && x + right >= 0 && x + right < w) {
-                error[y + 1][x + right].r += err.r * (1 / 16);
-                error[y + 1][x + right].g += err.g * (1 / 16);
-                error[y + 1][x + right].b += err.b * (1 / 16);
+              // Diffuse error to neighbors; horizontal offsets are mirrored on serpentine rows
+              for (const [dx, dy, weight] of kernel.taps) {
+                const nx = x + (serpentine ? -dx : dx);
+                const ny = y + dy;
+                if (nx < 0 || nx >= w || ny >= h) continue;
+                const f = weight / kernel.divisor;
+                error[ny][nx].r += err.r * f;
+                error[ny][nx].g += err.g * f;
+                error[ny][nx].b += err.b * f;
               }
             }
           }
+        } else if (keep) {
+          emoji = region.fixed[y][x];
         } else {
-          emoji = this.findBestEmoji(pixel);
+          const patchLab = this.getPatchLab(pixel);
+          emoji = (previousEmoji && this.reusePreviousEmoji(previousEmoji, this.rgb8ToLinear(pixel))) ||
+            this.findBestEmoji(pixel, null, patchLab);
+          if (targets) targets[y][x] = { rgb: pixel, lab: null, patchLab };
         }
 
         // Maintain correct left-to-right order in the grid even in serpentine mode
@@ -1643,9 +3083,20 @@ class PixelArtConverter {
       }
       grid.push(row);
     }
+    this.recordTiming('match', matchStart);
+
+    // Replace the scan-order greedy matches with a globally optimal assignment.
+    // Dithering error was already diffused from the greedy choices; the recorded targets keep that intent.
+    if (targets) {
+      const optimizeStart = performance.now();
+      grid = await this.optimizeAssignment(grid, targets, w, h, onProgress);
+      this.recordTiming('optimize', optimizeStart);
+    }
 
     // Post-processing passes
+    await this.checkpoint();
     if (onProgress) onProgress(82, 'Post-processing...');
+    const postStart = performance.now();
 
     // Apply spatial coherence
     if (this.options.spatialCoherence) {
@@ -1657,32 +3108,79 @@ class PixelArtConverter {
       grid = this.applyMedianFilter(grid, pixels, w, h);
     }
 
-    // Generate text output
-    if (onProgress) onProgress(90, 'Generating output...');
-    const output = this.generateTextOutput(grid);
+    // Smoothing passes look at whole neighborhoods; put the cells outside the region back
+    if (region) {
+      grid = grid.map((row, y) => row.map((emoji, x) => region.mask[y][x] ? emoji : region.fixed[y][x]));
+    }
+    this.recordTiming('postprocess', postStart);
 
-    if (onProgress) onProgress(100, 'Complete!');
+    return grid;
+  }
 
-    return {
-      grid,
-      output,
-      dimensions,
-      stats: this.generateStats(grid)
-    };
+  // Source color of every cell as '#rrggbb', i.e. the color its emoji was chosen to represent
+  getCellColors(pixels) {
+    return pixels.map(row => row.map(pixel => pixel ? PixelArtConverter.toHexColor(pixel) : null));
   }
 
-  // Generate text output for Slack
-  generateTextOutput(grid) {
+  static toHexColor({ r, g, b }) {
+    const hex = (v) => v.toString(16).padStart(2, '0');
+    return `#${hex(r)}${hex(g)}${hex(b)}`;
+  }
+
+  // Generate one line of Slack text per grid row
+  generateTextLines(grid) {
     const lines = [];
 
     for (const row of grid) {
       const line = row
-        .map(emoji => emoji ? `:${emoji.name}:` : `:${PixelArtConverter.FALLBACK_EMOJI}:`)
+        .map(emoji => emoji ? `:${this.getEmojiOutputName(emoji)}:` : `:${PixelArtConverter.FALLBACK_EMOJI}:`)
         .join('');
       lines.push(line);
     }
 
-    return lines.join('\n');
+    return lines;
+  }
+
+  // Generate text output for Slack
+  generateTextOutput(grid) {
+    return this.generateTextLines(grid).join('\n');
+  }
+
+  // Split the text output into ordered message chunks at row boundaries.
+  // Each chunk stays within charBudget; a single row longer than the budget gets a chunk of its own.
+  generateMessageChunks(grid) {
+    const lines = this.generateTextLines(grid);
+    const budget = this.options.charBudget;
+    if (!budget) {
+      return [lines.join('\n')];
+    }
+    return PixelArtConverter.packLines(lines, budget);
+  }
+
+  // Join lines into chunks of at most `limit` characters, breaking only between lines.
+  // A single line longer than the limit gets a chunk of its own.
+  static packLines(lines, limit) {
+    const chunks = [];
+    let current = [];
+    let currentLength = 0;
+
+    for (const line of lines) {
+      // +1 for the newline joining this line to the previous one
+      const added = current.length > 0 ? line.length + 1 : line.length;
+      if (current.length > 0 && currentLength + added > limit) {
+        chunks.push(current.join('\n'));
+        current = [];
+        currentLength = 0;
+      }
+      currentLength += current.length > 0 ? line.length + 1 : line.length;
+      current.push(line);
+    }
+
+    if (current.length > 0) {
+      chunks.push(current.join('\n'));
+    }
+
+    return chunks;
   }
 
   // Generate statistics about the conversion
@@ -1715,7 +3213,16 @@ class PixelArtConverter {
       topEmojis: Array.from(emojiCount.entries())
         .sort((a, b) => b[1] - a[1])
         .slice(0, 5)
-        .map(([name, count]) => ({ name, count }))
+        .map(([name, count]) => ({ name, count })),
+      // Emojis the matcher could choose from, out of the whole cache, and the palette set that narrowed them
+      palette: {
+        size: this.emojis.length,
+        total: this.allEmojis.length,
+        set: this.options.paletteSet ? this.options.paletteSet.name || null : null
+      },
+      // Milliseconds per stage (index, decode, rasterize, match, optimize, postprocess, output);
+      // stages repeated by budget fitting or GIF frames are summed
+      timings: Object.fromEntries(Object.entries(this.timings).map(([stage, ms]) => [stage, Math.round(ms)]))
     };
   }
 
@@ -1727,7 +3234,7 @@ class PixelArtConverter {
     for (const row of grid) {
       for (const emoji of row) {
         if (emoji) {
-          count += emoji.name.length + 2; // +2 for the colons
+          count += this.getEmojiOutputName(emoji).length + 2; // +2 for the colons
         } else {
           count += fallbackLength;
         }
@@ -1735,6 +3242,1188 @@ class PixelArtConverter {
     }
     return count;
   }
+
+  // -------- Structured exports --------
+
+  // Versioned JSON document of a convert()/convertGif() result. Still images carry `cells`;
+  // animations carry `frames` ({ index, delay, cells }) instead. Each cell is
+  // { emoji, skinTone, url, target } with `emoji` null for empty cells, `skinTone` the 2-6 modifier
+  // of imported art (null when none) and `target` the source color.
+  generateJsonExport(result) {
+    const cellsFor = (grid, colors) => grid.map((row, y) => row.map((emoji, x) => ({
+      emoji: emoji ? emoji.name : null,
+      skinTone: emoji?.skinTone || null,
+      url: emoji?.url || null,
+      target: colors?.[y]?.[x] ?? null
+    })));
+
+    const doc = {
+      format: PixelArtConverter.EXPORT_FORMAT,
+      version: PixelArtConverter.EXPORT_FORMAT_VERSION,
+      createdAt: new Date().toISOString(),
+      dimensions: {
+        width: result.grid[0]?.length || 0,
+        height: result.grid.length
+      },
+      settings: result.settings || {}
+    };
+    if (result.frames) {
+      doc.frames = result.frames.map(frame => ({
+        index: frame.index,
+        delay: frame.delay,
+        cells: cellsFor(frame.grid, frame.targetColors)
+      }));
+    } else {
+      doc.cells = cellsFor(result.grid, result.targetColors);
+    }
+    return JSON.stringify(doc, null, 2);
+  }
+
+  // One CSV row per grid row, one emoji name per column (`name::skin-tone-N` with a skin tone);
+  // empty cells are empty fields
+  generateCsvExport(grid) {
+    const field = (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    return grid.map(row => row.map(emoji => field(PixelArtConverter.getCellKey(emoji))).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // Standalone HTML page that renders the grid with the emojis' own images
+  generateHtmlExport(grid, { cellSize = 22, title = 'Slack Emoji Pixel Art' } = {}) {
+    const escape = (value) => String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    const columns = grid[0]?.length || 0;
+    const cells = grid.map(row => row.map(emoji => emoji && emoji.url
+      ? `<img src="${escape(emoji.url)}" alt=":${escape(emoji.name)}:" title=":${escape(emoji.name)}:">`
+      : '<span></span>').join('')).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escape(title)}</title>
+<style>
+  body { margin: 24px; font-family: sans-serif; }
+  .mosaic { display: grid; grid-template-columns: repeat(${columns}, ${cellSize}px); grid-auto-rows: ${cellSize}px; }
+  .mosaic img, .mosaic span { width: ${cellSize}px; height: ${cellSize}px; object-fit: contain; }
+</style>
+</head>
+<body>
+<div class="mosaic">
+${cells}
+</div>
+</body>
+</html>
+`;
+  }
+
+  // Slack Block Kit payloads (JSON strings), one per Slack message, with mrkdwn sections for each
+  // message chunk. Chunks longer than BLOCK_KIT_SECTION_LIMIT are split into several sections at row
+  // boundaries, and the sections fill as many payloads as BLOCK_KIT_MAX_BLOCKS requires. Throws when
+  // a single row is too long for a section, since Slack would show a split row as two lines.
+  generateBlockKitExport(messages) {
+    const limit = PixelArtConverter.BLOCK_KIT_SECTION_LIMIT;
+    const sections = messages.flatMap(text => {
+      const rows = text.split('\n');
+      const longest = Math.max(...rows.map(row => row.length));
+      if (longest > limit) {
+        throw new Error(`A row is ${longest.toLocaleString()} characters, more than the ${limit.toLocaleString()} a Block Kit section holds. Use a narrower grid.`);
+      }
+      return PixelArtConverter.packLines(rows, limit);
+    });
+
+    const payloads = [];
+    for (let i = 0; i < sections.length; i += PixelArtConverter.BLOCK_KIT_MAX_BLOCKS) {
+      payloads.push(JSON.stringify({
+        blocks: sections.slice(i, i + PixelArtConverter.BLOCK_KIT_MAX_BLOCKS).map(text => ({
+          type: 'section',
+          text: { type: 'mrkdwn', text }
+        }))
+      }, null, 2));
+    }
+    return payloads;
+  }
+
+  // -------- Palette browsing --------
+
+  // OKLCh of an emoji's average color: lightness 0-100, chroma, hue in degrees
+  getEmojiLch(emoji) {
+    const lab = emoji._lab || this.linearToOklab(this.rgb8ToLinear(emoji.color));
+    const hue = Math.atan2(lab.b, lab.a) * 180 / Math.PI;
+    return { lightness: lab.L * 100, chroma: Math.hypot(lab.a, lab.b), hue: hue < 0 ? hue + 360 : hue };
+  }
+
+  // HUE_FAMILIES id of an OKLCh color, or 'neutral' for grays
+  static getHueFamily({ chroma, hue }) {
+    if (chroma < PixelArtConverter.NEUTRAL_CHROMA) return 'neutral';
+    for (const [id, start, end] of PixelArtConverter.HUE_FAMILIES) {
+      if (start < end ? hue >= start && hue < end : hue >= start || hue < end) return id;
+    }
+    return 'red';
+  }
+
+  // Every cached emoji (excluded ones too) for the palette browser, as { emoji, lightness, chroma,
+  // hue, family, variance }. Filters: `query` (name or alias substring), `hue` (family id), `lightness` and
+  // `texture` (band keys), `sampling` ('sampled' | 'fallback'), `status` ('included' | 'excluded',
+  // checked against the `excluded` name set); empty values match everything. `sort` is 'color'
+  // (hue around the wheel, grays last), 'lightness', 'variance' or 'name'.
+  browsePalette({ query = '', hue = '', lightness = '', texture = '', sampling = '', status = '', sort = 'color' } = {}, excluded = new Set()) {
+    const needle = query.trim().toLowerCase();
+    const lightnessBand = PixelArtConverter.LIGHTNESS_BANDS[lightness];
+    const textureBand = PixelArtConverter.TEXTURE_BANDS[texture];
+    const entries = [];
+
+    for (const emoji of this.allEmojis) {
+      if (!emoji || !emoji.name || !emoji.color) continue;
+      if (needle && !emoji.name.includes(needle) &&
+        !(Array.isArray(emoji.aliases) && emoji.aliases.some(alias => typeof alias === 'string' && alias.includes(needle)))) {
+        continue;
+      }
+      if (sampling && (sampling === 'fallback') !== Boolean(emoji.colorError)) continue;
+      if (status && (status === 'excluded') !== excluded.has(emoji.name)) continue;
+      const variance = typeof emoji.variance === 'number' ? emoji.variance : Infinity;
+      if (textureBand && (variance < textureBand[0] || variance >= textureBand[1])) continue;
+
+      const lch = this.getEmojiLch(emoji);
+      if (lightnessBand && (lch.lightness < lightnessBand[0] || lch.lightness >= lightnessBand[1])) continue;
+      const family = PixelArtConverter.getHueFamily(lch);
+      if (hue && family !== hue) continue;
+      entries.push({ emoji, ...lch, family, variance: Math.min(variance, Number.MAX_VALUE) });
+    }
+
+    // Start the wheel at red's lower edge so each family stays contiguous
+    const wheelStart = PixelArtConverter.HUE_FAMILIES[0][1];
+    const wheelPosition = entry => entry.family === 'neutral' ? 360 : (entry.hue - wheelStart + 360) % 360;
+    const comparators = {
+      color: (a, b) => wheelPosition(a) - wheelPosition(b) || b.lightness - a.lightness,
+      lightness: (a, b) => b.lightness - a.lightness,
+      variance: (a, b) => a.variance - b.variance || a.emoji.name.localeCompare(b.emoji.name),
+      name: (a, b) => a.emoji.name.localeCompare(b.emoji.name)
+    };
+    return entries.sort(comparators[sort] || comparators.color);
+  }
+
+  // -------- Palette coverage --------
+
+  // Coverage asks what each emoji's average color can reproduce, by plain oklabDistance() with no
+  // penalties, profiles or metric, so it has its own k-d tree (buildKdTree()) over the matchable
+  // emojis' average colors. Fallback colors are left out: they are placeholders, not colors the emoji
+  // shows. oklabDistance() is never below the Euclidean distance, so the bound scale is 1.
+  getCoverageIndex() {
+    if (!this.coverageIndex) {
+      const entries = this.emojis
+        .filter(emoji => emoji && emoji._lab && !emoji.colorError)
+        .map(emoji => ({ emoji, penalty: 0, points: [[emoji._lab.L, emoji._lab.a, emoji._lab.b]] }));
+      this.coverageIndex = this.buildKdTree(entries, 1);
+    }
+    return this.coverageIndex;
+  }
+
+  // Exact nearest emoji to an OKLab color by oklabDistance() ({ emoji, distance }), or null for an
+  // empty palette
+  findNearestCoverageEmoji(lab) {
+    const [match] = this.searchKdTree(this.getCoverageIndex(), [lab.L, lab.a, lab.b], 1,
+      emoji => ({ dist: this.oklabDistance(lab, emoji._lab) }));
+    return match ? { emoji: match.emoji, distance: match.dist } : null;
+  }
+
+  // Greedily group unreproducible colors [{ color, lab, distance, nearest, weight }]: the farthest
+  // ungrouped color becomes a group's center and takes every ungrouped color within HOLE_RADIUS.
+  // Returns the MAX_GAMUT_HOLES heaviest groups with their share of `totalWeight`.
+  groupUncoveredColors(entries, totalWeight) {
+    const pending = entries.slice().sort((a, b) => b.distance - a.distance);
+    const groups = [];
+    while (pending.length > 0) {
+      const center = pending.shift();
+      let weight = center.weight;
+      for (let i = pending.length - 1; i >= 0; i--) {
+        if (this.oklabDistance(center.lab, pending[i].lab) <= PixelArtConverter.HOLE_RADIUS) {
+          weight += pending[i].weight;
+          pending.splice(i, 1);
+        }
+      }
+      const lch = this.getEmojiLch({ _lab: center.lab });
+      groups.push({
+        color: center.color,
+        ...lch,
+        family: PixelArtConverter.getHueFamily(lch),
+        distance: center.distance,
+        nearest: center.nearest ? center.nearest.name : null,
+        share: totalWeight > 0 ? weight / totalWeight : 0
+      });
+    }
+    return groups.sort((a, b) => b.share - a.share).slice(0, PixelArtConverter.MAX_GAMUT_HOLES);
+  }
+
+  // Match a color to the palette as a coverage sample { color, lab, distance, nearest, weight }
+  getCoverageSample(color, weight) {
+    const lab = this.linearToOklab(this.rgb8ToLinear(color));
+    const match = this.findNearestCoverageEmoji(lab);
+    return { color, lab, distance: match ? match.distance : Infinity, nearest: match && match.emoji, weight };
+  }
+
+  // COVERAGE_LEVELS³ evenly spaced sRGB colors matched to the palette, each of weight 1
+  getGamutCoverageSamples() {
+    const levels = PixelArtConverter.COVERAGE_LEVELS;
+    const step = v => Math.round(v * 255 / (levels - 1));
+    const samples = [];
+    for (let r = 0; r < levels; r++) {
+      for (let g = 0; g < levels; g++) {
+        for (let b = 0; b < levels; b++) {
+          samples.push(this.getCoverageSample({ r: step(r), g: step(g), b: step(b) }, 1));
+        }
+      }
+    }
+    return samples;
+  }
+
+  // Opaque pixels of an RGBA ImageData-like { data, width, height } binned to IMAGE_COVERAGE_BITS per
+  // channel; each bin's mean color is matched to the palette, weighted by its pixel count
+  getImageCoverageSamples(imageData) {
+    const shift = 8 - PixelArtConverter.IMAGE_COVERAGE_BITS;
+    const bins = new Map();
+    const data = imageData.data;
+
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] < PixelArtConverter.TRANSPARENCY_THRESHOLD) continue;
+      const key = ((data[i] >> shift) << 16) | ((data[i + 1] >> shift) << 8) | (data[i + 2] >> shift);
+      let bin = bins.get(key);
+      if (!bin) {
+        bin = { r: 0, g: 0, b: 0, count: 0 };
+        bins.set(key, bin);
+      }
+      bin.r += data[i];
+      bin.g += data[i + 1];
+      bin.b += data[i + 2];
+      bin.count++;
+    }
+
+    return Array.from(bins.values(), bin => this.getCoverageSample({
+      r: Math.round(bin.r / bin.count),
+      g: Math.round(bin.g / bin.count),
+      b: Math.round(bin.b / bin.count)
+    }, bin.count));
+  }
+
+  // Summarize coverage samples: `covered` is the share of their weight within COVERAGE_DISTANCE of an
+  // emoji, `meanDistance` the weighted mean distance (capped at 1), and `gaps` groups the rest into the
+  // largest unreproducible regions ({ color, lightness, chroma, hue, family, distance, nearest, share })
+  summarizeCoverage(samples) {
+    const limit = PixelArtConverter.COVERAGE_DISTANCE;
+    const totalWeight = samples.reduce((sum, sample) => sum + sample.weight, 0);
+    const uncovered = samples.filter(sample => sample.distance > limit);
+    const uncoveredWeight = uncovered.reduce((sum, sample) => sum + sample.weight, 0);
+    const totalDistance = samples.reduce((sum, sample) => sum + Math.min(sample.distance, 1) * sample.weight, 0);
+    return {
+      covered: totalWeight > 0 ? (totalWeight - uncoveredWeight) / totalWeight : 1,
+      meanDistance: totalWeight > 0 ? totalDistance / totalWeight : 0,
+      gaps: this.groupUncoveredColors(uncovered, totalWeight)
+    };
+  }
+
+  // Coverage of the sRGB gamut by the palette: `coverage` is the share of getGamutCoverageSamples()
+  // with a close emoji and `holes` are the largest gamut holes (see summarizeCoverage())
+  analyzePaletteCoverage() {
+    const samples = this.getGamutCoverageSamples();
+    const { covered, meanDistance, gaps } = this.summarizeCoverage(samples);
+    return {
+      emojiCount: this.getCoverageIndex().emojis.length,
+      fallbackCount: this.emojis.filter(emoji => emoji && emoji.colorError).length,
+      sampleCount: samples.length,
+      coverage: covered,
+      meanDistance,
+      holes: gaps
+    };
+  }
+
+  // How well the palette reproduces an image: `reproducible` is the share of opaque pixels with a
+  // close emoji and `problems` groups the rest like analyzePaletteCoverage() holes, by pixel count
+  evaluateImageCoverage(imageData) {
+    const samples = this.getImageCoverageSamples(imageData);
+    const { covered, meanDistance, gaps } = this.summarizeCoverage(samples);
+    return {
+      pixelCount: samples.reduce((sum, sample) => sum + sample.weight, 0),
+      colorCount: samples.length,
+      reproducible: covered,
+      meanDistance,
+      problems: gaps
+    };
+  }
+
+  // -------- Palette sets --------
+
+  // Compile a palette set pattern: `/regex/flags`, or a glob where `*` matches any run of characters
+  // and `?` one character. Globs match the whole name and ignore case. Throws on an invalid regex.
+  static compilePalettePattern(pattern) {
+    const source = String(pattern).trim();
+    const regex = source.match(PixelArtConverter.REGEX_PATTERN);
+    if (regex) {
+      try {
+        return new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+      } catch (error) {
+        throw new Error(`Invalid pattern ${source}: ${error.message}`, { cause: error });
+      }
+    }
+    const body = source.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${body}$`, 'i');
+  }
+
+  // Narrow a palette to a palette set:
+  //   { name, allow: [patterns], block: [patterns], picks: [names], maxNameLength, maxEmojis, excludeAnimated }
+  // Patterns are tested against the name and every alias. With allow patterns only matching emojis are
+  // kept; block patterns, animated (GIF) emojis when `excludeAnimated` is set, and emojis whose shortest
+  // name is longer than `maxNameLength` are dropped. `maxEmojis` then keeps the most solid emojis
+  // (lowest variance). Picks are added back last, whatever the filters say. Zero limits are off.
+  static applyPaletteSet(emojis, set) {
+    const compile = list => (Array.isArray(list) ? list : [])
+      .filter(pattern => typeof pattern === 'string' && pattern.trim())
+      .map(pattern => PixelArtConverter.compilePalettePattern(pattern));
+    const allow = compile(set.allow);
+    const block = compile(set.block);
+    const picks = new Set(Array.isArray(set.picks) ? set.picks : []);
+    const maxNameLength = Number(set.maxNameLength) || 0;
+    const maxEmojis = Number(set.maxEmojis) || 0;
+
+    const namesOf = emoji => [emoji.name, ...(Array.isArray(emoji.aliases) ? emoji.aliases : [])]
+      .filter(name => typeof name === 'string');
+    const matchesAny = (patterns, names) => patterns.some(pattern => names.some(name => pattern.test(name)));
+
+    let kept = emojis.filter(emoji => {
+      if (!emoji || !emoji.name || picks.has(emoji.name)) return false;
+      const names = namesOf(emoji);
+      if (allow.length > 0 && !matchesAny(allow, names)) return false;
+      if (matchesAny(block, names)) return false;
+      if (set.excludeAnimated && /\.gif(\?|$)/i.test(emoji.url || '')) return false;
+      if (maxNameLength > 0 && Math.min(...names.map(name => name.length)) > maxNameLength) return false;
+      return true;
+    });
+
+    if (maxEmojis > 0 && kept.length > maxEmojis) {
+      const varianceOf = emoji => emoji.colorError ? Number.MAX_VALUE
+        : (typeof emoji.variance === 'number' ? emoji.variance : Number.MAX_VALUE);
+      kept = kept
+        .sort((a, b) => varianceOf(a) - varianceOf(b) || a.name.localeCompare(b.name))
+        .slice(0, maxEmojis);
+    }
+
+    return kept.concat(emojis.filter(emoji => emoji && picks.has(emoji.name)));
+  }
+
+  // -------- Grid editing --------
+
+  // Emojis ordered by OKLab distance to an sRGB color, for the cell editor's picker.
+  // `query` keeps only emojis whose name or an alias contains it.
+  rankEmojisByColor(color, query = '', limit = 200) {
+    const targetLab = this.linearToOklab(this.rgb8ToLinear(color));
+    const needle = query.trim().toLowerCase();
+    const ranked = [];
+    for (const emoji of this.emojis) {
+      if (!emoji || !emoji._lab) continue;
+      if (needle && !emoji.name.includes(needle) &&
+        !(Array.isArray(emoji.aliases) && emoji.aliases.some(alias => typeof alias === 'string' && alias.includes(needle)))) {
+        continue;
+      }
+      ranked.push({ emoji, distance: this.oklabDistance(targetLab, emoji._lab) });
+    }
+    ranked.sort((a, b) => a.distance - b.distance);
+    return ranked.slice(0, limit);
+  }
+
+  // Key that identifies what a cell shows: emoji name plus any skin tone ('' for empty cells)
+  static getCellKey(emoji) {
+    return emoji ? `${emoji.name}${emoji.skinTone ? `::skin-tone-${emoji.skinTone}` : ''}` : '';
+  }
+
+  // Cells 4-connected to (x, y) that show the same emoji, including (x, y) itself, as [x, y] pairs
+  static findConnectedCells(grid, x, y) {
+    const height = grid.length;
+    const width = grid[0]?.length || 0;
+    if (x < 0 || y < 0 || x >= width || y >= height) return [];
+
+    const key = PixelArtConverter.getCellKey(grid[y][x]);
+    const visited = new Uint8Array(width * height);
+    const cells = [];
+    const stack = [[x, y]];
+    visited[y * width + x] = 1;
+    while (stack.length > 0) {
+      const [cx, cy] = stack.pop();
+      cells.push([cx, cy]);
+      for (const [nx, ny] of [[cx - 1, cy], [cx + 1, cy], [cx, cy - 1], [cx, cy + 1]]) {
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height || visited[ny * width + nx]) continue;
+        if (PixelArtConverter.getCellKey(grid[ny][nx]) !== key) continue;
+        visited[ny * width + nx] = 1;
+        stack.push([nx, ny]);
+      }
+    }
+    return cells;
+  }
+
+  // -------- Region regeneration --------
+
+  // Parse a '#rrggbb' color into { r, g, b, a }, the pixel shape buildGrid() matches against
+  static parseHexColor(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255, a: 255 };
+  }
+
+  // Re-match the cells where mask[y][x] is true with this converter's options (usually the
+  // result's settings plus overrides), using the result's per-cell target colors. Returns a new grid.
+  // Cells outside the mask are kept and count toward usage caps. To blend the borders, dithering
+  // runs over the whole grid so error from the kept neighbors flows into the region, and cells within
+  // REGION_BLEND_WIDTH of the border keep their old emoji while it still matches closely.
+  // Detail-mode layouts are not stored with results, so region cells are matched by color.
+  // Accepts an AbortSignal as `signal`, like convert().
+  async regenerateRegion(grid, targetColors, mask, onProgress = null, { signal = null } = {}) {
+    if (!targetColors) {
+      throw new Error('This result has no source colors to regenerate from');
+    }
+
+    this.signal = signal;
+    this.lastYield = Date.now();
+    if (signal) signal.throwIfAborted();
+
+    const h = grid.length;
+    const w = grid[0]?.length || 0;
+    // Cells without a target color (fixed banner emojis missing from the cache) are kept
+    const regionMask = mask.map((row, y) => row.map((inRegion, x) => inRegion && Boolean(targetColors[y][x])));
+    if (!regionMask.some(row => row.some(Boolean))) {
+      throw new Error('Select or paint a region first');
+    }
+
+    this.timings = {};
+    const pixels = targetColors.map(row => row.map(hex => PixelArtConverter.parseHexColor(hex || '#ffffff')));
+
+    // Results that crossed a worker boundary hold copies; usage caps and the index work on the palette's objects
+    const byName = new Map(this.emojis.map(emoji => [emoji.name, emoji]));
+    const fixed = grid.map(row => row.map(emoji => emoji ? (byName.get(emoji.name) || emoji) : null));
+
+    // Distance (in cells) from each region cell to the nearest kept cell
+    const depth = Array.from({ length: h }, (_, y) => Array.from({ length: w }, (_, x) => regionMask[y][x] ? Infinity : 0));
+    for (let pass = 0; pass < PixelArtConverter.REGION_BLEND_WIDTH; pass++) {
+      for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+          if (depth[y][x] !== Infinity) continue;
+          const touches = [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]]
+            .some(([nx, ny]) => nx >= 0 && ny >= 0 && nx < w && ny < h && depth[ny][nx] === pass);
+          if (touches) depth[y][x] = pass + 1;
+        }
+      }
+    }
+    const previous = fixed.map((row, y) => row.map((emoji, x) => depth[y][x] === Infinity ? null : emoji));
+
+    return this.buildGrid(pixels, w, h, onProgress, previous, { mask: regionMask, fixed });
+  }
+
+  // -------- Text banners --------
+
+  // Glyph drawn for a character; lowercase uses the uppercase glyph, unknown characters draw '?'
+  static getBannerGlyph(font, char) {
+    return font.glyphs[char.toUpperCase()] || font.glyphs['?'];
+  }
+
+  // Width in cells of one line of banner text
+  static measureBannerLine(font, line, scale = 1) {
+    if (!line) return 0;
+    let width = font.spacing * (line.length - 1);
+    for (const char of line) {
+      width += PixelArtConverter.getBannerGlyph(font, char)[0].length;
+    }
+    return width * scale;
+  }
+
+  // Word-wrap text so every line is at most `maxWidth` cells wide. Words longer than a line are
+  // broken between letters. Returns null when a single glyph is wider than `maxWidth`.
+  static wrapBannerText(text, font, scale, maxWidth) {
+    const measure = (line) => PixelArtConverter.measureBannerLine(font, line, scale);
+    const lines = [];
+    for (const paragraph of String(text).split(/\r?\n/)) {
+      let line = '';
+      for (let word of paragraph.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (measure(candidate) <= maxWidth) {
+          line = candidate;
+          continue;
+        }
+        if (line) lines.push(line);
+        while (measure(word) > maxWidth) {
+          let cut = 1;
+          while (cut < word.length && measure(word.slice(0, cut + 1)) <= maxWidth) cut++;
+          if (measure(word.slice(0, cut)) > maxWidth) return null;
+          lines.push(word.slice(0, cut));
+          word = word.slice(cut);
+        }
+        line = word;
+      }
+      if (line) lines.push(line);
+    }
+    return lines;
+  }
+
+  // Foreground mask (rows of booleans) for wrapped lines, with BANNER_PADDING cells around the text
+  // and one scaled blank row between lines. `align` is 'center' or 'left'.
+  static renderBannerMask(lines, font, scale = 1, align = 'center') {
+    const pad = PixelArtConverter.BANNER_PADDING;
+    const lineWidths = lines.map(line => PixelArtConverter.measureBannerLine(font, line, scale));
+    const contentWidth = Math.max(0, ...lineWidths);
+    const lineHeight = font.height * scale;
+    const width = contentWidth + pad * 2;
+    const height = lines.length * lineHeight + Math.max(0, lines.length - 1) * scale + pad * 2;
+    const mask = Array.from({ length: height }, () => new Array(width).fill(false));
+
+    lines.forEach((line, index) => {
+      let left = pad + (align === 'center' ? Math.floor((contentWidth - lineWidths[index]) / 2) : 0);
+      const top = pad + index * (lineHeight + scale);
+      for (const char of line) {
+        const glyph = PixelArtConverter.getBannerGlyph(font, char);
+        glyph.forEach((row, gy) => {
+          for (let gx = 0; gx < row.length; gx++) {
+            if (row[gx] !== '#') continue;
+            for (let sy = 0; sy < scale; sy++) {
+              mask[top + gy * scale + sy].fill(true, left + gx * scale, left + (gx + 1) * scale);
+            }
+          }
+        });
+        left += (glyph[0].length + font.spacing) * scale;
+      }
+    });
+    return mask;
+  }
+
+  // Emoji for one banner layer and the color it stands for. `{ name }` is used as-is (resolved
+  // against the cache, else kept as a missing placeholder); `{ color: '#rrggbb' }` takes the closest
+  // palette emoji, ignoring usage caps so the whole layer is one emoji.
+  resolveBannerEmoji(spec, lookup) {
+    if (spec && spec.name) {
+      const name = spec.name.trim().replace(/^:|:$/g, '').toLowerCase();
+      if (!PixelArtConverter.VALID_EMOJI_NAME.test(name)) {
+        throw new Error(`Invalid emoji name: ${spec.name}`);
+      }
+      const emoji = lookup.get(name) || { name, url: null, missing: true };
+      return { emoji, target: emoji.color ? PixelArtConverter.toHexColor(emoji.color) : null };
+    }
+
+    const color = (spec && spec.color) || '#000000';
+    const emoji = this.searchColorIndex(this.createMatchTarget(PixelArtConverter.parseHexColor(color)), 1)[0]?.emoji;
+    if (!emoji) {
+      throw new Error('No emojis available. Please extract emojis from Slack first.');
+    }
+    return { emoji, target: color };
+  }
+
+  // Render text with a bitmap font (see bitmap-fonts.js) into the result shape convert() returns.
+  // Lines wrap to fit options.width; the grid's height follows from the text. With a character
+  // budget (and multiMessage off) the widest wrap whose output fits is used.
+  convertText(text, font, { scale = 1, foreground = { color: '#000000' }, background = { color: '#ffffff' }, align = 'center' } = {}) {
+    if (!String(text).trim()) {
+      throw new Error('Enter some text for the banner');
+    }
+
+    this.timings = {};
+    const matchStart = performance.now();
+    const lookup = this.buildNameLookup();
+    const fg = this.resolveBannerEmoji(foreground, lookup);
+    const bg = this.resolveBannerEmoji(background, lookup);
+    this.recordTiming('match', matchStart);
+
+    const budget = this.options.charBudget;
+    const unlimited = budget === 0 || this.options.multiMessage;
+    const maxWidth = this.options.width - PixelArtConverter.BANNER_PADDING * 2;
+    let layout = null;
+    let smallest = null;
+    for (let lineWidth = maxWidth; lineWidth >= 1 && !layout; lineWidth--) {
+      const lines = PixelArtConverter.wrapBannerText(text, font, scale, lineWidth);
+      if (!lines) break;
+      const mask = PixelArtConverter.renderBannerMask(lines, font, scale, align);
+      const grid = mask.map(row => row.map(lit => lit ? fg.emoji : bg.emoji));
+      const candidate = { lines, mask, grid, characters: this.calculateCharacterCount(grid) };
+      if (!smallest || candidate.characters < smallest.characters) smallest = candidate;
+      if (unlimited || candidate.characters <= budget) layout = candidate;
+    }
+    if (!smallest) {
+      throw new Error(`A letter is wider than ${this.options.width} emojis. Raise the width or pick a smaller font`);
+    }
+    if (!layout) {
+      throw new Error(`The banner needs at least ${smallest.characters} characters, over the budget of ${budget}. Shorten the text, pick a smaller font or raise the budget`);
+    }
+
+    const { lines, mask, grid } = layout;
+    const outputStart = performance.now();
+    const output = this.generateTextOutput(grid);
+    const messages = this.options.multiMessage ? this.generateMessageChunks(grid) : [output];
+    this.recordTiming('output', outputStart);
+
+    return {
+      grid,
+      output,
+      messages,
+      dimensions: { width: grid[0].length, height: grid.length },
+      requestedDimensions: { width: this.options.width, height: this.options.height },
+      targetColors: mask.map(row => row.map(lit => lit ? fg.target : bg.target)),
+      settings: { ...this.options },
+      banner: { lines },
+      stats: this.generateStats(grid)
+    };
+  }
+
+  // -------- Letter captions --------
+
+  // Find letter emoji families such as `alphabet-white-a` … `alphabet-white-z` by name pattern.
+  // A family is a name template with `{}` where the character goes (`alphabet-white-{}`, `{}-blue`);
+  // characters are single letters/digits or LETTER_TOKEN_CHARS words. Returns
+  // [{ id, label, chars: { char: emoji }, letterCount }] with the most complete families first.
+  static detectLetterFamilies(emojis) {
+    const tokenChar = (token) => {
+      if (/^[a-z0-9]$/.test(token)) return token;
+      // Own keys only: names ending in `-constructor` or `-tostring` must not find Object.prototype members
+      const key = token.replace(/_/g, '-');
+      return Object.hasOwn(PixelArtConverter.LETTER_TOKEN_CHARS, key) ? PixelArtConverter.LETTER_TOKEN_CHARS[key] : undefined;
+    };
+    const families = new Map();
+    const add = (id, char, emoji) => {
+      if (!families.has(id)) families.set(id, {});
+      const chars = families.get(id);
+      if (!chars[char]) chars[char] = emoji;
+    };
+
+    for (const emoji of emojis) {
+      if (!emoji || !emoji.name) continue;
+      const name = emoji.name;
+      for (let i = 1; i < name.length - 1; i++) {
+        if (name[i] !== '-' && name[i] !== '_') continue;
+        const prefixChar = tokenChar(name.slice(i + 1));
+        if (prefixChar) add(`${name.slice(0, i + 1)}{}`, prefixChar, emoji);
+        const suffixChar = tokenChar(name.slice(0, i));
+        if (suffixChar) add(`{}${name.slice(i)}`, suffixChar, emoji);
+      }
+    }
+
+    const result = [];
+    for (const [id, chars] of families) {
+      const letterCount = Object.keys(chars).filter(char => /^[a-z]$/.test(char)).length;
+      if (letterCount < PixelArtConverter.LETTER_FAMILY_MIN_LETTERS) continue;
+      result.push({ id, label: id.replace('{}', '*'), chars, letterCount });
+    }
+    return result.sort((a, b) => b.letterCount - a.letterCount ||
+      Object.keys(b.chars).length - Object.keys(a.chars).length || a.label.localeCompare(b.label));
+  }
+
+  getLetterFamily(id) {
+    if (!this.letterFamilies) {
+      this.letterFamilies = PixelArtConverter.detectLetterFamilies(this.emojis);
+    }
+    const family = this.letterFamilies.find(entry => entry.id === id);
+    if (!family) {
+      throw new Error(`Letter family "${String(id).replace('{}', '*')}" is not in the cached emojis`);
+    }
+    return family;
+  }
+
+  // Lay out caption text as centered rows of letter emojis at most `width` cells wide, wrapping at
+  // spaces. Spaces and padding use the family's space emoji, else a cached `blank`/`space` emoji,
+  // else empty cells. Characters the family lacks are drawn as spaces and listed in `unsupported`.
+  layoutCaption(text, family, width) {
+    const lookup = this.buildNameLookup();
+    const space = family.chars[' '] || lookup.get('blank') || lookup.get('space') || null;
+    const unsupported = new Set();
+    const lines = [];
+    for (const paragraph of String(text).toLowerCase().split(/\r?\n/)) {
+      let line = '';
+      for (let word of paragraph.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (candidate.length <= width) {
+          line = candidate;
+          continue;
+        }
+        if (line) lines.push(line);
+        while (word.length > width) {
+          lines.push(word.slice(0, width));
+          word = word.slice(width);
+        }
+        line = word;
+      }
+      if (line) lines.push(line);
+    }
+
+    const rows = lines.map(line => {
+      const left = Math.floor((width - line.length) / 2);
+      const row = new Array(width).fill(space);
+      Array.from(line).forEach((char, i) => {
+        if (char === ' ') return;
+        if (family.chars[char]) {
+          row[left + i] = family.chars[char];
+        } else {
+          unsupported.add(char);
+        }
+      });
+      return row;
+    });
+    return { rows, lines, unsupported: Array.from(unsupported) };
+  }
+
+  // Put the rows of options.caption ({ text, family, position: 'above' | 'below' }) around a grid.
+  // With `asColors`, `rows` are the grid's target colors and the caption's cells become null.
+  attachCaption(rows, asColors = false) {
+    const caption = this.options.caption;
+    if (!caption || !String(caption.text || '').trim() || rows.length === 0) return rows;
+    const layout = this.layoutCaption(caption.text, this.getLetterFamily(caption.family), rows[0].length);
+    const captionRows = asColors ? layout.rows.map(row => row.map(() => null)) : layout.rows;
+    return caption.position === 'above' ? [...captionRows, ...rows] : [...rows, ...captionRows];
+  }
+
+  // Caption details for a result, or null without a caption
+  describeCaption(width) {
+    const caption = this.options.caption;
+    if (!caption || !String(caption.text || '').trim()) return null;
+    const { lines, unsupported } = this.layoutCaption(caption.text, this.getLetterFamily(caption.family), width);
+    return { position: caption.position === 'above' ? 'above' : 'below', lines, unsupported };
+  }
+
+  // Spell text with a letter family on its own, wrapped to options.width, in the result shape
+  // convert() returns. The caption must fit the character budget unless multiMessage is on.
+  convertCaption(text, familyId) {
+    if (!String(text).trim()) {
+      throw new Error('Enter some caption text');
+    }
+
+    this.timings = {};
+    const matchStart = performance.now();
+    const { rows: grid, lines, unsupported } = this.layoutCaption(text, this.getLetterFamily(familyId), this.options.width);
+    this.recordTiming('match', matchStart);
+
+    const characters = this.calculateCharacterCount(grid);
+    const budget = this.options.charBudget;
+    if (budget > 0 && !this.options.multiMessage && characters > budget) {
+      throw new Error(`The caption needs ${characters} characters, over the budget of ${budget}. Shorten it or lower the width`);
+    }
+
+    const outputStart = performance.now();
+    const output = this.generateTextOutput(grid);
+    const messages = this.options.multiMessage ? this.generateMessageChunks(grid) : [output];
+    this.recordTiming('output', outputStart);
+
+    return {
+      grid,
+      output,
+      messages,
+      dimensions: { width: grid[0].length, height: grid.length },
+      requestedDimensions: { width: this.options.width, height: this.options.height },
+      targetColors: grid.map(row => row.map(() => null)),
+      settings: { ...this.options },
+      caption: { position: 'standalone', lines, unsupported },
+      stats: this.generateStats(grid)
+    };
+  }
+
+  // -------- Importing emoji text --------
+
+  // Cached emojis by name and by alias (names win over aliases)
+  buildNameLookup() {
+    const lookup = new Map();
+    for (const emoji of this.allEmojis) {
+      if (emoji && emoji.name && !lookup.has(emoji.name)) lookup.set(emoji.name, emoji);
+    }
+    for (const emoji of this.allEmojis) {
+      if (!emoji || !Array.isArray(emoji.aliases)) continue;
+      for (const alias of emoji.aliases) {
+        if (typeof alias === 'string' && !lookup.has(alias)) lookup.set(alias, emoji);
+      }
+    }
+    return lookup;
+  }
+
+  // Parse posted emoji art (one row of `:name:` codes per line) back into the result shape convert()
+  // returns. Names and aliases resolve against this.emojis; a `:skin-tone-N:` code applies to the
+  // emoji before it and is dropped when there is none. Unknown names become `{ name, url: null, missing: true }` cells so they survive
+  // re-export, and are listed in `imported.missing`. Short rows are padded with empty cells.
+  importText(text) {
+    const lookup = this.buildNameLookup();
+    const missing = new Map(); // name -> { emoji, count }
+    const variants = new Map(); // "name:tone" -> skin-tone copy of the emoji
+    const resolve = (name) => {
+      const known = lookup.get(name);
+      if (known) return known;
+      if (!missing.has(name)) missing.set(name, { emoji: { name, url: null, missing: true }, count: 0 });
+      const entry = missing.get(name);
+      entry.count++;
+      return entry.emoji;
+    };
+    const withSkinTone = (emoji, tone) => {
+      const key = `${emoji.name}:${tone}`;
+      if (!variants.has(key)) variants.set(key, { ...emoji, skinTone: tone, _outputName: undefined });
+      return variants.get(key);
+    };
+
+    const rows = [];
+    for (const line of String(text).split(/\r?\n/)) {
+      const row = [];
+      for (const match of line.matchAll(PixelArtConverter.EMOJI_CODE_PATTERN)) {
+        const name = match[1].toLowerCase();
+        const tone = PixelArtConverter.SKIN_TONE_PATTERN.exec(name);
+        if (tone) {
+          // A modifier with no emoji before it (start of a row) has nothing to apply to; drop it
+          if (row.length > 0 && row[row.length - 1]) {
+            row[row.length - 1] = withSkinTone(row[row.length - 1], Number(tone[1]));
+          }
+          continue;
+        }
+        row.push(resolve(name));
+      }
+      if (row.length > 0) rows.push(row);
+    }
+    if (rows.length === 0) {
+      throw new Error('No :emoji: codes found in the text');
+    }
+
+    const width = Math.max(...rows.map(row => row.length));
+    const grid = rows.map(row => row.concat(new Array(width - row.length).fill(null)));
+    const dimensions = { width, height: grid.length };
+    const output = this.generateTextOutput(grid);
+
+    return {
+      grid,
+      output,
+      messages: this.options.multiMessage ? this.generateMessageChunks(grid) : [output],
+      dimensions,
+      requestedDimensions: dimensions,
+      targetColors: null,
+      settings: { ...this.options },
+      imported: {
+        missing: Array.from(missing.entries())
+          .map(([name, { count }]) => ({ name, count }))
+          .sort((a, b) => b.count - a.count)
+      },
+      stats: this.generateStats(grid)
+    };
+  }
+
+  // -------- Big-emoji tile packs --------
+
+  // Name of the custom emoji for the tile at (row, col), e.g. "party_parrot_r0_c2"
+  static getTileName(prefix, row, col) {
+    return `${prefix}_r${row}_c${col}`;
+  }
+
+  // Names and aliases taken in a palette; an upload with one of these names would be rejected
+  static getExistingEmojiNames(emojis) {
+    const existing = new Set();
+    for (const emoji of emojis || []) {
+      if (!emoji || !emoji.name) continue;
+      existing.add(emoji.name);
+      for (const alias of emoji.aliases || []) {
+        existing.add(alias);
+      }
+    }
+    return existing;
+  }
+
+  // Compare the names a tile pack would upload against the cached palette (names and aliases).
+  // `collisions` are exact clashes that Slack would reject; `prefixMatches` are existing emojis that
+  // already start with the prefix, which is allowed but easy to confuse.
+  static findTileNameCollisions(emojis, prefix, columns, rows) {
+    const existing = PixelArtConverter.getExistingEmojiNames(emojis);
+    const collisions = [];
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < columns; col++) {
+        const name = PixelArtConverter.getTileName(prefix, row, col);
+        if (existing.has(name)) collisions.push(name);
+      }
+    }
+
+    const prefixMatches = Array.from(existing).filter(name => name.startsWith(`${prefix}_`));
+    return { collisions, prefixMatches };
+  }
+
+  async canvasToPngBlob(canvas) {
+    if (typeof canvas.convertToBlob === 'function') {
+      return canvas.convertToBlob({ type: 'image/png' });
+    }
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to encode PNG')), 'image/png');
+    });
+  }
+
+  // Slice an image into columns × rows square PNG tiles for upload as custom emojis.
+  // The image is scaled to fit the whole tile area and centered; uncovered space stays transparent.
+  // Returns the tiles (name, position, PNG blob) and the text grid that reassembles them in Slack.
+  async createTilePack(imageSource, isUrl = true, { prefix, columns, rows, tileSize = PixelArtConverter.TILE_SIZE } = {}, onProgress = null) {
+    if (!prefix || !PixelArtConverter.VALID_EMOJI_NAME.test(prefix)) {
+      throw new Error('Prefix may only contain lowercase letters, numbers, and _ - + \' .');
+    }
+    if (!Number.isInteger(columns) || !Number.isInteger(rows) || columns < 1 || rows < 1 ||
+        columns > PixelArtConverter.MAX_TILE_GRID || rows > PixelArtConverter.MAX_TILE_GRID) {
+      throw new Error(`Columns and rows must be between 1 and ${PixelArtConverter.MAX_TILE_GRID}`);
+    }
+
+    if (onProgress) onProgress(10, 'Loading image...');
+    const img = await this.loadImage(imageSource, isUrl);
+
+    // Draw the whole image once at tile resolution, then cut it up
+    const fullWidth = columns * tileSize;
+    const fullHeight = rows * tileSize;
+    const full = this.createCanvas(fullWidth, fullHeight);
+    const fullCtx = full.getContext('2d');
+    fullCtx.imageSmoothingEnabled = true;
+    fullCtx.imageSmoothingQuality = 'high';
+    const scale = Math.min(fullWidth / img.width, fullHeight / img.height);
+    const drawWidth = img.width * scale;
+    const drawHeight = img.height * scale;
+    fullCtx.drawImage(img, (fullWidth - drawWidth) / 2, (fullHeight - drawHeight) / 2, drawWidth, drawHeight);
+
+    const tiles = [];
+    const tileCanvas = this.createCanvas(tileSize, tileSize);
+    const tileCtx = tileCanvas.getContext('2d');
+    const total = columns * rows;
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < columns; col++) {
+        tileCtx.clearRect(0, 0, tileSize, tileSize);
+        tileCtx.drawImage(full, col * tileSize, row * tileSize, tileSize, tileSize, 0, 0, tileSize, tileSize);
+        tiles.push({
+          name: PixelArtConverter.getTileName(prefix, row, col),
+          row,
+          col,
+          blob: await this.canvasToPngBlob(tileCanvas)
+        });
+        if (onProgress) {
+          onProgress(10 + Math.floor((tiles.length / total) * 85), `Encoding tile ${tiles.length}/${total}...`);
+        }
+      }
+    }
+
+    const lines = [];
+    for (let row = 0; row < rows; row++) {
+      let line = '';
+      for (let col = 0; col < columns; col++) {
+        line += `:${PixelArtConverter.getTileName(prefix, row, col)}:`;
+      }
+      lines.push(line);
+    }
+
+    if (onProgress) onProgress(100, 'Complete!');
+
+    return {
+      tiles,
+      output: lines.join('\n'),
+      dimensions: { width: columns, height: rows },
+      ...PixelArtConverter.findTileNameCollisions(this.allEmojis, prefix, columns, rows)
+    };
+  }
+
+  // -------- Filler emoji packs --------
+
+  // Pick up to `count` new emoji colors for coverage samples (see getGamutCoverageSamples()): each
+  // round takes the unreproducible sample whose color brings the most still-unreproducible weight
+  // within COVERAGE_DISTANCE. Returns the colors with the share of the weight each one adds, and the
+  // covered share before and after adding them all.
+  proposeFillerColors(samples, count) {
+    const limit = PixelArtConverter.COVERAGE_DISTANCE;
+    const totalWeight = samples.reduce((sum, sample) => sum + sample.weight, 0);
+    const uncovered = samples.filter(sample => sample.distance > limit);
+    const stride = Math.max(1, Math.ceil(uncovered.length / PixelArtConverter.FILLER_CANDIDATES));
+    const candidates = uncovered.filter((_, index) => index % stride === 0);
+    // Indices of the uncovered samples each candidate color would make reproducible
+    const reach = candidates.map(candidate => {
+      const reached = [];
+      uncovered.forEach((sample, index) => {
+        if (this.oklabDistance(candidate.lab, sample.lab) <= limit) reached.push(index);
+      });
+      return reached;
+    });
+
+    const covered = new Uint8Array(uncovered.length);
+    let coveredWeight = totalWeight - uncovered.reduce((sum, sample) => sum + sample.weight, 0);
+    const coverageBefore = totalWeight > 0 ? coveredWeight / totalWeight : 1;
+    const fillers = [];
+    while (fillers.length < count) {
+      let best = -1;
+      let bestGain = 0;
+      reach.forEach((reached, index) => {
+        const gain = reached.reduce((sum, sample) => covered[sample] ? sum : sum + uncovered[sample].weight, 0);
+        if (gain > bestGain) {
+          best = index;
+          bestGain = gain;
+        }
+      });
+      if (best < 0) break;
+      reach[best].forEach(sample => { covered[sample] = 1; });
+      coveredWeight += bestGain;
+      fillers.push({ color: candidates[best].color, lab: candidates[best].lab, share: bestGain / totalWeight });
+    }
+
+    return { fillers, coverageBefore, coverageAfter: totalWeight > 0 ? coveredWeight / totalWeight : 1 };
+  }
+
+  // Base name of a filler emoji: prefix, hex color and, except for solid fillers, the style
+  // (e.g. "fill_3a7bd5", "fill_3a7bd5_split")
+  static getFillerName(prefix, color, style) {
+    const hex = [color.r, color.g, color.b].map(v => v.toString(16).padStart(2, '0')).join('');
+    return `${prefix}_${hex}${style === 'solid' ? '' : `_${style}`}`;
+  }
+
+  // `name`, or `name_2`, `name_3`, ... for the first one not in `existing`
+  static getUniqueEmojiName(name, existing) {
+    let unique = name;
+    for (let n = 2; existing.has(unique); n++) {
+      unique = `${name}_${n}`;
+    }
+    return unique;
+  }
+
+  // Light and dark shades of an sRGB color whose linear-RGB mean is the color itself, so gradient and
+  // split fillers average to the color they were proposed for
+  getFillerShades(color) {
+    const target = this.rgb8ToLinear(color);
+    const lab = this.linearToOklab(target);
+    const clamp = v => Math.max(0, Math.min(1, v));
+    const lighter = this.oklabToLinear({ ...lab, L: Math.min(1, lab.L + PixelArtConverter.FILLER_SHADE_STEP) });
+    const light = {};
+    const dark = {};
+    for (const channel of ['r', 'g', 'b']) {
+      light[channel] = clamp(lighter[channel]);
+      dark[channel] = clamp(2 * target[channel] - light[channel]);
+      // Where the dark shade hit 0, pull the light one back so the pair still averages to the target
+      light[channel] = clamp(2 * target[channel] - dark[channel]);
+    }
+    return { light, dark };
+  }
+
+  // Render one filler emoji as a PNG: a flat color, a top-to-bottom gradient (interpolated in linear
+  // RGB) or a diagonal split between the two shades from getFillerShades()
+  async renderFillerEmoji(color, style, tileSize = PixelArtConverter.TILE_SIZE) {
+    const canvas = this.createCanvas(tileSize, tileSize);
+    const ctx = canvas.getContext('2d');
+    const css = ({ r, g, b }) => `rgb(${r}, ${g}, ${b})`;
+
+    if (style === 'solid') {
+      ctx.fillStyle = css(color);
+      ctx.fillRect(0, 0, tileSize, tileSize);
+    } else {
+      const { light, dark } = this.getFillerShades(color);
+      if (style === 'gradient') {
+        for (let y = 0; y < tileSize; y++) {
+          const t = (y + 0.5) / tileSize;
+          ctx.fillStyle = css(this.linearToRgb8({
+            r: light.r + (dark.r - light.r) * t,
+            g: light.g + (dark.g - light.g) * t,
+            b: light.b + (dark.b - light.b) * t
+          }));
+          ctx.fillRect(0, y, tileSize, 1);
+        }
+      } else {
+        ctx.fillStyle = css(this.linearToRgb8(dark));
+        ctx.fillRect(0, 0, tileSize, tileSize);
+        ctx.fillStyle = css(this.linearToRgb8(light));
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(tileSize, 0);
+        ctx.lineTo(0, tileSize);
+        ctx.closePath();
+        ctx.fill();
+      }
+    }
+
+    return this.canvasToPngBlob(canvas);
+  }
+
+  // Propose filler emojis for the palette's gamut holes, or for the colors of `imageData` (an RGBA
+  // ImageData-like) it cannot reproduce, and render them as PNGs to upload as custom emojis. Names
+  // come from getFillerName() and never clash with a cached name or alias.
+  async createFillerPack({ imageData = null, count = 12, style = 'solid', prefix = 'fill', tileSize = PixelArtConverter.TILE_SIZE } = {}, onProgress = null) {
+    if (!prefix || !PixelArtConverter.VALID_EMOJI_NAME.test(prefix)) {
+      throw new Error('Prefix may only contain lowercase letters, numbers, and _ - + \' .');
+    }
+    if (!Number.isInteger(count) || count < 1 || count > PixelArtConverter.FILLER_MAX_COUNT) {
+      throw new Error(`Count must be between 1 and ${PixelArtConverter.FILLER_MAX_COUNT}`);
+    }
+    if (!PixelArtConverter.FILLER_STYLES.includes(style)) {
+      throw new Error(`Unknown filler style: ${style}`);
+    }
+
+    if (onProgress) onProgress(10, 'Finding colors the palette lacks...');
+    const samples = imageData ? this.getImageCoverageSamples(imageData) : this.getGamutCoverageSamples();
+    const { fillers, coverageBefore, coverageAfter } = this.proposeFillerColors(samples, count);
+
+    const existing = PixelArtConverter.getExistingEmojiNames(this.allEmojis);
+    const emojis = [];
+    for (const filler of fillers) {
+      const name = PixelArtConverter.getUniqueEmojiName(PixelArtConverter.getFillerName(prefix, filler.color, style), existing);
+      existing.add(name);
+      emojis.push({ name, color: filler.color, share: filler.share, blob: await this.renderFillerEmoji(filler.color, style, tileSize) });
+      if (onProgress) {
+        onProgress(40 + Math.floor((emojis.length / fillers.length) * 55), `Rendering emoji ${emojis.length}/${fillers.length}...`);
+      }
+    }
+
+    if (onProgress) onProgress(100, 'Complete!');
+    return { emojis, style, coverageBefore, coverageAfter };
+  }
+
+  // -------- PNG export --------
+
+  // Compose a grid into a PNG using the emojis' own images. `images` maps emoji names to drawable
+  // images (ImageBitmap or <img>); null cells and emojis without an image show the background.
+  // `background` is a CSS color, or null for a transparent PNG. The cell size shrinks when the
+  // requested one would exceed the canvas limits; the size actually used is returned.
+  async renderGridImage(grid, images, { cellSize = 32, gap = 0, background = '#ffffff' } = {}, onProgress = null) {
+    const rows = grid.length;
+    const columns = grid[0]?.length || 0;
+    if (rows === 0 || columns === 0) {
+      throw new Error('Nothing to export');
+    }
+
+    gap = Math.max(0, Math.floor(gap));
+    const extent = (size, count) => count * size + (count - 1) * gap;
+    const fits = (size) => {
+      const width = extent(size, columns);
+      const height = extent(size, rows);
+      return width <= PixelArtConverter.EXPORT_MAX_SIDE &&
+        height <= PixelArtConverter.EXPORT_MAX_SIDE &&
+        width * height <= PixelArtConverter.EXPORT_MAX_PIXELS;
+    };
+
+    let size = Math.max(1, Math.floor(cellSize));
+    while (size > 1 && !fits(size)) size--;
+    if (!fits(size)) {
+      throw new Error(`A ${columns}×${rows} grid is too large to export as an image`);
+    }
+
+    const width = extent(size, columns);
+    const height = extent(size, rows);
+    const canvas = this.createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    if (background) {
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, width, height);
+    }
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < columns; x++) {
+        const emoji = grid[y][x];
+        const image = emoji && images.get(emoji.name);
+        if (!image) continue;
+
+        // Fit non-square emojis inside the cell, centered, like Slack does
+        const imageWidth = image.width || size;
+        const imageHeight = image.height || size;
+        const scale = Math.min(size / imageWidth, size / imageHeight);
+        const drawWidth = imageWidth * scale;
+        const drawHeight = imageHeight * scale;
+        ctx.drawImage(
+          image,
+          x * (size + gap) + (size - drawWidth) / 2,
+          y * (size + gap) + (size - drawHeight) / 2,
+          drawWidth,
+          drawHeight
+        );
+      }
+      if (onProgress && y % 10 === 9) {
+        onProgress(Math.floor(((y + 1) / rows) * 90), `Drawing row ${y + 1}/${rows}...`);
+      }
+    }
+
+    if (onProgress) onProgress(95, 'Encoding PNG...');
+    const blob = await this.canvasToPngBlob(canvas);
+    return { blob, width, height, cellSize: size };
+  }
 }
 
 // Export for use in popup
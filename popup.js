@@ -1,36 +1,66 @@
-/* global PixelArtConverter */
+/* global PixelArtConverter, createZip, BITMAP_FONTS, getAllEmojis, getWorkspaces, removeWorkspace */
 // Popup script - handles UI interactions and coordinates conversion
 
 // Constants
 const MAX_PREVIEW_LINES = 15; // Maximum lines to show in preview
 const STATUS_MESSAGE_TIMEOUT = 2000; // Time to show status messages (ms)
-
-function slimEmojisForStorage(emojis) {
-  return emojis.map(e => {
-    const slim = {
-      name: e.name,
-      url: e.url,
-      color: e.color,
-      accentColor: e.accentColor,
-      variance: e.variance
-    };
-    // Store compact color profile (top 2 clusters as [r,g,b,weight%])
-    const cp = e.colorProfile || e.cp;
-    if (Array.isArray(cp) && cp.length > 0) {
-      slim.cp = cp.slice(0, 2).map(c => {
-        const rgb = c.rgb || c;
-        const w = c.weight != null ? Math.round(c.weight * 100) : (c[3] != null ? c[3] : 50);
-        return [rgb.r || rgb[0], rgb.g || rgb[1], rgb.b || rgb[2], w];
-      });
-    }
-    return slim;
-  });
-}
+const EMOJI_IMAGE_BATCH_SIZE = 40; // Emoji images requested from the background worker per message
+const MAX_UNDO_STEPS = 100; // Cell editor history depth
+const PICKER_RESULT_LIMIT = 150; // Emojis listed by the cell editor's picker
+const LIBRARY_CELL_SIZE = 30; // Emoji library grid pitch (px); matches .library-cell
+const LIBRARY_OVERSCAN_ROWS = 3; // Rows drawn above and below the visible part of the library
+const PRESET_FILE_FORMAT = 'slack-emoji-pixelart-presets'; // `format` field of exported preset files
+const PRESET_FILE_VERSION = 1;
+const COVERAGE_PLOT_MAX_CHROMA = 0.33; // Chroma at the edge of the coverage plots; sRGB colors reach about 0.32
+const IMAGE_COVERAGE_MAX_SIDE = 96; // The image is scaled to fit this many pixels per side before its colors are checked
+const PALETTE_SET_FILE_FORMAT = 'slack-emoji-pixelart-palette-sets'; // `format` field of exported palette set files
+const PALETTE_SET_FILE_VERSION = 1;
+const RECIPE_VERSION = 3; // Version written into new recipe codes
+
+// Settings stored in a recipe code, by recipe version, as a positional list. A version's list
+// never changes once released; new settings go into a new version so older codes still decode.
+const RECIPE_FIELDS = {
+  1: ['width', 'height', 'charBudget', 'multiMessage', 'tolerance', 'dithering', 'ditheringStrength',
+    'ditherAlgorithm', 'texturePenalty', 'shortNamePreference', 'rasterSamples', 'lanczosInterpolation',
+    'adaptiveSampling', 'adaptiveDithering', 'sharpeningStrength', 'colorMetric', 'matchMode',
+    'saturationBoost', 'clahe', 'spatialCoherence', 'hybridDithering', 'perColorTolerance',
+    'globalAssignment', 'medianFilter'],
+  2: ['width', 'height', 'charBudget', 'multiMessage', 'tolerance', 'dithering', 'ditheringStrength',
+    'ditherAlgorithm', 'texturePenalty', 'shortNamePreference', 'rasterSamples', 'lanczosInterpolation',
+    'adaptiveSampling', 'adaptiveDithering', 'sharpeningStrength', 'colorMetric', 'matchMode',
+    'saturationBoost', 'clahe', 'spatialCoherence', 'hybridDithering', 'perColorTolerance',
+    'globalAssignment', 'medianFilter', 'paletteSet'],
+  3: ['width', 'height', 'charBudget', 'multiMessage', 'tolerance', 'dithering', 'ditheringStrength',
+    'ditherAlgorithm', 'texturePenalty', 'shortNamePreference', 'rasterSamples', 'lanczosInterpolation',
+    'adaptiveSampling', 'adaptiveDithering', 'sharpeningStrength', 'colorMetric', 'matchMode',
+    'saturationBoost', 'clahe', 'spatialCoherence', 'hybridDithering', 'perColorTolerance',
+    'globalAssignment', 'medianFilter', 'paletteSet', 'caption', 'frameStart', 'frameEnd', 'frameStride',
+    'excludedEmojis']
+};
+
+// Palette set definition inside a recipe code (the `paletteSet` field), as a positional list;
+// null when the result used all emojis
+const RECIPE_PALETTE_SET_FIELDS = ['name', 'allow', 'block', 'picks', 'maxNameLength', 'maxEmojis', 'excludeAnimated'];
+// Caption inside a recipe code (the `caption` field); null when the result had none
+const RECIPE_CAPTION_FIELDS = ['text', 'family', 'position'];
+
+// Use-case settings from EXAMPLES.md
+const BUILT_IN_PRESETS = [
+  { name: 'Team Avatars', settings: { width: 15, height: 15, charBudget: 3000, tolerance: 20, dithering: true, ditheringStrength: 85, texturePenalty: 60, rasterSamples: 4 } },
+  { name: 'Logo Recreation', settings: { width: 30, height: 20, charBudget: 8000, tolerance: 10, dithering: false, texturePenalty: 70, rasterSamples: 3 } },
+  { name: 'Memes and Reactions', settings: { width: 20, height: 20, charBudget: 5000, tolerance: 30, dithering: true, ditheringStrength: 75, texturePenalty: 50, rasterSamples: 3 } },
+  { name: 'Event Banners', settings: { width: 40, height: 15, charBudget: 10000, tolerance: 25, dithering: true, ditheringStrength: 80, texturePenalty: 55, rasterSamples: 3 } }
+];
 
 let currentEmojis = [];
 let currentResult = null;
-let cachedEmojiCount = 0;
-let lastExtractedAt = null;
+let workspaces = {}; // Workspace id -> sync state (see getWorkspaces() in emoji-db.js)
+let activeWorkspaceId = null; // Target workspace: its cache is the palette, so output uses its names
+let mergedPalette = false;
+let excludedEmojis = {}; // Workspace id -> names excluded from generated art in the emoji library
+let libraryEntries = []; // Emoji library entries that match the filters, see browsePalette()
+let libraryConverter = null; // Converter over currentEmojis for the library (colors prepared once)
+let libraryFrame = 0; // Pending animation frame for a library redraw while scrolling
 
 function escapeHtml(str) {
   return String(str)
@@ -47,6 +77,23 @@ const openEmojiPageBtn = document.getElementById('openEmojiPage');
 const extractEmojisBtn = document.getElementById('extractEmojis');
 const emojiStatus = document.getElementById('emojiStatus');
 const cacheInfo = document.getElementById('cacheInfo');
+const workspacePicker = document.getElementById('workspacePicker');
+const workspaceSelect = document.getElementById('workspaceSelect');
+const removeWorkspaceBtn = document.getElementById('removeWorkspace');
+const mergedPaletteCheckbox = document.getElementById('mergedPalette');
+const libraryCard = document.getElementById('libraryCard');
+const librarySearchInput = document.getElementById('librarySearch');
+const libraryHueSelect = document.getElementById('libraryHue');
+const libraryLightnessSelect = document.getElementById('libraryLightness');
+const libraryTextureSelect = document.getElementById('libraryTexture');
+const librarySamplingSelect = document.getElementById('librarySampling');
+const libraryStatusSelect = document.getElementById('libraryStatus');
+const librarySortSelect = document.getElementById('librarySort');
+const librarySummary = document.getElementById('librarySummary');
+const excludeShownBtn = document.getElementById('excludeShown');
+const includeShownBtn = document.getElementById('includeShown');
+const libraryGrid = document.getElementById('libraryGrid');
+const librarySpacer = document.getElementById('librarySpacer');
 const cacheCount = document.getElementById('cacheCount');
 const cacheDate = document.getElementById('cacheDate');
 const autoSyncCheckbox = document.getElementById('autoSync');
@@ -64,13 +111,17 @@ const imageStatus = document.getElementById('imageStatus');
 const widthInput = document.getElementById('width');
 const heightInput = document.getElementById('height');
 const charBudgetInput = document.getElementById('charBudget');
+const multiMessageCheckbox = document.getElementById('multiMessage');
 const toleranceInput = document.getElementById('tolerance');
 const toleranceRange = document.getElementById('toleranceRange');
 const ditheringCheckbox = document.getElementById('dithering');
 const ditherStrengthInput = document.getElementById('ditherStrength');
+const ditherAlgorithmSelect = document.getElementById('ditherAlgorithm');
 const ditherStrengthRange = document.getElementById('ditherStrengthRange');
 const texturePenaltyInput = document.getElementById('texturePenalty');
 const texturePenaltyRange = document.getElementById('texturePenaltyRange');
+const shortNamePreferenceInput = document.getElementById('shortNamePreference');
+const shortNamePreferenceRange = document.getElementById('shortNamePreferenceRange');
 const rasterSamplesInput = document.getElementById('rasterSamples');
 const rasterSamplesRange = document.getElementById('rasterSamplesRange');
 const lanczosInterpolationCheckbox = document.getElementById('lanczosInterpolation');
@@ -79,14 +130,61 @@ const adaptiveDitheringCheckbox = document.getElementById('adaptiveDithering');
 const sharpeningStrengthInput = document.getElementById('sharpeningStrength');
 const sharpeningStrengthRange = document.getElementById('sharpeningStrengthRange');
 const colorMetricSelect = document.getElementById('colorMetric');
+const matchModeSelect = document.getElementById('matchMode');
 const saturationBoostInput = document.getElementById('saturationBoost');
 const saturationBoostRange = document.getElementById('saturationBoostRange');
 const claheCheckbox = document.getElementById('clahe');
 const spatialCoherenceCheckbox = document.getElementById('spatialCoherence');
 const hybridDitheringCheckbox = document.getElementById('hybridDithering');
+const presetSelect = document.getElementById('presetSelect');
+const applyPresetBtn = document.getElementById('applyPreset');
+const deletePresetBtn = document.getElementById('deletePreset');
+const presetNameInput = document.getElementById('presetName');
+const savePresetBtn = document.getElementById('savePreset');
+const exportPresetsBtn = document.getElementById('exportPresets');
+const importPresetsBtn = document.getElementById('importPresets');
+const presetFileInput = document.getElementById('presetFile');
+const presetStatus = document.getElementById('presetStatus');
+const recipeInput = document.getElementById('recipeInput');
+const paletteSetSelect = document.getElementById('paletteSetSelect');
+const deletePaletteSetBtn = document.getElementById('deletePaletteSet');
+const paletteSetAllowInput = document.getElementById('paletteSetAllow');
+const paletteSetBlockInput = document.getElementById('paletteSetBlock');
+const paletteSetPicksInput = document.getElementById('paletteSetPicks');
+const paletteSetMaxNameLengthInput = document.getElementById('paletteSetMaxNameLength');
+const paletteSetMaxEmojisInput = document.getElementById('paletteSetMaxEmojis');
+const paletteSetExcludeAnimatedCheckbox = document.getElementById('paletteSetExcludeAnimated');
+const paletteSetNameInput = document.getElementById('paletteSetName');
+const savePaletteSetBtn = document.getElementById('savePaletteSet');
+const exportPaletteSetsBtn = document.getElementById('exportPaletteSets');
+const importPaletteSetsBtn = document.getElementById('importPaletteSets');
+const paletteSetFileInput = document.getElementById('paletteSetFile');
+const paletteSetStatus = document.getElementById('paletteSetStatus');
+const analyzeCoverageBtn = document.getElementById('analyzeCoverage');
+const checkImageCoverageBtn = document.getElementById('checkImageCoverage');
+const coverageStatus = document.getElementById('coverageStatus');
+const coverageReportEl = document.getElementById('coverageReport');
+const coverageChromaPlot = document.getElementById('coverageChromaPlot');
+const coverageHueWheel = document.getElementById('coverageHueWheel');
+const coverageSummary = document.getElementById('coverageSummary');
+const coverageHolesList = document.getElementById('coverageHoles');
+const imageCoverageSummary = document.getElementById('imageCoverageSummary');
+const imageCoverageProblemsList = document.getElementById('imageCoverageProblems');
+const fillerSourceSelect = document.getElementById('fillerSource');
+const fillerStyleSelect = document.getElementById('fillerStyle');
+const fillerCountInput = document.getElementById('fillerCount');
+const fillerPrefixInput = document.getElementById('fillerPrefix');
+const createFillerPackBtn = document.getElementById('createFillerPack');
+const fillerPackStatus = document.getElementById('fillerPackStatus');
+const fillerPackResult = document.getElementById('fillerPackResult');
+const fillerPackPreview = document.getElementById('fillerPackPreview');
+const downloadFillerPackBtn = document.getElementById('downloadFillerPack');
+const applyRecipeBtn = document.getElementById('applyRecipe');
 const perColorToleranceCheckbox = document.getElementById('perColorTolerance');
+const globalAssignmentCheckbox = document.getElementById('globalAssignment');
 const medianFilterCheckbox = document.getElementById('medianFilter');
 const generateBtn = document.getElementById('generate');
+const cancelGenerateBtn = document.getElementById('cancelGenerate');
 const generateStatus = document.getElementById('generateStatus');
 const progressBar = document.getElementById('progress');
 const progressFill = document.getElementById('progressBar');
@@ -94,17 +192,118 @@ const previewSection = document.getElementById('previewSection');
 const preview = document.getElementById('preview');
 const stats = document.getElementById('stats');
 const copyToClipboardBtn = document.getElementById('copyToClipboard');
-const downloadTextBtn = document.getElementById('downloadText');
+const downloadBtn = document.getElementById('downloadResult');
+const exportFormatSelect = document.getElementById('exportFormat');
+const pngExportOptions = document.getElementById('pngExportOptions');
+const pngCellSizeInput = document.getElementById('pngCellSize');
+const pngGapInput = document.getElementById('pngGap');
+const pngBackgroundInput = document.getElementById('pngBackground');
+const pngTransparentCheckbox = document.getElementById('pngTransparent');
 const copyStatus = document.getElementById('copyStatus');
+const messageParts = document.getElementById('messageParts');
+const messagePartsTitle = document.getElementById('messagePartsTitle');
+const messagePartsList = document.getElementById('messagePartsList');
+const copyNextPartBtn = document.getElementById('copyNextPart');
 const visualPreview = document.getElementById('visualPreview');
 const visualTabBtn = document.getElementById('visualTabBtn');
+const gifControls = document.getElementById('gifControls');
+const gifFrameInfo = document.getElementById('gifFrameInfo');
+const gifFrameStartInput = document.getElementById('gifFrameStart');
+const gifFrameEndInput = document.getElementById('gifFrameEnd');
+const gifFrameStrideInput = document.getElementById('gifFrameStride');
+const animationControls = document.getElementById('animationControls');
+const playAnimationBtn = document.getElementById('playAnimation');
+const animationFrameLabel = document.getElementById('animationFrameLabel');
+const tilePrefixInput = document.getElementById('tilePrefix');
+const tileColumnsInput = document.getElementById('tileColumns');
+const tileRowsInput = document.getElementById('tileRows');
+const tilePrefixStatus = document.getElementById('tilePrefixStatus');
+const createTilePackBtn = document.getElementById('createTilePack');
+const tilePackStatus = document.getElementById('tilePackStatus');
+const tilePackResult = document.getElementById('tilePackResult');
+const tilePackPreview = document.getElementById('tilePackPreview');
+const tilePackText = document.getElementById('tilePackText');
+const downloadTilePackBtn = document.getElementById('downloadTilePack');
+const copyTilePackTextBtn = document.getElementById('copyTilePackText');
 const textTabBtn = document.getElementById('textTabBtn');
+const importTextInput = document.getElementById('importText');
+const importArtBtn = document.getElementById('importArt');
+const importStatus = document.getElementById('importStatus');
+const toggleEditorBtn = document.getElementById('toggleEditor');
+const editorTools = document.getElementById('editorTools');
+const editorToolButtons = document.querySelectorAll('.editor-tool');
+const copySelectionBtn = document.getElementById('copySelection');
+const pasteSelectionBtn = document.getElementById('pasteSelection');
+const undoEditBtn = document.getElementById('undoEdit');
+const redoEditBtn = document.getElementById('redoEdit');
+const brushEmojiLabel = document.getElementById('brushEmoji');
+const cellPicker = document.getElementById('cellPicker');
+const pickerSearchInput = document.getElementById('pickerSearch');
+const pickerList = document.getElementById('pickerList');
+const regionPanel = document.getElementById('regionPanel');
+const captionFamilySelect = document.getElementById('captionFamily');
+const captionTextInput = document.getElementById('captionText');
+const captionPositionSelect = document.getElementById('captionPosition');
+const generateCaptionBtn = document.getElementById('generateCaption');
+const captionStatus = document.getElementById('captionStatus');
+const bannerTextInput = document.getElementById('bannerText');
+const bannerFontSelect = document.getElementById('bannerFont');
+const bannerScaleSelect = document.getElementById('bannerScale');
+const bannerAlignSelect = document.getElementById('bannerAlign');
+const bannerForegroundColorInput = document.getElementById('bannerForegroundColor');
+const bannerForegroundNameInput = document.getElementById('bannerForegroundName');
+const bannerBackgroundColorInput = document.getElementById('bannerBackgroundColor');
+const bannerBackgroundNameInput = document.getElementById('bannerBackgroundName');
+const generateBannerBtn = document.getElementById('generateBanner');
+const bannerStatus = document.getElementById('bannerStatus');
+
+for (const [id, font] of Object.entries(BITMAP_FONTS)) {
+  bannerFontSelect.add(new Option(font.label, id));
+}
+bannerFontSelect.value = 'classic';
+const regionDitheringStrengthInput = document.getElementById('regionDitheringStrength');
+const regionTexturePenaltyInput = document.getElementById('regionTexturePenalty');
+const regionColorMetricSelect = document.getElementById('regionColorMetric');
+const regenerateRegionBtn = document.getElementById('regenerateRegion');
+const clearRegionBtn = document.getElementById('clearRegion');
 
 let currentImageSource = null;
 let currentImageIsUrl = true;
 let currentGrid = null; // Store the grid for visual preview
 let referenceImageUrl = null;
 let comparisonMode = 'side-by-side';
+let nextPartIndex = 0; // Next message part for the "copy next part" flow
+let conversionWorker = null; // Lazily created; runs PixelArtConverter off the main thread
+let conversionRequestId = 0;
+let generateController = null; // AbortController for the generation in progress
+let currentImageIsGif = false; // Converted frame by frame when true
+let messagePartUnit = 'Part'; // "Part" for split messages, "Frame" for animations
+let animationTimer = null;
+let animationFrameIndex = 0;
+let animationPlaying = false;
+let currentTilePack = null; // Last generated big-emoji tile pack
+let tilePreviewUrls = []; // Object URLs of the tile previews, revoked on re-render
+let editorEnabled = false; // Cell editor mode on the visual preview
+let editorTool = 'pick'; // 'pick' | 'brush' | 'fill' | 'eyedropper' | 'select'
+let editorConverter = null; // Regenerates output/stats after edits; reset with each new result
+let brushEmoji = null; // Emoji painted by the brush and fill tools
+let pickerCell = null; // { x, y } of the cell the picker replaces, or null when picking the brush
+let selection = null; // { x0, y0, x1, y1 } inclusive rectangle selected in the grid
+let selectionClipboard = null; // Copied rows of emojis
+let undoStack = [];
+let redoStack = [];
+let strokeChanges = null; // Cells changed by the brush stroke in progress
+let dragStart = null; // Cell where the selection drag started
+let savedPresets = []; // User presets [{ name, settings }], persisted as `settingsPresets`
+let paletteSets = []; // Saved palette sets (see PixelArtConverter.applyPaletteSet), persisted as `paletteSets`
+let activePaletteSetName = ''; // Palette set used for conversions ('' = whole palette), persisted as `activePaletteSet`
+let libraryPaletteNames = null; // Names in the active palette set while the library is drawn, or null
+let paletteCoverage = null; // Last analyzePaletteCoverage() report, drawn as holes on the coverage plots
+let currentFillerPack = null; // Last createFillerPack() result with its prefix, for the zip download
+let fillerPreviewUrls = []; // Object URLs of the filler previews, revoked when the pack is replaced
+let savedCaptionFamily = null; // Stored caption family, applied once the cached emojis are scanned
+let regionMask = null; // Painted cells to regenerate (rows of booleans), or null
+let regionPaintValue = null; // Whether the region drag in progress adds (true) or erases (false) cells
 
 // Format date for display
 function formatDate(timestamp) {
@@ -125,10 +324,35 @@ function formatDate(timestamp) {
 function updateCacheDisplay(emojiData) {
   if (emojiData && emojiData.length > 0) {
     cacheInfo.style.display = 'block';
-    cacheCount.textContent = `${emojiData.length.toLocaleString()} emojis cached`;
+    const borrowed = emojiData.filter(e => e.workspace !== activeWorkspaceId).length;
+    const excluded = getExcludedNames().length;
+    const paletteSet = getActivePaletteSet();
+    const setNote = paletteSet ? `, palette set "${paletteSet.name}": ${countPaletteSet(paletteSet).toLocaleString()}` : '';
+    cacheCount.textContent = `${emojiData.length.toLocaleString()} emojis cached${borrowed > 0 ? ` (${borrowed.toLocaleString()} from other org workspaces)` : ''}${excluded > 0 ? `, ${excluded.toLocaleString()} excluded` : ''}${setNote}`;
   } else {
     cacheInfo.style.display = 'none';
   }
+  // A coverage report describes the palette it was run on
+  paletteCoverage = null;
+  coverageReportEl.style.display = 'none';
+  refreshLetterFamilies();
+  refreshLibrary();
+}
+
+// List the letter emoji families found in the cached emojis, keeping the chosen one when present
+function refreshLetterFamilies() {
+  const selected = captionFamilySelect.value || savedCaptionFamily;
+  const families = PixelArtConverter.detectLetterFamilies(currentEmojis);
+  captionFamilySelect.textContent = '';
+  if (families.length === 0) {
+    captionFamilySelect.add(new Option('No letter emoji families found', ''));
+  }
+  for (const family of families) {
+    captionFamilySelect.add(new Option(`${family.label} (${Object.keys(family.chars).length} characters)`, family.id));
+  }
+  if (families.some(family => family.id === selected)) {
+    captionFamilySelect.value = selected;
+  }
 }
 
 // Update cache date display
@@ -276,36 +500,32 @@ function renderVisualPreview(grid, emojiSize = 16) {
   }
   
   // Render each row
-  for (const row of grid) {
+  grid.forEach((row, y) => {
     const rowDiv = document.createElement('div');
     rowDiv.className = 'emoji-row';
     
-    for (const emoji of row) {
+    row.forEach((emoji, x) => {
       const cell = document.createElement('div');
       cell.className = 'emoji-cell';
+      cell.dataset.x = x;
+      cell.dataset.y = y;
       cell.style.width = `${emojiSize}px`;
       cell.style.height = `${emojiSize}px`;
-      
-      if (emoji && emoji.url) {
-        const img = document.createElement('img');
-        img.src = emoji.url;
-        img.alt = emoji.name;
-        img.title = `:${emoji.name}:`;
-        img.style.width = `${emojiSize}px`;
-        img.style.height = `${emojiSize}px`;
-        img.loading = 'lazy';
-        cell.appendChild(img);
-      }
+      updatePreviewCell(cell, emoji);
+      const img = cell.querySelector('img');
+      if (img) img.loading = 'lazy';
       
       rowDiv.appendChild(cell);
-    }
+    });
     
     gridContainer.appendChild(rowDiv);
-  }
+  });
   
   mosaicPane.appendChild(gridContainer);
   comparisonContainer.appendChild(mosaicPane);
   visualPreview.appendChild(comparisonContainer);
+  paintSelection();
+  paintRegion();
   
   // Add zoom slider functionality
   const zoomSlider = document.getElementById('zoomSlider');
@@ -361,6 +581,14 @@ texturePenaltyInput.addEventListener('input', (e) => {
   texturePenaltyRange.value = e.target.value;
 });
 
+shortNamePreferenceRange.addEventListener('input', (e) => {
+  shortNamePreferenceInput.value = e.target.value;
+});
+
+shortNamePreferenceInput.addEventListener('input', (e) => {
+  shortNamePreferenceRange.value = e.target.value;
+});
+
 rasterSamplesRange.addEventListener('input', (e) => {
   rasterSamplesInput.value = e.target.value;
 });
@@ -389,8 +617,84 @@ saturationBoostInput.addEventListener('input', (e) => {
   saturationBoostRange.value = e.target.value;
 });
 
+// Load the workspace list and the target workspace's palette from the IndexedDB cache (the first
+// open after an update migrates older caches into it). `verb` completes the status message; null
+// leaves the status alone.
+async function loadEmojiCache(verb) {
+  try {
+    workspaces = await getWorkspaces();
+    if (!workspaces[activeWorkspaceId]) {
+      const latest = Object.values(workspaces).sort((a, b) => (b.extractedAt || 0) - (a.extractedAt || 0))[0];
+      activeWorkspaceId = latest ? latest.id : null;
+    }
+    renderWorkspaceOptions();
+
+    currentEmojis = activeWorkspaceId ? await loadPalette() : [];
+    if (currentEmojis.length > 0 && verb) {
+      showStatus(emojiStatus, `${currentEmojis.length.toLocaleString()} emojis ${verb}`, 'success');
+    }
+    updateCacheDisplay(currentEmojis);
+    updateCacheDateDisplay(activeWorkspaceId ? workspaces[activeWorkspaceId].extractedAt : null);
+    checkReadyToGenerate();
+  } catch (error) {
+    showStatus(emojiStatus, 'Error: Could not open the emoji cache: ' + error.message, 'error');
+  }
+}
+
+// The target workspace's emojis, plus (merged palette) the emojis it lacks from other cached
+// workspaces of its Enterprise Grid org, whose custom emojis are valid across the org. Every
+// emoji keeps its source workspace in `workspace`.
+async function loadPalette() {
+  const target = workspaces[activeWorkspaceId];
+  const palette = await getAllEmojis(activeWorkspaceId);
+  if (!mergedPalette || !target.enterpriseId) return palette;
+
+  const names = new Set(palette.map(e => e.name));
+  for (const workspace of Object.values(workspaces)) {
+    if (workspace.id === target.id || workspace.enterpriseId !== target.enterpriseId) continue;
+    for (const emoji of await getAllEmojis(workspace.id)) {
+      if (names.has(emoji.name)) continue;
+      names.add(emoji.name);
+      palette.push(emoji);
+    }
+  }
+  return palette;
+}
+
+function renderWorkspaceOptions() {
+  const list = Object.values(workspaces).sort((a, b) => (a.name || a.id).localeCompare(b.name || b.id));
+  workspacePicker.style.display = list.length > 0 ? 'block' : 'none';
+  workspaceSelect.textContent = '';
+  for (const workspace of list) {
+    const count = workspace.emojiCount ? ` · ${workspace.emojiCount.toLocaleString()} emojis` : '';
+    const domain = workspace.domain ? ` (${workspace.domain})` : '';
+    workspaceSelect.add(new Option(`${workspace.name || workspace.id}${domain}${count}`, workspace.id));
+  }
+  if (activeWorkspaceId) {
+    workspaceSelect.value = activeWorkspaceId;
+  }
+  const target = workspaces[activeWorkspaceId];
+  mergedPaletteCheckbox.disabled = !target || !target.enterpriseId;
+}
+
+// Make a workspace the target and load its palette
+function selectWorkspace(id, verb) {
+  activeWorkspaceId = id;
+  chrome.storage.local.set({ activeWorkspace: id });
+  return loadEmojiCache(verb);
+}
+
+// The workspace of the Slack page in a tab, or null when its content script does not answer
+function getTabWorkspace(tabId) {
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(tabId, { action: 'getWorkspace' }, (response) => {
+      resolve(chrome.runtime.lastError || !response ? null : response);
+    });
+  });
+}
+
 // Load saved emojis and settings on popup open
-chrome.storage.local.get(['slackEmojis', 'extractedAt', 'autoSync', 'dithering', 'ditherStrength', 'texturePenalty', 'rasterSamples', 'lanczosInterpolation', 'adaptiveSampling', 'adaptiveDithering', 'sharpeningStrength', 'emojiPageUrl', 'extractionProgress', 'colorMetric', 'saturationBoost', 'clahe', 'spatialCoherence', 'hybridDithering', 'perColorTolerance', 'medianFilter'], (result) => {
+chrome.storage.local.get(['activeWorkspace', 'mergedPalette', 'excludedEmojis', 'autoSync', 'dithering', 'ditherStrength', 'ditherAlgorithm', 'texturePenalty', 'rasterSamples', 'lanczosInterpolation', 'adaptiveSampling', 'adaptiveDithering', 'sharpeningStrength', 'emojiPageUrl', 'extractionProgress', 'colorMetric', 'matchMode', 'saturationBoost', 'clahe', 'spatialCoherence', 'hybridDithering', 'perColorTolerance', 'globalAssignment', 'medianFilter', 'multiMessage', 'shortNamePreference', 'tilePrefix', 'tileColumns', 'tileRows', 'exportFormat', 'pngCellSize', 'pngGap', 'pngBackground', 'pngTransparent', 'bannerFont', 'bannerScale', 'bannerAlign', 'bannerForegroundColor', 'bannerForegroundName', 'bannerBackgroundColor', 'bannerBackgroundName', 'captionFamily', 'captionText', 'captionPosition', 'fillerStyle', 'fillerCount', 'fillerPrefix', 'settingsPresets', 'paletteSets', 'activePaletteSet'], (result) => {
   // Restore in-progress extraction progress bar
   if (result.extractionProgress && result.extractionProgress.inProgress) {
     const ep = result.extractionProgress;
@@ -403,15 +707,11 @@ chrome.storage.local.get(['slackEmojis', 'extractedAt', 'autoSync', 'dithering',
     emojiPageUrlInput.value = result.emojiPageUrl;
   }
 
-  if (result.slackEmojis && result.slackEmojis.length > 0) {
-    currentEmojis = result.slackEmojis;
-    cachedEmojiCount = result.slackEmojis.length;
-    lastExtractedAt = result.extractedAt;
-    showStatus(emojiStatus, `${currentEmojis.length.toLocaleString()} emojis loaded from cache`, 'success');
-    updateCacheDisplay(currentEmojis);
-    updateCacheDateDisplay(result.extractedAt);
-    checkReadyToGenerate();
-  }
+  activeWorkspaceId = result.activeWorkspace || null;
+  mergedPalette = Boolean(result.mergedPalette);
+  mergedPaletteCheckbox.checked = mergedPalette;
+  excludedEmojis = result.excludedEmojis || {};
+  loadEmojiCache('loaded from cache');
   
   // Load auto-sync preference
   if (result.autoSync !== undefined) {
@@ -428,11 +728,20 @@ chrome.storage.local.get(['slackEmojis', 'extractedAt', 'autoSync', 'dithering',
     ditherStrengthRange.value = result.ditherStrength;
   }
 
+  if (result.ditherAlgorithm !== undefined) {
+    ditherAlgorithmSelect.value = result.ditherAlgorithm;
+  }
+
   if (result.texturePenalty !== undefined) {
     texturePenaltyInput.value = result.texturePenalty;
     texturePenaltyRange.value = result.texturePenalty;
   }
 
+  if (result.shortNamePreference !== undefined) {
+    shortNamePreferenceInput.value = result.shortNamePreference;
+    shortNamePreferenceRange.value = result.shortNamePreference;
+  }
+
   if (result.rasterSamples !== undefined) {
     rasterSamplesInput.value = result.rasterSamples;
     rasterSamplesRange.value = result.rasterSamples;
@@ -460,6 +769,10 @@ chrome.storage.local.get(['slackEmojis', 'extractedAt', 'autoSync', 'dithering',
     colorMetricSelect.value = result.colorMetric;
   }
 
+  if (result.matchMode !== undefined) {
+    matchModeSelect.value = result.matchMode;
+  }
+
   if (result.saturationBoost !== undefined) {
     saturationBoostInput.value = result.saturationBoost;
     saturationBoostRange.value = result.saturationBoost;
@@ -481,9 +794,118 @@ chrome.storage.local.get(['slackEmojis', 'extractedAt', 'autoSync', 'dithering',
     perColorToleranceCheckbox.checked = result.perColorTolerance;
   }
 
+  if (result.globalAssignment !== undefined) {
+    globalAssignmentCheckbox.checked = result.globalAssignment;
+  }
+
   if (result.medianFilter !== undefined) {
     medianFilterCheckbox.checked = result.medianFilter;
   }
+
+  if (result.multiMessage !== undefined) {
+    multiMessageCheckbox.checked = result.multiMessage;
+  }
+
+  if (result.fillerStyle !== undefined) {
+    fillerStyleSelect.value = result.fillerStyle;
+  }
+
+  if (result.fillerCount !== undefined) {
+    fillerCountInput.value = result.fillerCount;
+  }
+
+  if (result.fillerPrefix !== undefined) {
+    fillerPrefixInput.value = result.fillerPrefix;
+  }
+
+  if (result.tilePrefix !== undefined) {
+    tilePrefixInput.value = result.tilePrefix;
+  }
+
+  if (result.tileColumns !== undefined) {
+    tileColumnsInput.value = result.tileColumns;
+  }
+
+  if (result.tileRows !== undefined) {
+    tileRowsInput.value = result.tileRows;
+  }
+
+  if (result.exportFormat !== undefined) {
+    exportFormatSelect.value = result.exportFormat;
+  }
+  pngExportOptions.style.display = exportFormatSelect.value === 'png' ? 'block' : 'none';
+
+  if (result.pngCellSize !== undefined) {
+    pngCellSizeInput.value = result.pngCellSize;
+  }
+
+  if (result.pngGap !== undefined) {
+    pngGapInput.value = result.pngGap;
+  }
+
+  if (result.pngBackground !== undefined) {
+    pngBackgroundInput.value = result.pngBackground;
+  }
+
+  if (result.pngTransparent !== undefined) {
+    pngTransparentCheckbox.checked = result.pngTransparent;
+  }
+  pngBackgroundInput.disabled = pngTransparentCheckbox.checked;
+
+  if (Array.isArray(result.settingsPresets)) {
+    savedPresets = result.settingsPresets;
+  }
+  renderPresetOptions();
+
+  if (Array.isArray(result.paletteSets)) {
+    paletteSets = result.paletteSets;
+  }
+  activePaletteSetName = result.activePaletteSet || '';
+  renderPaletteSetOptions();
+  fillPaletteSetForm(getActivePaletteSet());
+
+  if (result.captionFamily !== undefined) {
+    savedCaptionFamily = result.captionFamily;
+    refreshLetterFamilies();
+  }
+
+  if (result.captionText !== undefined) {
+    captionTextInput.value = result.captionText;
+  }
+
+  if (result.captionPosition !== undefined) {
+    captionPositionSelect.value = result.captionPosition;
+  }
+
+  if (result.bannerFont !== undefined && BITMAP_FONTS[result.bannerFont]) {
+    bannerFontSelect.value = result.bannerFont;
+  }
+
+  if (result.bannerScale !== undefined) {
+    bannerScaleSelect.value = result.bannerScale;
+  }
+
+  if (result.bannerAlign !== undefined) {
+    bannerAlignSelect.value = result.bannerAlign;
+  }
+
+  if (result.bannerForegroundColor !== undefined) {
+    bannerForegroundColorInput.value = result.bannerForegroundColor;
+  }
+
+  if (result.bannerForegroundName !== undefined) {
+    bannerForegroundNameInput.value = result.bannerForegroundName;
+  }
+
+  if (result.bannerBackgroundColor !== undefined) {
+    bannerBackgroundColorInput.value = result.bannerBackgroundColor;
+  }
+
+  if (result.bannerBackgroundName !== undefined) {
+    bannerBackgroundNameInput.value = result.bannerBackgroundName;
+  }
+
+  checkTilePrefix();
 });
 
 // Save auto-sync preference when changed
@@ -525,10 +947,22 @@ ditherStrengthInput.addEventListener('change', () => {
   chrome.storage.local.set({ ditherStrength: parseInt(ditherStrengthInput.value) });
 });
 
+ditherAlgorithmSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ ditherAlgorithm: ditherAlgorithmSelect.value });
+});
+
 texturePenaltyInput.addEventListener('change', () => {
   chrome.storage.local.set({ texturePenalty: parseInt(texturePenaltyInput.value) });
 });
 
+shortNamePreferenceInput.addEventListener('change', () => {
+  chrome.storage.local.set({ shortNamePreference: parseInt(shortNamePreferenceInput.value) });
+});
+
+shortNamePreferenceRange.addEventListener('change', () => {
+  chrome.storage.local.set({ shortNamePreference: parseInt(shortNamePreferenceRange.value) });
+});
+
 rasterSamplesInput.addEventListener('change', () => {
   chrome.storage.local.set({ rasterSamples: parseInt(rasterSamplesInput.value) });
 });
@@ -553,6 +987,10 @@ colorMetricSelect.addEventListener('change', () => {
   chrome.storage.local.set({ colorMetric: colorMetricSelect.value });
 });
 
+matchModeSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ matchMode: matchModeSelect.value });
+});
+
 saturationBoostInput.addEventListener('change', () => {
   chrome.storage.local.set({ saturationBoost: parseInt(saturationBoostInput.value) });
 });
@@ -573,172 +1011,798 @@ perColorToleranceCheckbox.addEventListener('change', () => {
   chrome.storage.local.set({ perColorTolerance: perColorToleranceCheckbox.checked });
 });
 
+globalAssignmentCheckbox.addEventListener('change', () => {
+  chrome.storage.local.set({ globalAssignment: globalAssignmentCheckbox.checked });
+});
+
 medianFilterCheckbox.addEventListener('change', () => {
   chrome.storage.local.set({ medianFilter: medianFilterCheckbox.checked });
 });
 
-// Extract emojis from current tab
-extractEmojisBtn.addEventListener('click', () => startExtraction());
+multiMessageCheckbox.addEventListener('change', () => {
+  chrome.storage.local.set({ multiMessage: multiMessageCheckbox.checked });
+});
 
-async function startExtraction() {
-  extractEmojisBtn.disabled = true;
+fillerStyleSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ fillerStyle: fillerStyleSelect.value });
+});
+
+fillerCountInput.addEventListener('change', () => {
+  chrome.storage.local.set({ fillerCount: parseInt(fillerCountInput.value) });
+});
+
+fillerPrefixInput.addEventListener('change', () => {
+  chrome.storage.local.set({ fillerPrefix: fillerPrefixInput.value.trim() });
+});
+
+tilePrefixInput.addEventListener('change', () => {
+  chrome.storage.local.set({ tilePrefix: tilePrefixInput.value.trim() });
+});
+
+tileColumnsInput.addEventListener('change', () => {
+  chrome.storage.local.set({ tileColumns: parseInt(tileColumnsInput.value) });
+});
+
+tileRowsInput.addEventListener('change', () => {
+  chrome.storage.local.set({ tileRows: parseInt(tileRowsInput.value) });
+});
+
+exportFormatSelect.addEventListener('change', () => {
+  pngExportOptions.style.display = exportFormatSelect.value === 'png' ? 'block' : 'none';
+  chrome.storage.local.set({ exportFormat: exportFormatSelect.value });
+});
+
+pngCellSizeInput.addEventListener('change', () => {
+  chrome.storage.local.set({ pngCellSize: parseInt(pngCellSizeInput.value) });
+});
+
+pngGapInput.addEventListener('change', () => {
+  chrome.storage.local.set({ pngGap: parseInt(pngGapInput.value) });
+});
+
+pngBackgroundInput.addEventListener('change', () => {
+  chrome.storage.local.set({ pngBackground: pngBackgroundInput.value });
+});
+
+pngTransparentCheckbox.addEventListener('change', () => {
+  pngBackgroundInput.disabled = pngTransparentCheckbox.checked;
+  chrome.storage.local.set({ pngTransparent: pngTransparentCheckbox.checked });
+});
+
+captionFamilySelect.addEventListener('change', () => {
+  savedCaptionFamily = captionFamilySelect.value;
+  chrome.storage.local.set({ captionFamily: captionFamilySelect.value });
+});
+
+captionTextInput.addEventListener('change', () => {
+  chrome.storage.local.set({ captionText: captionTextInput.value });
+});
+
+captionPositionSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ captionPosition: captionPositionSelect.value });
+});
+
+bannerFontSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ bannerFont: bannerFontSelect.value });
+});
+
+bannerScaleSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ bannerScale: bannerScaleSelect.value });
+});
+
+bannerAlignSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ bannerAlign: bannerAlignSelect.value });
+});
+
+bannerForegroundColorInput.addEventListener('change', () => {
+  chrome.storage.local.set({ bannerForegroundColor: bannerForegroundColorInput.value });
+});
+
+bannerForegroundNameInput.addEventListener('change', () => {
+  chrome.storage.local.set({ bannerForegroundName: bannerForegroundNameInput.value.trim() });
+});
+
+bannerBackgroundColorInput.addEventListener('change', () => {
+  chrome.storage.local.set({ bannerBackgroundColor: bannerBackgroundColorInput.value });
+});
+
+bannerBackgroundNameInput.addEventListener('change', () => {
+  chrome.storage.local.set({ bannerBackgroundName: bannerBackgroundNameInput.value.trim() });
+});
+
+workspaceSelect.addEventListener('change', () => {
   hideSyncAlert();
-  showExtractionProgress();
-  
-  try {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    
-    if (!tab.url.includes('slack.com/customize/emoji')) {
-      hideExtractionProgress();
-      showStatus(emojiStatus, 'Please navigate to your Slack emoji customization page first', 'error');
-      extractEmojisBtn.disabled = false;
-      return;
-    }
-    
-    updateExtractionProgress('Connecting...', 5, 'Connecting to Slack page...');
-    
-    // Delta sync if cache exists, full extraction otherwise
-    if (lastExtractedAt && currentEmojis.length > 0) {
-      chrome.tabs.sendMessage(tab.id, { action: 'deltaExtractEmojis', lastSyncDate: lastExtractedAt }, (response) => {
-        hideExtractionProgress();
-        
-        if (chrome.runtime.lastError) {
-          showStatus(emojiStatus, 'Error: ' + chrome.runtime.lastError.message + '. Try reloading the Slack page.', 'error');
-          extractEmojisBtn.disabled = false;
-          return;
-        }
-        
-        if (response && response.success && response.count > 0) {
-          currentEmojis = currentEmojis.concat(response.newEmojis);
-          cachedEmojiCount = currentEmojis.length;
-          const now = Date.now();
-          lastExtractedAt = now;
-          chrome.storage.local.set({ slackEmojis: slimEmojisForStorage(currentEmojis), extractedAt: now });
-          updateCacheDisplay(currentEmojis);
-          updateCacheDateDisplay(now);
-          showStatus(emojiStatus, `Synced ${response.count} new emoji${response.count !== 1 ? 's' : ''}`, 'success');
-          checkReadyToGenerate();
-        } else if (response && response.success) {
-          showStatus(emojiStatus, 'Cache is up to date', 'info');
-        } else if (response && response.inProgress) {
-          showStatus(emojiStatus, 'Extraction already in progress. Please wait.', 'info');
-        } else {
-          showStatus(emojiStatus, 'Error: ' + (response ? response.error : 'No response'), 'error');
-        }
-        
-        extractEmojisBtn.disabled = false;
-        startDeletedScan();
-      });
-    } else {
-      chrome.tabs.sendMessage(tab.id, { action: 'extractEmojis' }, (response) => {
-        hideExtractionProgress();
-        
-        if (chrome.runtime.lastError) {
-          showStatus(emojiStatus, 'Error: ' + chrome.runtime.lastError.message + '. Try reloading the Slack page.', 'error');
-          extractEmojisBtn.disabled = false;
-          return;
-        }
-        
-        if (response.success) {
-          currentEmojis = response.emojis;
-          cachedEmojiCount = response.count;
-          lastExtractedAt = Date.now();
-          const methodNote = response.method === 'api' ? ' (via Slack API)' : ' (via page scan)';
-          const fallbackColors = Array.isArray(response.emojis)
-            ? response.emojis.reduce((acc, e) => acc + (e && e.colorError ? 1 : 0), 0)
-            : 0;
+  selectWorkspace(workspaceSelect.value, 'loaded from cache');
+});
 
-          const fallbackNote = fallbackColors > 0
-            ? ` (${fallbackColors.toLocaleString()} fallback colors)`
-            : '';
+mergedPaletteCheckbox.addEventListener('change', () => {
+  mergedPalette = mergedPaletteCheckbox.checked;
+  chrome.storage.local.set({ mergedPalette });
+  loadEmojiCache(null);
+});
 
-          const message = `Successfully extracted ${response.count.toLocaleString()} emojis${methodNote}!`;
-          showStatus(emojiStatus, message + fallbackNote, fallbackColors > 0 ? 'info' : 'success');
-          updateCacheDisplay(currentEmojis);
-          updateCacheDateDisplay(Date.now());
-          checkReadyToGenerate();
-        } else if (response.inProgress) {
-          showStatus(emojiStatus, 'Extraction already in progress. Please wait.', 'info');
-        } else {
-          showStatus(emojiStatus, 'Error: ' + response.error, 'error');
-        }
-        
-        extractEmojisBtn.disabled = false;
-      });
-    }
+removeWorkspaceBtn.addEventListener('click', async () => {
+  const workspace = workspaces[activeWorkspaceId];
+  if (!workspace || !confirm(`Delete the cached emojis of ${workspace.name || workspace.id}?`)) return;
+  try {
+    await removeWorkspace(workspace.id);
+    activeWorkspaceId = null;
+    await loadEmojiCache(null);
+    showStatus(emojiStatus, `Removed the cache of ${workspace.name || workspace.id}`, 'info');
   } catch (error) {
-    hideExtractionProgress();
     showStatus(emojiStatus, 'Error: ' + error.message, 'error');
-    extractEmojisBtn.disabled = false;
   }
+});
+
+// Emoji library: browse the palette and exclude emojis from generated art
+
+function getExcludedNames() {
+  return (activeWorkspaceId && excludedEmojis[activeWorkspaceId]) || [];
 }
 
-// Scan for deleted emojis in the background
-function startDeletedScan() {
-  try {
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      if (!tabs[0]) return;
-      chrome.tabs.sendMessage(tabs[0].id, { action: 'scanDeletedEmojis', cachedNames: currentEmojis.map(e => e.name) }, (response) => {
-        try {
-          if (chrome.runtime.lastError) {
-            console.error('Deleted scan error:', chrome.runtime.lastError.message);
-            return;
-          }
-          if (response && response.success && response.deletedNames && response.deletedNames.length > 0) {
-            const deletedSet = new Set(response.deletedNames);
-            currentEmojis = currentEmojis.filter(e => !deletedSet.has(e.name));
-            cachedEmojiCount = currentEmojis.length;
-            chrome.storage.local.set({ slackEmojis: slimEmojisForStorage(currentEmojis), extractedAt: Date.now() });
-            updateCacheDisplay(currentEmojis);
-            updateCacheDateDisplay(Date.now());
-            showStatus(emojiStatus, `Removed ${response.deletedNames.length} deleted emoji${response.deletedNames.length !== 1 ? 's' : ''}`, 'info');
-          }
-        } catch (err) {
-          console.error('Deleted scan processing error:', err);
-        }
-      });
-    });
-  } catch (err) {
-    console.error('Deleted scan error:', err);
+function setExcludedNames(names) {
+  if (names.size > 0) {
+    excludedEmojis[activeWorkspaceId] = Array.from(names).sort();
+  } else {
+    delete excludedEmojis[activeWorkspaceId];
   }
+  chrome.storage.local.set({ excludedEmojis });
+  updateCacheDisplay(currentEmojis);
 }
 
-// Handle an emoji count from the Slack page — trigger delta sync or show alert
-function handleEmojiCountCheck(totalCount) {
-  if (totalCount !== cachedEmojiCount && cachedEmojiCount > 0) {
-    if (autoSyncCheckbox.checked && lastExtractedAt) {
-      showExtractionProgress();
-      updateExtractionProgress('Syncing new emojis...', 10, 'Checking for new emojis...');
-      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (!tabs[0]) {
-          hideExtractionProgress();
+// Re-run the filters; the list is only built while the library card is open
+function refreshLibrary(keepScroll = false) {
+  if (!libraryCard.open) return;
+  if (!libraryConverter || libraryConverter.allEmojis !== currentEmojis) {
+    libraryConverter = new PixelArtConverter(currentEmojis, {});
+  }
+  const excluded = new Set(getExcludedNames());
+  const paletteSet = getActivePaletteSet();
+  libraryPaletteNames = paletteSet
+    ? new Set(PixelArtConverter.applyPaletteSet(currentEmojis, paletteSet).map(emoji => emoji.name))
+    : null;
+  libraryEntries = libraryConverter.browsePalette({
+    query: librarySearchInput.value,
+    hue: libraryHueSelect.value,
+    lightness: libraryLightnessSelect.value,
+    texture: libraryTextureSelect.value,
+    sampling: librarySamplingSelect.value,
+    status: libraryStatusSelect.value,
+    sort: librarySortSelect.value
+  }, excluded);
+  librarySummary.textContent = `${libraryEntries.length.toLocaleString()} of ${currentEmojis.length.toLocaleString()} shown · ${excluded.size.toLocaleString()} excluded`;
+  if (!keepScroll) libraryGrid.scrollTop = 0;
+  renderLibraryRows();
+}
+
+// Draw only the rows in view; the spacer keeps the scrollbar sized for the whole list
+function renderLibraryRows() {
+  const columns = Math.max(1, Math.floor(libraryGrid.clientWidth / LIBRARY_CELL_SIZE));
+  const rows = Math.ceil(libraryEntries.length / columns);
+  const first = Math.max(0, Math.floor(libraryGrid.scrollTop / LIBRARY_CELL_SIZE) - LIBRARY_OVERSCAN_ROWS);
+  const last = Math.min(rows, Math.ceil((libraryGrid.scrollTop + libraryGrid.clientHeight) / LIBRARY_CELL_SIZE) + LIBRARY_OVERSCAN_ROWS);
+  const excluded = new Set(getExcludedNames());
+
+  librarySpacer.style.height = `${rows * LIBRARY_CELL_SIZE}px`;
+  librarySpacer.textContent = '';
+  for (let i = first * columns; i < Math.min(libraryEntries.length, last * columns); i++) {
+    const { emoji, lightness, family } = libraryEntries[i];
+    const isExcluded = excluded.has(emoji.name);
+    const outsideSet = libraryPaletteNames !== null && !libraryPaletteNames.has(emoji.name);
+    const button = document.createElement('button');
+    button.className = `library-cell${isExcluded ? ' excluded' : ''}${outsideSet ? ' outside-set' : ''}${emoji.colorError ? ' fallback' : ''}`;
+    button.style.left = `${(i % columns) * LIBRARY_CELL_SIZE}px`;
+    button.style.top = `${Math.floor(i / columns) * LIBRARY_CELL_SIZE}px`;
+    button.dataset.name = emoji.name;
+    const details = [
+      `:${emoji.name}:${Array.isArray(emoji.aliases) && emoji.aliases.length > 0 ? ` (also ${emoji.aliases.map(alias => `:${alias}:`).join(' ')})` : ''}`,
+      `${family === 'neutral' ? 'gray' : family}, lightness ${Math.round(lightness)}, variance ${typeof emoji.variance === 'number' ? Math.round(emoji.variance) : '?'}`
+    ];
+    if (emoji.colorError) details.push('Fallback color: the image could not be sampled');
+    if (isExcluded) details.push('Excluded from generated art');
+    if (outsideSet) details.push('Not in the active palette set');
+    button.title = details.join('\n');
+    const img = document.createElement('img');
+    img.src = emoji.url;
+    img.alt = emoji.name;
+    img.loading = 'lazy';
+    button.appendChild(img);
+    librarySpacer.appendChild(button);
+  }
+}
+
+libraryCard.addEventListener('toggle', () => refreshLibrary());
+librarySearchInput.addEventListener('input', () => refreshLibrary());
+[libraryHueSelect, libraryLightnessSelect, libraryTextureSelect, librarySamplingSelect, libraryStatusSelect, librarySortSelect]
+  .forEach(select => select.addEventListener('change', () => refreshLibrary()));
+
+libraryGrid.addEventListener('scroll', () => {
+  if (libraryFrame) return;
+  libraryFrame = requestAnimationFrame(() => {
+    libraryFrame = 0;
+    renderLibraryRows();
+  });
+});
+
+libraryGrid.addEventListener('click', (e) => {
+  const cell = e.target.closest('.library-cell');
+  if (!cell || !activeWorkspaceId) return;
+  const names = new Set(getExcludedNames());
+  if (!names.delete(cell.dataset.name)) {
+    names.add(cell.dataset.name);
+  }
+  setExcludedNames(names);
+  refreshLibrary(true);
+});
+
+excludeShownBtn.addEventListener('click', () => {
+  if (!activeWorkspaceId) return;
+  const names = new Set(getExcludedNames());
+  libraryEntries.forEach(({ emoji }) => names.add(emoji.name));
+  setExcludedNames(names);
+  refreshLibrary(true);
+});
+
+includeShownBtn.addEventListener('click', () => {
+  if (!activeWorkspaceId) return;
+  const names = new Set(getExcludedNames());
+  libraryEntries.forEach(({ emoji }) => names.delete(emoji.name));
+  setExcludedNames(names);
+  refreshLibrary(true);
+});
+
+// Palette sets: named filters that limit conversions to part of the palette
+
+function getActivePaletteSet() {
+  return paletteSets.find(set => set.name === activePaletteSetName) || null;
+}
+
+// Emojis a palette set leaves to the matcher, after the library exclusions (as the converter applies them)
+function countPaletteSet(set) {
+  const excluded = new Set(getExcludedNames());
+  return PixelArtConverter.applyPaletteSet(currentEmojis.filter(emoji => !excluded.has(emoji.name)), set).length;
+}
+
+function renderPaletteSetOptions() {
+  paletteSetSelect.textContent = '';
+  paletteSetSelect.appendChild(new Option('All emojis', ''));
+  paletteSets.forEach(set => paletteSetSelect.appendChild(new Option(set.name, set.name)));
+  paletteSetSelect.value = getActivePaletteSet() ? activePaletteSetName : '';
+  deletePaletteSetBtn.disabled = !paletteSetSelect.value;
+}
+
+function fillPaletteSetForm(set) {
+  if (!set) return;
+  paletteSetNameInput.value = set.name;
+  paletteSetAllowInput.value = set.allow.join('\n');
+  paletteSetBlockInput.value = set.block.join('\n');
+  paletteSetPicksInput.value = set.picks.map(name => `:${name}:`).join(' ');
+  paletteSetMaxNameLengthInput.value = set.maxNameLength;
+  paletteSetMaxEmojisInput.value = set.maxEmojis;
+  paletteSetExcludeAnimatedCheckbox.checked = set.excludeAnimated;
+}
+
+function clampCount(value, max) {
+  return Math.min(max, Math.max(0, Math.round(Number(value)) || 0));
+}
+
+// Normalize a palette set from the form or an imported file. Throws when a pattern does not compile.
+function normalizePaletteSet(raw) {
+  const lines = value => (Array.isArray(value) ? value : String(value || '').split('\n'))
+    .map(line => String(line).trim())
+    .filter(Boolean);
+  const set = {
+    name: String(raw.name || '').trim(),
+    allow: lines(raw.allow),
+    block: lines(raw.block),
+    picks: (Array.isArray(raw.picks) ? raw.picks : String(raw.picks || '').split(/[\s,]+/))
+      .map(name => String(name).trim().replace(/^:|:$/g, '').toLowerCase())
+      .filter(name => PixelArtConverter.VALID_EMOJI_NAME.test(name)),
+    maxNameLength: clampCount(raw.maxNameLength, 100),
+    maxEmojis: clampCount(raw.maxEmojis, 100000),
+    excludeAnimated: Boolean(raw.excludeAnimated)
+  };
+  [...set.allow, ...set.block].forEach(pattern => PixelArtConverter.compilePalettePattern(pattern));
+  return set;
+}
+
+function selectPaletteSet(name) {
+  activePaletteSetName = name;
+  chrome.storage.local.set({ activePaletteSet: name });
+  renderPaletteSetOptions();
+  updateCacheDisplay(currentEmojis);
+}
+
+function storePaletteSets() {
+  chrome.storage.local.set({ paletteSets });
+  renderPaletteSetOptions();
+}
+
+// Add palette sets, replacing saved ones with the same name
+function mergePaletteSets(sets) {
+  for (const set of sets) {
+    const index = paletteSets.findIndex(existing => existing.name === set.name);
+    if (index >= 0) {
+      paletteSets[index] = set;
+    } else {
+      paletteSets.push(set);
+    }
+  }
+  paletteSets.sort((a, b) => a.name.localeCompare(b.name));
+  storePaletteSets();
+}
+
+paletteSetSelect.addEventListener('change', () => {
+  selectPaletteSet(paletteSetSelect.value);
+  fillPaletteSetForm(getActivePaletteSet());
+  const set = getActivePaletteSet();
+  if (set) {
+    showStatus(paletteSetStatus, `Using "${set.name}": ${countPaletteSet(set).toLocaleString()} emojis`, 'info');
+  } else {
+    showStatus(paletteSetStatus, 'Using every cached emoji', 'info');
+  }
+});
+
+savePaletteSetBtn.addEventListener('click', () => {
+  let set;
+  try {
+    set = normalizePaletteSet({
+      name: paletteSetNameInput.value,
+      allow: paletteSetAllowInput.value,
+      block: paletteSetBlockInput.value,
+      picks: paletteSetPicksInput.value,
+      maxNameLength: paletteSetMaxNameLengthInput.value,
+      maxEmojis: paletteSetMaxEmojisInput.value,
+      excludeAnimated: paletteSetExcludeAnimatedCheckbox.checked
+    });
+  } catch (error) {
+    showStatus(paletteSetStatus, 'Error: ' + error.message, 'error');
+    return;
+  }
+  if (!set.name) {
+    showStatus(paletteSetStatus, 'Enter a name for the palette set', 'error');
+    return;
+  }
+  const replacing = paletteSets.some(existing => existing.name === set.name);
+  mergePaletteSets([set]);
+  selectPaletteSet(set.name);
+  fillPaletteSetForm(set);
+  const count = countPaletteSet(set);
+  showStatus(
+    paletteSetStatus,
+    `${replacing ? 'Updated' : 'Saved'} "${set.name}": ${count.toLocaleString()} of ${currentEmojis.length.toLocaleString()} emojis`,
+    count > 0 ? 'success' : 'info'
+  );
+});
+
+deletePaletteSetBtn.addEventListener('click', () => {
+  const set = getActivePaletteSet();
+  if (!set) return;
+  paletteSets = paletteSets.filter(existing => existing !== set);
+  storePaletteSets();
+  selectPaletteSet('');
+  showStatus(paletteSetStatus, `Deleted "${set.name}"`, 'success');
+});
+
+exportPaletteSetsBtn.addEventListener('click', () => {
+  if (paletteSets.length === 0) {
+    showStatus(paletteSetStatus, 'Save a palette set first', 'info');
+    return;
+  }
+  const file = { format: PALETTE_SET_FILE_FORMAT, version: PALETTE_SET_FILE_VERSION, sets: paletteSets };
+  downloadBlob(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }), 'slack-pixelart-palette-sets.json');
+});
+
+importPaletteSetsBtn.addEventListener('click', () => paletteSetFileInput.click());
+
+paletteSetFileInput.addEventListener('change', async () => {
+  const file = paletteSetFileInput.files[0];
+  paletteSetFileInput.value = '';
+  if (!file) return;
+
+  try {
+    const data = JSON.parse(await file.text());
+    if (!data || data.format !== PALETTE_SET_FILE_FORMAT || !Array.isArray(data.sets)) {
+      throw new Error('Not a palette set file');
+    }
+    if (data.version > PALETTE_SET_FILE_VERSION) {
+      throw new Error(`Palette set file version ${data.version} is newer than this extension supports`);
+    }
+    const sets = data.sets
+      .filter(set => set && typeof set.name === 'string' && set.name.trim())
+      .map(normalizePaletteSet);
+    if (sets.length === 0) {
+      throw new Error('The file has no usable palette sets');
+    }
+    mergePaletteSets(sets);
+    // An imported set may replace the active one
+    updateCacheDisplay(currentEmojis);
+    showStatus(paletteSetStatus, `Imported ${sets.length} palette set${sets.length !== 1 ? 's' : ''}`, 'success');
+  } catch (error) {
+    showStatus(paletteSetStatus, 'Import failed: ' + error.message, 'error');
+  }
+});
+
+// Palette coverage: plot the palette in OKLCh and report the colors it cannot reproduce
+
+function formatPercent(share) {
+  return `${(share * 100).toFixed(share > 0 && share < 0.1 ? 1 : 0)}%`;
+}
+
+// "dark blue", "light gray", ... for a coverage hole or problem color
+function describeCoverageColor({ lightness, family }) {
+  const band = lightness < PixelArtConverter.LIGHTNESS_BANDS.dark[1] ? 'dark'
+    : lightness < PixelArtConverter.LIGHTNESS_BANDS.mid[1] ? 'medium' : 'light';
+  return `${band} ${family === 'neutral' ? 'gray' : family}`;
+}
+
+function renderCoverageList(list, entries, unit) {
+  list.textContent = '';
+  for (const entry of entries) {
+    const item = document.createElement('li');
+    const swatch = document.createElement('span');
+    swatch.className = 'coverage-swatch';
+    swatch.style.background = `rgb(${entry.color.r}, ${entry.color.g}, ${entry.color.b})`;
+    item.appendChild(swatch);
+    const nearest = entry.nearest ? `nearest :${entry.nearest}: (distance ${entry.distance.toFixed(2)})` : 'no emoji';
+    item.appendChild(document.createTextNode(`${describeCoverageColor(entry)} · ${formatPercent(entry.share)} of ${unit} · ${nearest}`));
+    list.appendChild(item);
+  }
+}
+
+// Plot the palette's average colors on both canvases, with gamut holes as red circles and the
+// image's problem colors as dark squares
+function drawCoveragePlots(converter, problems) {
+  const chroma = coverageChromaPlot.getContext('2d');
+  const wheel = coverageHueWheel.getContext('2d');
+  const { width, height } = coverageChromaPlot;
+  const wheelCenter = coverageHueWheel.width / 2;
+  const wheelRadius = wheelCenter - 4;
+  chroma.clearRect(0, 0, width, height);
+  wheel.clearRect(0, 0, coverageHueWheel.width, coverageHueWheel.height);
+
+  wheel.strokeStyle = '#ddd';
+  [0.1, 0.2, 0.3].forEach(level => {
+    wheel.beginPath();
+    wheel.arc(wheelCenter, wheelCenter, level / COVERAGE_PLOT_MAX_CHROMA * wheelRadius, 0, Math.PI * 2);
+    wheel.stroke();
+  });
+
+  const chromaPoint = ({ lightness, chroma: c }) => [
+    Math.min(1, c / COVERAGE_PLOT_MAX_CHROMA) * (width - 4) + 2,
+    height - 2 - lightness / 100 * (height - 4)
+  ];
+  const wheelPoint = ({ chroma: c, hue }) => {
+    const radius = Math.min(1, c / COVERAGE_PLOT_MAX_CHROMA) * wheelRadius;
+    return [wheelCenter + Math.cos(hue * Math.PI / 180) * radius, wheelCenter - Math.sin(hue * Math.PI / 180) * radius];
+  };
+
+  for (const emoji of converter.emojis) {
+    if (!emoji || !emoji._lab || emoji.colorError) continue;
+    const lch = converter.getEmojiLch(emoji);
+    chroma.fillStyle = wheel.fillStyle = `rgb(${emoji.color.r}, ${emoji.color.g}, ${emoji.color.b})`;
+    const [cx, cy] = chromaPoint(lch);
+    chroma.fillRect(cx - 1, cy - 1, 2, 2);
+    const [wx, wy] = wheelPoint(lch);
+    wheel.fillRect(wx - 1, wy - 1, 2, 2);
+  }
+
+  const mark = (entries, strokeStyle, draw) => {
+    chroma.strokeStyle = wheel.strokeStyle = strokeStyle;
+    chroma.lineWidth = wheel.lineWidth = 2;
+    for (const entry of entries) {
+      draw(chroma, ...chromaPoint(entry));
+      draw(wheel, ...wheelPoint(entry));
+    }
+  };
+  if (paletteCoverage) {
+    mark(paletteCoverage.holes, '#e74c3c', (ctx, x, y) => {
+      ctx.beginPath();
+      ctx.arc(x, y, 6, 0, Math.PI * 2);
+      ctx.stroke();
+    });
+  }
+  mark(problems, '#1a1a1a', (ctx, x, y) => ctx.strokeRect(x - 5, y - 5, 10, 10));
+}
+
+// Converter over the palette conversions use: library exclusions and the active palette set applied
+function getCoverageConverter() {
+  if (currentEmojis.length === 0) {
+    throw new Error('Extract emojis first');
+  }
+  return new PixelArtConverter(currentEmojis, collectConverterOptions());
+}
+
+// Let the status line paint before a main-thread analysis that can take a moment
+function nextFrame() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+analyzeCoverageBtn.addEventListener('click', async () => {
+  try {
+    const converter = getCoverageConverter();
+    showStatus(coverageStatus, 'Analyzing palette...', 'info');
+    await nextFrame();
+    paletteCoverage = converter.analyzePaletteCoverage();
+    if (paletteCoverage.emojiCount === 0) {
+      throw new Error('No emoji in the palette has a sampled color');
+    }
+
+    const set = converter.options.paletteSet;
+    coverageSummary.textContent = `${formatPercent(paletteCoverage.coverage)} of sRGB colors have a close emoji among ${paletteCoverage.emojiCount.toLocaleString()} emojis${set ? ` in "${set.name}"` : ''}` +
+      `${paletteCoverage.fallbackCount > 0 ? ` (${paletteCoverage.fallbackCount.toLocaleString()} with fallback colors left out)` : ''}.` +
+      (paletteCoverage.holes.length > 0 ? ' Largest gamut holes:' : '');
+    renderCoverageList(coverageHolesList, paletteCoverage.holes, 'colors');
+    imageCoverageSummary.textContent = '';
+    imageCoverageProblemsList.textContent = '';
+    drawCoveragePlots(converter, []);
+    coverageReportEl.style.display = 'block';
+    showStatus(coverageStatus, 'Palette analyzed', 'success');
+  } catch (error) {
+    showStatus(coverageStatus, 'Error: ' + error.message, 'error');
+  }
+});
+
+checkImageCoverageBtn.addEventListener('click', async () => {
+  try {
+    const converter = getCoverageConverter();
+    showStatus(coverageStatus, 'Checking image colors...', 'info');
+    const report = converter.evaluateImageCoverage(await loadCoverageImageData());
+    if (report.pixelCount === 0) {
+      throw new Error('The image has no opaque pixels');
+    }
+
+    imageCoverageSummary.textContent = report.problems.length > 0
+      ? `${formatPercent(report.reproducible)} of the image has a close emoji. Colors the palette cannot reproduce:`
+      : 'Every color of the image has a close emoji.';
+    renderCoverageList(imageCoverageProblemsList, report.problems, 'the image');
+    if (!paletteCoverage) {
+      coverageSummary.textContent = '';
+      coverageHolesList.textContent = '';
+    }
+    drawCoveragePlots(converter, report.problems);
+    coverageReportEl.style.display = 'block';
+    showStatus(coverageStatus, 'Image checked', 'success');
+  } catch (error) {
+    showStatus(coverageStatus, 'Error: ' + error.message, 'error');
+  }
+});
+
+// Filler emoji pack: new emojis in the colors the palette lacks, zipped for upload
+
+// Pixels of the loaded image, scaled to fit IMAGE_COVERAGE_MAX_SIDE, for coverage checks
+async function loadCoverageImageData() {
+  if (!currentImageSource) {
+    throw new Error('Load an image first');
+  }
+  const bitmap = await loadSourceBitmap();
+  const scale = Math.min(1, IMAGE_COVERAGE_MAX_SIDE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+function renderFillerPack(pack) {
+  fillerPreviewUrls.forEach(url => URL.revokeObjectURL(url));
+  fillerPreviewUrls = [];
+  fillerPackPreview.textContent = '';
+  fillerPackPreview.style.gridTemplateColumns = `repeat(${Math.min(pack.emojis.length, 10)}, 32px)`;
+
+  for (const emoji of pack.emojis) {
+    const url = URL.createObjectURL(emoji.blob);
+    fillerPreviewUrls.push(url);
+    const img = document.createElement('img');
+    img.src = url;
+    img.alt = emoji.name;
+    img.title = `:${emoji.name}: fills ${formatPercent(emoji.share)} of the gaps`;
+    fillerPackPreview.appendChild(img);
+  }
+  fillerPackResult.style.display = 'block';
+}
+
+createFillerPackBtn.addEventListener('click', async () => {
+  createFillerPackBtn.disabled = true;
+  fillerPackResult.style.display = 'none';
+
+  try {
+    const fromImage = fillerSourceSelect.value === 'image';
+    const imageData = fromImage ? await loadCoverageImageData() : null;
+    const converter = getCoverageConverter();
+    const prefix = fillerPrefixInput.value.trim() || 'fill';
+    showStatus(fillerPackStatus, 'Finding colors the palette lacks...', 'info');
+    await nextFrame();
+    const pack = await converter.createFillerPack(
+      { imageData, count: parseInt(fillerCountInput.value), style: fillerStyleSelect.value, prefix },
+      (progress, message) => showStatus(fillerPackStatus, message, 'info')
+    );
+    if (pack.emojis.length === 0) {
+      currentFillerPack = null;
+      showStatus(fillerPackStatus, fromImage ? 'Every color of the image already has a close emoji' : 'The palette already has a close emoji for every color', 'success');
+    } else {
+      currentFillerPack = { ...pack, prefix };
+      renderFillerPack(pack);
+      const scope = fromImage ? 'of the image' : 'of sRGB colors';
+      showStatus(fillerPackStatus, `Created ${pack.emojis.length} emoji${pack.emojis.length !== 1 ? 's' : ''}: ${formatPercent(pack.coverageBefore)} → ${formatPercent(pack.coverageAfter)} ${scope} with a close emoji once uploaded`, 'success');
+    }
+  } catch (error) {
+    showStatus(fillerPackStatus, 'Error: ' + error.message, 'error');
+  }
+
+  createFillerPackBtn.disabled = false;
+});
+
+downloadFillerPackBtn.addEventListener('click', async () => {
+  if (!currentFillerPack) {
+    return;
+  }
+
+  try {
+    const files = [];
+    for (const emoji of currentFillerPack.emojis) {
+      files.push({ name: `${emoji.name}.png`, data: await emoji.blob.arrayBuffer() });
+    }
+    downloadBlob(createZip(files), `${currentFillerPack.prefix}-fillers.zip`);
+    showStatus(fillerPackStatus, 'Downloaded!', 'success');
+  } catch (error) {
+    showStatus(fillerPackStatus, 'Failed to create zip: ' + error.message, 'error');
+  }
+});
+
+// Extract emojis from current tab
+extractEmojisBtn.addEventListener('click', () => startExtraction());
+
+async function startExtraction() {
+  extractEmojisBtn.disabled = true;
+  hideSyncAlert();
+  showExtractionProgress();
+  
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    
+    if (!tab.url.includes('slack.com/customize/emoji')) {
+      hideExtractionProgress();
+      showStatus(emojiStatus, 'Please navigate to your Slack emoji customization page first', 'error');
+      extractEmojisBtn.disabled = false;
+      return;
+    }
+    
+    updateExtractionProgress('Connecting...', 5, 'Connecting to Slack page...');
+    
+    // Delta sync if this page's workspace is cached, full extraction otherwise
+    const workspace = await getTabWorkspace(tab.id);
+    const cached = workspace ? workspaces[workspace.id] : null;
+    if (cached && cached.extractedAt && cached.emojiCount > 0) {
+      chrome.tabs.sendMessage(tab.id, { action: 'deltaExtractEmojis', lastSyncDate: cached.extractedAt }, async (response) => {
+        hideExtractionProgress();
+        
+        if (chrome.runtime.lastError) {
+          showStatus(emojiStatus, 'Error: ' + chrome.runtime.lastError.message + '. Try reloading the Slack page.', 'error');
+          extractEmojisBtn.disabled = false;
+          return;
+        }
+        
+        if (response && response.success) {
+          // The content script has saved the new emojis and alias changes in the cache
+          await selectWorkspace(response.workspace.id, null);
+        }
+
+        if (response && response.success && response.count > 0) {
+          showStatus(emojiStatus, `Synced ${response.count} new emoji${response.count !== 1 ? 's' : ''}`, 'success');
+        } else if (response && response.success) {
+          showStatus(emojiStatus, 'Cache is up to date', 'info');
+        } else if (response && response.inProgress) {
+          showStatus(emojiStatus, 'Extraction already in progress. Please wait.', 'info');
+        } else {
+          showStatus(emojiStatus, 'Error: ' + (response ? response.error : 'No response'), 'error');
+        }
+        
+        extractEmojisBtn.disabled = false;
+        startDeletedScan();
+      });
+    } else {
+      chrome.tabs.sendMessage(tab.id, { action: 'extractEmojis' }, async (response) => {
+        hideExtractionProgress();
+        
+        if (chrome.runtime.lastError) {
+          showStatus(emojiStatus, 'Error: ' + chrome.runtime.lastError.message + '. Try reloading the Slack page.', 'error');
+          extractEmojisBtn.disabled = false;
           return;
         }
-        chrome.tabs.sendMessage(tabs[0].id, { action: 'deltaExtractEmojis', lastSyncDate: lastExtractedAt }, (response) => {
+        
+        if (response.success) {
+          await selectWorkspace(response.workspace.id, null);
+          const methodNote = response.method === 'api' ? ' (via Slack API)' : ' (via page scan)';
+          const fallbackColors = Array.isArray(response.emojis)
+            ? response.emojis.reduce((acc, e) => acc + (e && e.colorError ? 1 : 0), 0)
+            : 0;
+
+          const fallbackNote = fallbackColors > 0
+            ? ` (${fallbackColors.toLocaleString()} fallback colors)`
+            : '';
+
+          const message = `Successfully extracted ${response.count.toLocaleString()} emojis${methodNote}!`;
+          showStatus(emojiStatus, message + fallbackNote, fallbackColors > 0 ? 'info' : 'success');
+        } else if (response.inProgress) {
+          showStatus(emojiStatus, 'Extraction already in progress. Please wait.', 'info');
+        } else {
+          showStatus(emojiStatus, 'Error: ' + response.error, 'error');
+        }
+        
+        extractEmojisBtn.disabled = false;
+      });
+    }
+  } catch (error) {
+    hideExtractionProgress();
+    showStatus(emojiStatus, 'Error: ' + error.message, 'error');
+    extractEmojisBtn.disabled = false;
+  }
+}
+
+// Scan for deleted emojis in the background
+function startDeletedScan() {
+  try {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (!tabs[0]) return;
+      chrome.tabs.sendMessage(tabs[0].id, { action: 'scanDeletedEmojis' }, async (response) => {
+        try {
           if (chrome.runtime.lastError) {
-            hideExtractionProgress();
-            showStatus(emojiStatus, 'Sync error: ' + chrome.runtime.lastError.message, 'error');
+            console.error('Deleted scan error:', chrome.runtime.lastError.message);
             return;
           }
-          if (response && response.success && response.count > 0) {
-            currentEmojis = currentEmojis.concat(response.newEmojis);
-            cachedEmojiCount = currentEmojis.length;
-            const now = Date.now();
-            lastExtractedAt = now;
-            chrome.storage.local.set({ slackEmojis: slimEmojisForStorage(currentEmojis), extractedAt: now });
-            updateCacheDisplay(currentEmojis);
-            updateCacheDateDisplay(now);
-            showStatus(emojiStatus, `Synced ${response.count} new emoji${response.count !== 1 ? 's' : ''}`, 'success');
-          } else if (response && response.success) {
-            showStatus(emojiStatus, 'Cache is up to date', 'info');
+          if (response && response.success && response.deletedNames && response.deletedNames.length > 0) {
+            // The content script has removed them from the cache
+            await loadEmojiCache(null);
+            showStatus(emojiStatus, `Removed ${response.deletedNames.length} deleted emoji${response.deletedNames.length !== 1 ? 's' : ''}`, 'info');
           }
+        } catch (err) {
+          console.error('Deleted scan processing error:', err);
+        }
+      });
+    });
+  } catch (err) {
+    console.error('Deleted scan error:', err);
+  }
+}
+
+// Handle an emoji count from a Slack page — trigger delta sync or show alert when that page's
+// workspace is cached with a different count
+async function handleEmojiCountCheck(totalCount, workspace) {
+  workspaces = await getWorkspaces();
+  const cached = workspace ? workspaces[workspace.id] : null;
+  if (!cached || !cached.emojiCount || totalCount === cached.emojiCount) return;
+
+  if (autoSyncCheckbox.checked && cached.extractedAt) {
+    showExtractionProgress();
+    updateExtractionProgress('Syncing new emojis...', 10, 'Checking for new emojis...');
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (!tabs[0]) {
+        hideExtractionProgress();
+        return;
+      }
+      chrome.tabs.sendMessage(tabs[0].id, { action: 'deltaExtractEmojis', lastSyncDate: cached.extractedAt }, async (response) => {
+        if (chrome.runtime.lastError) {
           hideExtractionProgress();
-          startDeletedScan();
-        });
+          showStatus(emojiStatus, 'Sync error: ' + chrome.runtime.lastError.message, 'error');
+          return;
+        }
+        if (response && response.success) {
+          await selectWorkspace(response.workspace.id, null);
+        }
+        if (response && response.success && response.count > 0) {
+          showStatus(emojiStatus, `Synced ${response.count} new emoji${response.count !== 1 ? 's' : ''}`, 'success');
+        } else if (response && response.success) {
+          showStatus(emojiStatus, 'Cache is up to date', 'info');
+        }
+        hideExtractionProgress();
+        startDeletedScan();
       });
-    } else {
-      showSyncAlert(totalCount, cachedEmojiCount);
-    }
+    });
+  } else {
+    showSyncAlert(totalCount, cached.emojiCount);
   }
 }
 
@@ -747,13 +1811,17 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'extractionProgress') {
     updateExtractionProgress(request.phase, request.percent, request.details);
   } else if (request.action === 'emojiCountCheck') {
-    handleEmojiCountCheck(request.totalCount);
+    handleEmojiCountCheck(request.totalCount, request.workspace);
   }
 });
 
 // Also listen for storage changes to pick up progress when popup reopens mid-extraction
 chrome.storage.onChanged.addListener((changes, area) => {
   if (area !== 'local') return;
+  if (changes.workspaces) {
+    workspaces = changes.workspaces.newValue || {};
+    renderWorkspaceOptions();
+  }
   if (changes.extractionProgress) {
     const ep = changes.extractionProgress.newValue;
     if (ep && ep.inProgress) {
@@ -763,18 +1831,8 @@ chrome.storage.onChanged.addListener((changes, area) => {
     } else {
       hideExtractionProgress();
       extractEmojisBtn.disabled = false;
-      // Reload emojis from cache since extraction just finished
-      chrome.storage.local.get(['slackEmojis', 'extractedAt'], (result) => {
-        if (result.slackEmojis && result.slackEmojis.length > 0) {
-          currentEmojis = result.slackEmojis;
-          cachedEmojiCount = result.slackEmojis.length;
-          lastExtractedAt = result.extractedAt;
-          showStatus(emojiStatus, `${currentEmojis.length.toLocaleString()} emojis synced`, 'success');
-          updateCacheDisplay(currentEmojis);
-          updateCacheDateDisplay(result.extractedAt);
-          checkReadyToGenerate();
-        }
-      });
+      // Reload emojis from cache since extraction just finished
+      loadEmojiCache('synced');
     }
   }
 });
@@ -785,7 +1843,7 @@ chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
     chrome.tabs.sendMessage(tabs[0].id, { action: 'getEmojiCount' }, (response) => {
       if (chrome.runtime.lastError || !response) return;
       if (response.totalCount) {
-        handleEmojiCountCheck(response.totalCount);
+        handleEmojiCountCheck(response.totalCount, response.workspace);
       }
     });
   }
@@ -840,15 +1898,15 @@ function analyzeAndAutoConfig(imageSource, isUrl) {
 
     if (isPhoto) {
       // Photo preset: smooth gradients, solid emojis, sharpening, CLAHE for detail
-      applyPreset({ dithering: true, ditherStrength: 85, texturePenalty: 70, rasterSamples: 4, lanczos: true, adaptiveSampling: true, adaptiveDithering: true, sharpening: 60, colorMetric: 'ciede2000', saturationBoost: 115, clahe: true, spatialCoherence: true, hybridDithering: true, perColorTolerance: true, medianFilter: false });
+      applyPreset({ dithering: true, ditheringStrength: 85, texturePenalty: 70, rasterSamples: 4, lanczosInterpolation: true, adaptiveSampling: true, adaptiveDithering: true, sharpeningStrength: 60, colorMetric: 'ciede2000', saturationBoost: 115, clahe: true, spatialCoherence: true, hybridDithering: true, perColorTolerance: true, medianFilter: false });
       showStatus(imageStatus, 'Photo detected — settings optimized for photos', 'success');
     } else if (isGraphic) {
       // Logo/pixel art preset: no dithering, sharp edges
-      applyPreset({ dithering: false, ditherStrength: 0, texturePenalty: 40, rasterSamples: 2, lanczos: true, adaptiveSampling: true, adaptiveDithering: false, sharpening: 0, colorMetric: 'oklab', saturationBoost: 100, clahe: false, spatialCoherence: false, hybridDithering: false, perColorTolerance: false, medianFilter: false });
+      applyPreset({ dithering: false, ditheringStrength: 0, texturePenalty: 40, rasterSamples: 2, lanczosInterpolation: true, adaptiveSampling: true, adaptiveDithering: false, sharpeningStrength: 0, colorMetric: 'oklab', saturationBoost: 100, clahe: false, spatialCoherence: false, hybridDithering: false, perColorTolerance: false, medianFilter: false });
       showStatus(imageStatus, 'Graphic/logo detected — settings optimized for sharp edges', 'success');
     } else {
       // Mixed/default preset
-      applyPreset({ dithering: true, ditherStrength: 70, texturePenalty: 55, rasterSamples: 3, lanczos: true, adaptiveSampling: true, adaptiveDithering: true, sharpening: 30, colorMetric: 'oklab', saturationBoost: 105, clahe: false, spatialCoherence: false, hybridDithering: false, perColorTolerance: true, medianFilter: false });
+      applyPreset({ dithering: true, ditheringStrength: 70, texturePenalty: 55, rasterSamples: 3, lanczosInterpolation: true, adaptiveSampling: true, adaptiveDithering: true, sharpeningStrength: 30, colorMetric: 'oklab', saturationBoost: 105, clahe: false, spatialCoherence: false, hybridDithering: false, perColorTolerance: true, medianFilter: false });
       showStatus(imageStatus, 'Image loaded — settings auto-configured', 'success');
     }
   };
@@ -867,29 +1925,419 @@ function analyzeAndAutoConfig(imageSource, isUrl) {
   img.onload = onLoad;
 }
 
-function applyPreset({ dithering, ditherStrength, texturePenalty, rasterSamples, lanczos, adaptiveSampling, adaptiveDithering, sharpening, colorMetric, saturationBoost, clahe, spatialCoherence, hybridDithering, perColorTolerance, medianFilter }) {
-  ditheringCheckbox.checked = dithering;
-  ditherStrengthInput.value = ditherStrength;
-  ditherStrengthRange.value = ditherStrength;
-  texturePenaltyInput.value = texturePenalty;
-  texturePenaltyRange.value = texturePenalty;
-  rasterSamplesInput.value = rasterSamples;
-  rasterSamplesRange.value = rasterSamples;
-  lanczosInterpolationCheckbox.checked = lanczos;
-  adaptiveSamplingCheckbox.checked = adaptiveSampling;
-  adaptiveDitheringCheckbox.checked = adaptiveDithering;
-  sharpeningStrengthInput.value = sharpening;
-  sharpeningStrengthRange.value = sharpening;
-  colorMetricSelect.value = colorMetric;
-  saturationBoostInput.value = saturationBoost;
-  saturationBoostRange.value = saturationBoost;
-  claheCheckbox.checked = clahe;
-  spatialCoherenceCheckbox.checked = spatialCoherence;
-  hybridDitheringCheckbox.checked = hybridDithering;
-  perColorToleranceCheckbox.checked = perColorTolerance;
-  medianFilterCheckbox.checked = medianFilter;
+// Converter option -> the control that edits it. Presets are applied through these controls, so
+// the range sliders follow and every value is persisted by the control's own listeners.
+const SETTING_CONTROLS = {
+  width: widthInput,
+  height: heightInput,
+  charBudget: charBudgetInput,
+  multiMessage: multiMessageCheckbox,
+  tolerance: toleranceInput,
+  dithering: ditheringCheckbox,
+  ditheringStrength: ditherStrengthInput,
+  ditherAlgorithm: ditherAlgorithmSelect,
+  texturePenalty: texturePenaltyInput,
+  shortNamePreference: shortNamePreferenceInput,
+  rasterSamples: rasterSamplesInput,
+  lanczosInterpolation: lanczosInterpolationCheckbox,
+  adaptiveSampling: adaptiveSamplingCheckbox,
+  adaptiveDithering: adaptiveDitheringCheckbox,
+  sharpeningStrength: sharpeningStrengthInput,
+  colorMetric: colorMetricSelect,
+  matchMode: matchModeSelect,
+  saturationBoost: saturationBoostInput,
+  clahe: claheCheckbox,
+  spatialCoherence: spatialCoherenceCheckbox,
+  hybridDithering: hybridDitheringCheckbox,
+  perColorTolerance: perColorToleranceCheckbox,
+  globalAssignment: globalAssignmentCheckbox,
+  medianFilter: medianFilterCheckbox
+};
+
+// Keep only settings the controls can show: known keys, booleans for checkboxes, listed select
+// options, and numbers clamped to the input's min/max
+function sanitizeSettings(settings) {
+  const clean = {};
+  if (!settings || typeof settings !== 'object') return clean;
+  for (const [key, control] of Object.entries(SETTING_CONTROLS)) {
+    const value = settings[key];
+    if (value === undefined || value === null) continue;
+    if (control.type === 'checkbox') {
+      if (typeof value === 'boolean') clean[key] = value;
+    } else if (control.tagName === 'SELECT') {
+      if (Array.from(control.options).some(option => option.value === value)) clean[key] = value;
+    } else {
+      const number = Number(value);
+      if (!Number.isFinite(number)) continue;
+      const min = control.min === '' ? -Infinity : Number(control.min);
+      const max = control.max === '' ? Infinity : Number(control.max);
+      clean[key] = Math.max(min, Math.min(max, Math.round(number)));
+    }
+  }
+  return clean;
+}
+
+// Set the controls for the given converter options; keys left out keep their current values
+function applyPreset(settings) {
+  const clean = sanitizeSettings(settings);
+  for (const [key, value] of Object.entries(clean)) {
+    const control = SETTING_CONTROLS[key];
+    if (control.type === 'checkbox') {
+      control.checked = value;
+    } else {
+      control.value = value;
+    }
+    control.dispatchEvent(new Event('input'));
+    control.dispatchEvent(new Event('change'));
+  }
+  return Object.keys(clean).length;
+}
+
+// Current values of every preset-able control
+function collectPresetSettings() {
+  const options = collectConverterOptions();
+  return Object.fromEntries(Object.keys(SETTING_CONTROLS).map(key => [key, options[key]]));
+}
+
+// Fill the preset dropdown with the built-in presets and the saved ones
+function renderPresetOptions() {
+  const selected = presetSelect.value;
+  presetSelect.textContent = '';
+  const builtIn = document.createElement('optgroup');
+  builtIn.label = 'Built-in';
+  BUILT_IN_PRESETS.forEach((preset, index) => builtIn.appendChild(new Option(preset.name, `builtin:${index}`)));
+  presetSelect.appendChild(builtIn);
+
+  if (savedPresets.length > 0) {
+    const saved = document.createElement('optgroup');
+    saved.label = 'Saved';
+    savedPresets.forEach(preset => saved.appendChild(new Option(preset.name, `saved:${preset.name}`)));
+    presetSelect.appendChild(saved);
+  }
+  if (Array.from(presetSelect.options).some(option => option.value === selected)) {
+    presetSelect.value = selected;
+  }
+  deletePresetBtn.disabled = !presetSelect.value.startsWith('saved:');
+}
+
+function getSelectedPreset() {
+  const [kind, id] = presetSelect.value.split(/:(.*)/s);
+  return kind === 'builtin' ? BUILT_IN_PRESETS[Number(id)] : savedPresets.find(preset => preset.name === id);
+}
+
+function storePresets() {
+  chrome.storage.local.set({ settingsPresets: savedPresets });
+  renderPresetOptions();
+}
+
+// Add presets, replacing saved ones with the same name
+function mergePresets(presets) {
+  for (const preset of presets) {
+    const index = savedPresets.findIndex(existing => existing.name === preset.name);
+    if (index >= 0) {
+      savedPresets[index] = preset;
+    } else {
+      savedPresets.push(preset);
+    }
+  }
+  savedPresets.sort((a, b) => a.name.localeCompare(b.name));
+  storePresets();
+}
+
+presetSelect.addEventListener('change', () => {
+  deletePresetBtn.disabled = !presetSelect.value.startsWith('saved:');
+});
+
+applyPresetBtn.addEventListener('click', () => {
+  const preset = getSelectedPreset();
+  if (!preset) return;
+  applyPreset(preset.settings);
+  showStatus(presetStatus, `Applied "${preset.name}"`, 'success');
+});
+
+savePresetBtn.addEventListener('click', () => {
+  const name = presetNameInput.value.trim();
+  if (!name) {
+    showStatus(presetStatus, 'Enter a name for the preset', 'error');
+    return;
+  }
+  const replacing = savedPresets.some(preset => preset.name === name);
+  mergePresets([{ name, settings: collectPresetSettings() }]);
+  presetSelect.value = `saved:${name}`;
+  deletePresetBtn.disabled = false;
+  presetNameInput.value = '';
+  showStatus(presetStatus, replacing ? `Updated "${name}"` : `Saved "${name}"`, 'success');
+});
+
+deletePresetBtn.addEventListener('click', () => {
+  const preset = getSelectedPreset();
+  if (!preset || !presetSelect.value.startsWith('saved:')) return;
+  savedPresets = savedPresets.filter(existing => existing !== preset);
+  storePresets();
+  showStatus(presetStatus, `Deleted "${preset.name}"`, 'success');
+});
+
+exportPresetsBtn.addEventListener('click', () => {
+  if (savedPresets.length === 0) {
+    showStatus(presetStatus, 'Save a preset first; built-in presets are always available', 'info');
+    return;
+  }
+  const file = { format: PRESET_FILE_FORMAT, version: PRESET_FILE_VERSION, presets: savedPresets };
+  downloadBlob(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }), 'slack-pixelart-presets.json');
+});
+
+importPresetsBtn.addEventListener('click', () => presetFileInput.click());
+
+presetFileInput.addEventListener('change', async () => {
+  const file = presetFileInput.files[0];
+  presetFileInput.value = '';
+  if (!file) return;
+
+  try {
+    const data = JSON.parse(await file.text());
+    if (!data || data.format !== PRESET_FILE_FORMAT || !Array.isArray(data.presets)) {
+      throw new Error('Not a preset file');
+    }
+    if (data.version > PRESET_FILE_VERSION) {
+      throw new Error(`Preset file version ${data.version} is newer than this extension supports`);
+    }
+    const presets = data.presets
+      .filter(preset => preset && typeof preset.name === 'string' && preset.name.trim())
+      .map(preset => ({ name: preset.name.trim(), settings: sanitizeSettings(preset.settings) }))
+      .filter(preset => Object.keys(preset.settings).length > 0);
+    if (presets.length === 0) {
+      throw new Error('The file has no usable presets');
+    }
+    mergePresets(presets);
+    showStatus(presetStatus, `Imported ${presets.length} preset${presets.length !== 1 ? 's' : ''}`, 'success');
+  } catch (error) {
+    showStatus(presetStatus, 'Import failed: ' + error.message, 'error');
+  }
+});
+
+// Recipe codes: a compact, shareable form of the settings. The code is base64url of
+// [version, [value per RECIPE_FIELDS[version]]], with checkboxes stored as 1/0. From version 2 the
+// active palette set travels with the code, so the recipe reproduces the same emoji pool; version 3
+// adds the caption, the GIF frame range and the emoji library's exclusions.
+
+function toBase64Url(text) {
+  let binary = '';
+  new TextEncoder().encode(text).forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(code) {
+  if (!/^[A-Za-z0-9_-]+$/.test(code)) {
+    throw new Error('Not a recipe code');
+  }
+  const base64 = code.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+function encodeRecipeValue(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value ?? null;
+}
+
+function encodeRecipe(settings) {
+  const values = RECIPE_FIELDS[RECIPE_VERSION].map(key => {
+    if (key === 'paletteSet' || key === 'caption') {
+      const fields = key === 'paletteSet' ? RECIPE_PALETTE_SET_FIELDS : RECIPE_CAPTION_FIELDS;
+      return settings[key] ? fields.map(field => encodeRecipeValue(settings[key][field])) : null;
+    }
+    return encodeRecipeValue(settings[key]);
+  });
+  return toBase64Url(JSON.stringify([RECIPE_VERSION, values]));
+}
+
+// Decode the palette set of a version 2+ recipe: null for all emojis, undefined when it is unusable
+function decodeRecipePaletteSet(value) {
+  if (value === null) return null;
+  if (!Array.isArray(value)) return undefined;
+  const raw = {};
+  RECIPE_PALETTE_SET_FIELDS.forEach((field, index) => { raw[field] = value[index]; });
+  try {
+    const set = normalizePaletteSet(raw);
+    return set.name ? set : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+// Decode the caption of a version 3+ recipe: null for none, undefined when it is unusable
+function decodeRecipeCaption(value) {
+  if (value === null) return null;
+  if (!Array.isArray(value)) return undefined;
+  const [text, family, position] = value;
+  if (typeof text !== 'string' || !text.trim() || typeof family !== 'string') return undefined;
+  if (!Array.from(captionPositionSelect.options).some(option => option.value === position && position !== 'none')) return undefined;
+  return { text, family, position };
+}
+
+// Decode the GIF frame range of a version 3+ recipe (0-based, as the converter takes it), clamped
+// to what the frame inputs accept. Returns the range and how many values were clamped or unusable.
+function decodeRecipeFrames(raw) {
+  const frames = {};
+  let clamped = 0;
+  let dropped = 0;
+  const clampFrame = (key, value, min) => {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      dropped++;
+      return;
+    }
+    frames[key] = Math.max(min, Math.round(number));
+    if (frames[key] !== number) clamped++;
+  };
+  if (raw.frameStart !== undefined) clampFrame('frameStart', raw.frameStart, 0);
+  if (raw.frameEnd === null) {
+    frames.frameEnd = null;
+  } else if (raw.frameEnd !== undefined) {
+    clampFrame('frameEnd', raw.frameEnd, 0);
+  }
+  if (raw.frameStride !== undefined) clampFrame('frameStride', raw.frameStride, 1);
+  return { frames, clamped, dropped };
+}
+
+// Decode a recipe code into control settings. Values that are out of range are clamped and values
+// the controls cannot show (e.g. a removed select option) are dropped; both are counted.
+// `paletteSet` is a palette set, null for all emojis, or undefined when the code does not carry one
+// (version 1 codes) or it could not be used. Likewise `caption` (null for none), `frames`
+// ({ frameStart, frameEnd, frameStride }) and `excludedEmojis` (names) come from version 3 codes.
+function decodeRecipe(code) {
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(code.replace(/\s+/g, '')));
+  } catch {
+    throw new Error('Not a recipe code');
+  }
+  if (!Array.isArray(payload) || !Number.isInteger(payload[0]) || !Array.isArray(payload[1])) {
+    throw new Error('Not a recipe code');
+  }
+  const [version, values] = payload;
+  if (version > RECIPE_VERSION) {
+    throw new Error(`Recipe version ${version} is newer than this extension supports`);
+  }
+  const fields = RECIPE_FIELDS[version];
+  if (!fields) {
+    throw new Error(`Unknown recipe version ${version}`);
+  }
+
+  const raw = {};
+  const rawFrames = {};
+  let paletteSet;
+  let caption;
+  let excludedEmojis;
+  let dropped = 0;
+  fields.forEach((key, index) => {
+    const value = values[index];
+    if (key === 'paletteSet') {
+      paletteSet = decodeRecipePaletteSet(value ?? null);
+      if (paletteSet === undefined) dropped++;
+      return;
+    }
+    if (key === 'caption') {
+      caption = decodeRecipeCaption(value ?? null);
+      if (caption === undefined) dropped++;
+      return;
+    }
+    if (key === 'excludedEmojis') {
+      const names = Array.isArray(value) ? value : [];
+      excludedEmojis = names.filter(name => typeof name === 'string' && PixelArtConverter.VALID_EMOJI_NAME.test(name));
+      if (!Array.isArray(value) || excludedEmojis.length < names.length) dropped++;
+      return;
+    }
+    if (key.startsWith('frame')) {
+      if (value !== undefined) rawFrames[key] = value;
+      return;
+    }
+    if (value === undefined || value === null) return;
+    raw[key] = SETTING_CONTROLS[key].type === 'checkbox' && (value === 0 || value === 1) ? value === 1 : value;
+  });
+  const settings = sanitizeSettings(raw);
+  dropped += Object.keys(raw).filter(key => !(key in settings)).length;
+  let clamped = Object.keys(settings).filter(key => typeof settings[key] === 'number' && settings[key] !== Number(raw[key])).length;
+
+  let frames;
+  if (Object.keys(rawFrames).length > 0) {
+    const decoded = decodeRecipeFrames(rawFrames);
+    frames = decoded.frames;
+    clamped += decoded.clamped;
+    dropped += decoded.dropped;
+  }
+  return { settings, paletteSet, caption, frames, excludedEmojis, dropped, clamped };
+}
+
+function applyRecipeCode() {
+  const code = recipeInput.value.trim();
+  if (!code) {
+    showStatus(presetStatus, 'Paste a recipe code first', 'error');
+    return;
+  }
+  try {
+    const { settings, paletteSet, caption, frames, excludedEmojis, dropped: skipped, clamped } = decodeRecipe(code);
+    let dropped = skipped;
+    let count = applyPreset(settings);
+    if (paletteSet) {
+      // Saved like an imported set, replacing a saved set with the same name
+      mergePaletteSets([paletteSet]);
+      selectPaletteSet(paletteSet.name);
+      fillPaletteSetForm(paletteSet);
+      count++;
+    } else if (paletteSet === null) {
+      selectPaletteSet('');
+      count++;
+    }
+    if (caption === null) {
+      captionPositionSelect.value = 'none';
+      captionPositionSelect.dispatchEvent(new Event('change'));
+      count++;
+    } else if (caption) {
+      captionTextInput.value = caption.text;
+      captionPositionSelect.value = caption.position;
+      captionTextInput.dispatchEvent(new Event('change'));
+      captionPositionSelect.dispatchEvent(new Event('change'));
+      // Letter families come from the cached emojis, so another workspace may not have this one
+      if (Array.from(captionFamilySelect.options).some(option => option.value === caption.family)) {
+        captionFamilySelect.value = caption.family;
+        captionFamilySelect.dispatchEvent(new Event('change'));
+        count++;
+      } else {
+        dropped++;
+      }
+    }
+    if (frames) {
+      // The frame inputs count from 1
+      if (frames.frameStart !== undefined) gifFrameStartInput.value = frames.frameStart + 1;
+      if (frames.frameEnd !== undefined) gifFrameEndInput.value = frames.frameEnd === null ? '' : frames.frameEnd + 1;
+      if (frames.frameStride !== undefined) gifFrameStrideInput.value = frames.frameStride;
+      count += Object.keys(frames).length;
+    }
+    if (excludedEmojis) {
+      if (activeWorkspaceId) {
+        setExcludedNames(new Set(excludedEmojis));
+        refreshLibrary(true);
+        count++;
+      } else {
+        dropped++;
+      }
+    }
+    const notes = [];
+    if (clamped > 0) notes.push(`${clamped} clamped to the allowed range`);
+    if (dropped > 0) notes.push(`${dropped} not supported and skipped`);
+    showStatus(presetStatus, `Restored ${count} setting${count !== 1 ? 's' : ''} from the recipe${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`, notes.length > 0 ? 'info' : 'success');
+    recipeInput.value = '';
+  } catch (error) {
+    showStatus(presetStatus, 'Error: ' + error.message, 'error');
+  }
 }
 
+applyRecipeBtn.addEventListener('click', applyRecipeCode);
+recipeInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') applyRecipeCode();
+});
+
 // Load image from URL
 loadFromUrlBtn.addEventListener('click', () => {
   const url = imageUrlInput.value.trim();
@@ -913,6 +2361,7 @@ loadFromUrlBtn.addEventListener('click', () => {
   
   currentImageSource = url;
   currentImageIsUrl = true;
+  updateGifControls(url, true);
   analyzeAndAutoConfig(url, true);
   checkReadyToGenerate();
 });
@@ -932,6 +2381,7 @@ imageFileInput.addEventListener('change', (e) => {
   
   currentImageSource = file;
   currentImageIsUrl = false;
+  updateGifControls(file, false);
   analyzeAndAutoConfig(file, false);
   checkReadyToGenerate();
 });
@@ -947,6 +2397,7 @@ document.addEventListener('paste', (e) => {
       if (file) {
         currentImageSource = file;
         currentImageIsUrl = false;
+        updateGifControls(file, false);
         showStatus(imageStatus, `Pasted image (${file.type})`, 'success');
         analyzeAndAutoConfig(file, false);
         checkReadyToGenerate();
@@ -956,98 +2407,513 @@ document.addEventListener('paste', (e) => {
   }
 });
 
+// Show the frame selection controls when the loaded image is a GIF. Files are parsed
+// right away to report the frame count; URLs are recognised by extension and checked on generate.
+async function updateGifControls(source, isUrl) {
+  const looksLikeGif = isUrl
+    ? /\.gif$/i.test(new URL(source).pathname)
+    : source.type === 'image/gif';
+
+  currentImageIsGif = looksLikeGif;
+  gifControls.style.display = looksLikeGif ? 'block' : 'none';
+  gifFrameInfo.textContent = '';
+  if (!looksLikeGif || isUrl) return;
+
+  try {
+    const buffer = await source.arrayBuffer();
+    if (source !== currentImageSource) return;
+    const gif = PixelArtConverter.parseGif(buffer);
+    gifFrameInfo.textContent = `${gif.frames.length} frame${gif.frames.length !== 1 ? 's' : ''}`;
+    gifFrameEndInput.max = gif.frames.length;
+    gifFrameStartInput.max = gif.frames.length;
+  } catch (error) {
+    gifFrameInfo.textContent = 'Could not read frames';
+  }
+}
+
+// Read the converter options from the Advanced Image Controls
+function collectConverterOptions() {
+  return {
+    width: parseInt(widthInput.value),
+    height: parseInt(heightInput.value),
+    charBudget: parseInt(charBudgetInput.value),
+    tolerance: parseInt(toleranceInput.value),
+    dithering: ditheringCheckbox.checked,
+    ditheringStrength: parseInt(ditherStrengthInput.value),
+    ditherAlgorithm: ditherAlgorithmSelect.value,
+    texturePenalty: parseInt(texturePenaltyInput.value),
+    shortNamePreference: parseInt(shortNamePreferenceInput.value),
+    rasterSamples: parseInt(rasterSamplesInput.value),
+    lanczosInterpolation: lanczosInterpolationCheckbox.checked,
+    adaptiveSampling: adaptiveSamplingCheckbox.checked,
+    adaptiveDithering: adaptiveDitheringCheckbox.checked,
+    sharpeningStrength: parseInt(sharpeningStrengthInput.value),
+    colorMetric: colorMetricSelect.value,
+    matchMode: matchModeSelect.value,
+    saturationBoost: parseInt(saturationBoostInput.value),
+    clahe: claheCheckbox.checked,
+    spatialCoherence: spatialCoherenceCheckbox.checked,
+    hybridDithering: hybridDitheringCheckbox.checked,
+    perColorTolerance: perColorToleranceCheckbox.checked,
+    globalAssignment: globalAssignmentCheckbox.checked,
+    medianFilter: medianFilterCheckbox.checked,
+    multiMessage: multiMessageCheckbox.checked,
+    excludedEmojis: getExcludedNames(),
+    paletteSet: getActivePaletteSet(),
+    caption: captionPositionSelect.value !== 'none' && captionTextInput.value.trim() && captionFamilySelect.value
+      ? { text: captionTextInput.value, family: captionFamilySelect.value, position: captionPositionSelect.value }
+      : null,
+    // The UI numbers frames from 1; the converter expects 0-based, inclusive indices
+    frameStart: Math.max(1, parseInt(gifFrameStartInput.value) || 1) - 1,
+    frameEnd: gifFrameEndInput.value ? Math.max(1, parseInt(gifFrameEndInput.value)) - 1 : null,
+    frameStride: Math.max(1, parseInt(gifFrameStrideInput.value) || 1)
+  };
+}
+
+// Read the raw bytes of the current image if it is an animated GIF, otherwise null
+async function loadGifBuffer() {
+  if (!currentImageIsGif) return null;
+
+  let buffer;
+  if (currentImageIsUrl) {
+    const response = await fetch(currentImageSource);
+    if (!response.ok) {
+      throw new Error(`Failed to load image (HTTP ${response.status})`);
+    }
+    buffer = await response.arrayBuffer();
+  } else {
+    buffer = await currentImageSource.arrayBuffer();
+  }
+
+  return PixelArtConverter.isGif(buffer) ? buffer : null;
+}
+
+// Decode the current image into an ImageBitmap that can be transferred to the worker
+async function loadSourceBitmap() {
+  if (!currentImageIsUrl) {
+    return createImageBitmap(currentImageSource);
+  }
+
+  const img = await new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Failed to load image'));
+    image.src = currentImageSource;
+  });
+  return createImageBitmap(img);
+}
+
+function getConversionWorker() {
+  if (!conversionWorker) {
+    conversionWorker = new Worker('pixelart-worker.js');
+  }
+  return conversionWorker;
+}
+
+// Run a conversion in the worker, streaming progress back. Aborting `signal` cancels the run
+// and rejects with an AbortError. Falls back to the main thread where workers are unavailable.
+// With `region` ({ grid, targetColors, mask }) the run re-matches that region of an existing grid
+// (regenerateRegion()) instead of converting the current image, and resolves with the new grid.
+async function runConversion(options, onProgress, signal, region = null) {
+  let animated = false;
+  let source = null;
+  if (!region) {
+    const gifBuffer = await loadGifBuffer();
+    animated = gifBuffer !== null;
+    source = animated ? gifBuffer : await loadSourceBitmap();
+  }
+  signal.throwIfAborted();
+
+  if (typeof Worker === 'undefined') {
+    const converter = new PixelArtConverter(currentEmojis, options);
+    if (region) {
+      return converter.regenerateRegion(region.grid, region.targetColors, region.mask, onProgress, { signal });
+    }
+    return animated
+      ? converter.convertGif(source, onProgress, { signal })
+      : converter.convert(source, false, onProgress, { signal });
+  }
+
+  const worker = getConversionWorker();
+  const id = ++conversionRequestId;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => worker.postMessage({ action: 'cancel', id });
+
+    const cleanup = () => {
+      worker.removeEventListener('message', onMessage);
+      worker.removeEventListener('error', onError);
+      signal.removeEventListener('abort', onAbort);
+    };
+
+    const onMessage = (event) => {
+      const message = event.data;
+      if (!message || message.id !== id) return;
+
+      if (message.action === 'progress') {
+        onProgress(message.progress, message.message);
+      } else if (message.action === 'result') {
+        cleanup();
+        resolve(message.result);
+      } else if (message.action === 'error') {
+        cleanup();
+        reject(message.name === 'AbortError'
+          ? new DOMException(message.error, 'AbortError')
+          : new Error(message.error));
+      }
+    };
+
+    const onError = (event) => {
+      cleanup();
+      // A crashed worker cannot be reused
+      conversionWorker = null;
+      worker.terminate();
+      reject(new Error(event.message || 'Conversion worker failed'));
+    };
+
+    worker.addEventListener('message', onMessage);
+    worker.addEventListener('error', onError);
+    signal.addEventListener('abort', onAbort);
+
+    if (region) {
+      worker.postMessage({ action: 'regenerateRegion', id, emojis: currentEmojis, options, region });
+    } else {
+      worker.postMessage({ action: 'convert', id, emojis: currentEmojis, options, source, animated }, [source]);
+    }
+  });
+}
+
 // Generate pixel art
 generateBtn.addEventListener('click', async () => {
   generateBtn.disabled = true;
+  cancelGenerateBtn.style.display = 'flex';
   previewSection.style.display = 'none';
   progressBar.style.display = 'block';
   progressFill.style.width = '0%';
+  generateController = new AbortController();
+  stopAnimation();
   
   try {
-    const options = {
-      width: parseInt(widthInput.value),
-      height: parseInt(heightInput.value),
-      charBudget: parseInt(charBudgetInput.value),
-      tolerance: parseInt(toleranceInput.value),
-      dithering: ditheringCheckbox.checked,
-      ditheringStrength: parseInt(ditherStrengthInput.value),
-      texturePenalty: parseInt(texturePenaltyInput.value),
-      rasterSamples: parseInt(rasterSamplesInput.value),
-      lanczosInterpolation: lanczosInterpolationCheckbox.checked,
-      adaptiveSampling: adaptiveSamplingCheckbox.checked,
-      adaptiveDithering: adaptiveDitheringCheckbox.checked,
-      sharpeningStrength: parseInt(sharpeningStrengthInput.value),
-      colorMetric: colorMetricSelect.value,
-      saturationBoost: parseInt(saturationBoostInput.value),
-      clahe: claheCheckbox.checked,
-      spatialCoherence: spatialCoherenceCheckbox.checked,
-      hybridDithering: hybridDitheringCheckbox.checked,
-      perColorTolerance: perColorToleranceCheckbox.checked,
-      medianFilter: medianFilterCheckbox.checked
-    };
-
-    const converter = new PixelArtConverter(currentEmojis, options);
-    
-    const result = await converter.convert(
-      currentImageSource,
-      currentImageIsUrl,
+    const options = collectConverterOptions();
+    if (options.paletteSet && countPaletteSet(options.paletteSet) === 0) {
+      throw new Error(`Palette set "${options.paletteSet.name}" matches none of the cached emojis`);
+    }
+    const result = await runConversion(
+      options,
       (progress, message) => {
         progressFill.style.width = progress + '%';
         showStatus(generateStatus, message, 'info');
-      }
+      },
+      generateController.signal
     );
     
     currentResult = result;
     displayResult(result);
     
     progressBar.style.display = 'none';
-    showStatus(generateStatus, 'Generation complete!', 'success');
+    if (matchModeSelect.value === 'detail' && !currentEmojis.some(e => e.thumbnail)) {
+      // Caches from older versions have no layout thumbnails, so detail mode matched flat colors only
+      showStatus(generateStatus, 'Generation complete! Re-extract emojis to get layout data for Detail mode.', 'info');
+    } else {
+      showStatus(generateStatus, 'Generation complete!', 'success');
+    }
     previewSection.style.display = 'block';
     
   } catch (error) {
-    progressBar.style.display = 'none';
-    showStatus(generateStatus, 'Error: ' + error.message, 'error');
+    progressBar.style.display = 'none';
+    if (error.name === 'AbortError') {
+      showStatus(generateStatus, 'Generation cancelled', 'info');
+    } else {
+      showStatus(generateStatus, 'Error: ' + error.message, 'error');
+    }
+  }
+  
+  generateController = null;
+  cancelGenerateBtn.style.display = 'none';
+  generateBtn.disabled = false;
+});
+
+// Load posted emoji text as the current result so it can be previewed, edited and exported
+importArtBtn.addEventListener('click', () => {
+  try {
+    const converter = new PixelArtConverter(currentEmojis, collectConverterOptions());
+    const result = converter.importText(importTextInput.value);
+    stopAnimation();
+    currentResult = result;
+    displayResult(result);
+    previewSection.style.display = 'block';
+
+    const { width, height } = result.dimensions;
+    const missing = result.imported.missing;
+    if (missing.length > 0) {
+      showStatus(importStatus, `Imported ${width} × ${height}. ${missing.length} name${missing.length !== 1 ? 's are' : ' is'} not in the cached emojis (standard emojis are listed too).`, 'info');
+    } else {
+      showStatus(importStatus, `Imported ${width} × ${height}`, 'success');
+    }
+  } catch (error) {
+    showStatus(importStatus, 'Error: ' + error.message, 'error');
+  }
+});
+
+// Render the banner text with the chosen bitmap font as the current result
+generateBannerBtn.addEventListener('click', () => {
+  try {
+    const converter = new PixelArtConverter(currentEmojis, collectConverterOptions());
+    const layer = (nameInput, colorInput) => nameInput.value.trim()
+      ? { name: nameInput.value.trim() }
+      : { color: colorInput.value };
+    const result = converter.convertText(bannerTextInput.value, BITMAP_FONTS[bannerFontSelect.value], {
+      scale: parseInt(bannerScaleSelect.value),
+      align: bannerAlignSelect.value,
+      foreground: layer(bannerForegroundNameInput, bannerForegroundColorInput),
+      background: layer(bannerBackgroundNameInput, bannerBackgroundColorInput)
+    });
+    stopAnimation();
+    currentResult = result;
+    displayResult(result);
+    previewSection.style.display = 'block';
+
+    const { width, height } = result.dimensions;
+    const lineCount = result.banner.lines.length;
+    showStatus(bannerStatus, `Created ${width} × ${height} banner (${lineCount} line${lineCount !== 1 ? 's' : ''})`, 'success');
+  } catch (error) {
+    showStatus(bannerStatus, 'Error: ' + error.message, 'error');
+  }
+});
+
+// Spell the caption text on its own as the current result
+generateCaptionBtn.addEventListener('click', () => {
+  try {
+    if (!captionFamilySelect.value) {
+      throw new Error('No letter emoji family in the cached emojis');
+    }
+    const converter = new PixelArtConverter(currentEmojis, collectConverterOptions());
+    const result = converter.convertCaption(captionTextInput.value, captionFamilySelect.value);
+    stopAnimation();
+    currentResult = result;
+    displayResult(result);
+    previewSection.style.display = 'block';
+
+    const unsupported = result.caption.unsupported;
+    if (unsupported.length > 0) {
+      showStatus(captionStatus, `Created caption. The family has no emoji for: ${unsupported.join(' ')}`, 'info');
+    } else {
+      showStatus(captionStatus, 'Created caption', 'success');
+    }
+  } catch (error) {
+    showStatus(captionStatus, 'Error: ' + error.message, 'error');
+  }
+});
+
+// Cancel the generation in progress
+cancelGenerateBtn.addEventListener('click', () => {
+  if (generateController) {
+    generateController.abort();
+    showStatus(generateStatus, 'Cancelling...', 'info');
+  }
+});
+
+// Copy to clipboard
+copyToClipboardBtn.addEventListener('click', async () => {
+  if (!currentResult) {
+    return;
+  }
+  
+  try {
+    await navigator.clipboard.writeText(currentResult.output);
+    showStatus(copyStatus, 'Copied to clipboard!', 'success');
+    setTimeout(() => {
+      copyStatus.style.display = 'none';
+    }, STATUS_MESSAGE_TIMEOUT);
+  } catch (error) {
+    showStatus(copyStatus, 'Failed to copy: ' + error.message, 'error');
+  }
+});
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Fetch the images of the given emojis through the background worker (data: URLs keep the export
+// canvas untainted) and decode them. Returns a Map of emoji name -> ImageBitmap; failed fetches are left out.
+async function loadEmojiImages(emojis, onProgress) {
+  const images = new Map();
+  for (let i = 0; i < emojis.length; i += EMOJI_IMAGE_BATCH_SIZE) {
+    const batch = emojis.slice(i, i + EMOJI_IMAGE_BATCH_SIZE);
+    const dataUrls = await chrome.runtime.sendMessage({ action: 'fetchEmojiImages', urls: batch.map(emoji => emoji.url) });
+    await Promise.all(batch.map(async (emoji, j) => {
+      const dataUrl = dataUrls && dataUrls[j];
+      if (!dataUrl) return;
+      try {
+        const blob = await (await fetch(dataUrl)).blob();
+        images.set(emoji.name, await createImageBitmap(blob));
+      } catch {
+        // Undecodable image: the cell shows the background
+      }
+    }));
+    onProgress(Math.min(emojis.length, i + batch.length), emojis.length);
+  }
+  return images;
+}
+
+// Download the grid shown in the visual preview (the current frame for animations) as a PNG
+async function downloadPng(converter) {
+  const grid = currentGrid;
+  const unique = new Map();
+  for (const row of grid) {
+    for (const emoji of row) {
+      if (emoji && emoji.url && !unique.has(emoji.name)) unique.set(emoji.name, emoji);
+    }
+  }
+
+  const requestedCellSize = parseInt(pngCellSizeInput.value) || 32;
+  let images = null;
+  try {
+    images = await loadEmojiImages([...unique.values()], (done, total) => {
+      showStatus(copyStatus, `Fetching emoji images... ${done}/${total}`, 'info');
+    });
+
+    const { blob, width, height, cellSize } = await converter.renderGridImage(grid, images, {
+      cellSize: requestedCellSize,
+      gap: parseInt(pngGapInput.value) || 0,
+      background: pngTransparentCheckbox.checked ? null : pngBackgroundInput.value
+    }, (progress, message) => showStatus(copyStatus, message, 'info'));
+    downloadBlob(blob, 'slack-pixelart.png');
+
+    const missing = unique.size - images.size;
+    const notes = [];
+    if (cellSize !== requestedCellSize) notes.push(`cell size reduced to ${cellSize}px`);
+    if (missing > 0) notes.push(`${missing} emoji image${missing !== 1 ? 's' : ''} could not be loaded`);
+    showStatus(copyStatus, `Downloaded ${width}×${height} PNG${notes.length ? ` (${notes.join('; ')})` : ''}`, missing > 0 ? 'info' : 'success');
+  } finally {
+    if (images) {
+      for (const image of images.values()) image.close();
+    }
+  }
+}
+
+// Download the result in the selected export format.
+// CSV, HTML and PNG export the grid shown in the visual preview (the current frame for animations).
+downloadBtn.addEventListener('click', async () => {
+  if (!currentResult) {
+    return;
+  }
+
+  const format = exportFormatSelect.value;
+  const converter = new PixelArtConverter(currentEmojis, {});
+  downloadBtn.disabled = true;
+  try {
+    if (format === 'png') {
+      await downloadPng(converter);
+      return;
+    }
+
+    if (format === 'json') {
+      downloadBlob(new Blob([converter.generateJsonExport(currentResult)], { type: 'application/json' }), 'slack-pixelart.json');
+    } else if (format === 'csv') {
+      downloadBlob(new Blob([converter.generateCsvExport(currentGrid)], { type: 'text/csv' }), 'slack-pixelart.csv');
+    } else if (format === 'html') {
+      downloadBlob(new Blob([converter.generateHtmlExport(currentGrid)], { type: 'text/html' }), 'slack-pixelart.html');
+    } else if (format === 'blockkit') {
+      // Art that needs more blocks than one Slack message takes is saved as one payload per message
+      const payloads = converter.generateBlockKitExport(currentResult.messages);
+      if (payloads.length === 1) {
+        downloadBlob(new Blob([payloads[0]], { type: 'application/json' }), 'slack-pixelart-blocks.json');
+      } else {
+        const files = payloads.map((payload, i) => ({ name: `slack-pixelart-blocks-${i + 1}.json`, data: payload }));
+        downloadBlob(createZip(files), 'slack-pixelart-blocks.zip');
+      }
+    } else {
+      // Animations are saved as one block per frame, separated by a blank line
+      const text = currentResult.frames
+        ? currentResult.frames.map(frame => frame.output).join('\n\n')
+        : currentResult.output;
+      downloadBlob(new Blob([text], { type: 'text/plain' }), 'slack-pixelart.txt');
+    }
+
+    showStatus(copyStatus, 'Downloaded!', 'success');
+    setTimeout(() => {
+      copyStatus.style.display = 'none';
+    }, STATUS_MESSAGE_TIMEOUT);
+  } catch (error) {
+    showStatus(copyStatus, 'Error: ' + error.message, 'error');
+  } finally {
+    downloadBtn.disabled = false;
   }
-  
-  generateBtn.disabled = false;
 });
 
-// Copy to clipboard
-copyToClipboardBtn.addEventListener('click', async () => {
-  if (!currentResult) {
+// Copy the next message part and advance, wrapping around after the last one
+copyNextPartBtn.addEventListener('click', () => {
+  if (!currentResult || !currentResult.messages) {
     return;
   }
-  
+  copyMessagePart(nextPartIndex);
+});
+
+async function copyMessagePart(index) {
+  const messages = currentResult.messages;
   try {
-    await navigator.clipboard.writeText(currentResult.output);
-    showStatus(copyStatus, 'Copied to clipboard!', 'success');
+    await navigator.clipboard.writeText(messages[index]);
+    const item = messagePartsList.children[index];
+    if (item) item.classList.add('copied');
+    nextPartIndex = (index + 1) % messages.length;
+    updateCopyNextPartLabel();
+    showStatus(copyStatus, `Copied ${messagePartUnit.toLowerCase()} ${index + 1} of ${messages.length}`, 'success');
     setTimeout(() => {
       copyStatus.style.display = 'none';
     }, STATUS_MESSAGE_TIMEOUT);
   } catch (error) {
     showStatus(copyStatus, 'Failed to copy: ' + error.message, 'error');
   }
-});
+}
 
-// Download as text file
-downloadTextBtn.addEventListener('click', () => {
-  if (!currentResult) {
+function updateCopyNextPartLabel() {
+  const total = currentResult && currentResult.messages ? currentResult.messages.length : 0;
+  copyNextPartBtn.textContent = `Copy ${messagePartUnit} ${nextPartIndex + 1} of ${total}`;
+}
+
+// Show one row per message chunk (or animation frame), each with its own copy button
+function renderMessageParts(messages, unit = 'Part') {
+  messagePartsList.innerHTML = '';
+  nextPartIndex = 0;
+  messagePartUnit = unit;
+
+  if (!messages || messages.length <= 1) {
+    messageParts.style.display = 'none';
     return;
   }
-  
-  const blob = new Blob([currentResult.output], { type: 'text/plain' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = 'slack-pixelart.txt';
-  a.click();
-  URL.revokeObjectURL(url);
-  
-  showStatus(copyStatus, 'Downloaded!', 'success');
-  setTimeout(() => {
-    copyStatus.style.display = 'none';
-  }, STATUS_MESSAGE_TIMEOUT);
-});
+
+  messageParts.style.display = 'block';
+  messagePartsTitle.textContent = unit === 'Frame'
+    ? `${messages.length} Animation Frames`
+    : `${messages.length} Message Parts`;
+
+  messages.forEach((message, index) => {
+    const item = document.createElement('div');
+    item.className = 'message-part';
+
+    const label = document.createElement('span');
+    const rowCount = message.split('\n').length;
+    label.textContent = `${unit} ${index + 1} · ${rowCount} row${rowCount !== 1 ? 's' : ''} · ${message.length.toLocaleString()} chars`;
+    item.appendChild(label);
+
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'btn btn-secondary';
+    copyBtn.textContent = 'Copy';
+    copyBtn.addEventListener('click', () => copyMessagePart(index));
+    item.appendChild(copyBtn);
+
+    messagePartsList.appendChild(item);
+  });
+
+  updateCopyNextPartLabel();
+}
 
 // Helper functions
 function showStatus(element, message, type) {
@@ -1059,14 +2925,20 @@ function checkReadyToGenerate() {
   const hasEmojis = currentEmojis.length > 0;
   const hasImage = currentImageSource !== null;
   generateBtn.disabled = !(hasEmojis && hasImage);
+  checkTilePrefix();
 }
 
 function displayResult(result) {
   // Store the grid for visual preview
   currentGrid = result.grid;
   
-  // Build reference image URL
-  if (currentImageIsUrl) {
+  // Build reference image URL (imported text, banners and standalone captions have no source image)
+  if (result.imported || result.banner || (result.caption && result.caption.position === 'standalone')) {
+    if (referenceImageUrl && referenceImageUrl.startsWith('blob:')) {
+      URL.revokeObjectURL(referenceImageUrl);
+    }
+    referenceImageUrl = null;
+  } else if (currentImageIsUrl) {
     referenceImageUrl = currentImageSource;
   } else if (currentImageSource) {
     if (referenceImageUrl && referenceImageUrl.startsWith('blob:')) {
@@ -1087,7 +2959,14 @@ function displayResult(result) {
   textTabBtn.classList.remove('active');
   visualPreview.style.display = 'flex';
   preview.style.display = 'none';
-  
+
+  renderResultSummary(result);
+  setupAnimation(result.frames);
+  resetEditor();
+}
+
+// Text preview, stats and message parts of a result; re-run after every cell edit
+function renderResultSummary(result) {
   // Display text preview (truncated if too long)
   const lines = result.output.split('\n');
   const previewLines = lines.slice(0, MAX_PREVIEW_LINES);
@@ -1097,18 +2976,639 @@ function displayResult(result) {
   preview.textContent = previewLines.join('\n');
   
   // Display stats
+  const requested = result.requestedDimensions;
+  const art = result.dimensions || result.stats.dimensions; // Excludes caption rows
+  const fittedNote = requested && (requested.width !== art.width || requested.height !== art.height)
+    ? ` (fitted from ${requested.width} × ${requested.height})`
+    : '';
+  const timings = result.stats.timings || {};
+  const timingText = Object.entries(timings).map(([stage, ms]) => `${stage} ${ms.toLocaleString()} ms`).join(' · ');
+  const missing = result.imported ? result.imported.missing : [];
+  const missingHtml = missing.length > 0
+    ? `<div><strong>Not in Cached Emojis:</strong> ${missing.slice(0, 10).map(e => `:${escapeHtml(e.name)}: (${e.count}×)`).join(', ')}${missing.length > 10 ? `, and ${missing.length - 10} more` : ''}</div>`
+    : '';
+  const caption = result.caption;
+  const captionHtml = caption
+    ? `<div><strong>Caption:</strong> ${caption.lines.length} line${caption.lines.length !== 1 ? 's' : ''}${caption.position !== 'standalone' ? ` ${caption.position} the art` : ''}${caption.unsupported.length > 0 ? `; no emoji for ${escapeHtml(caption.unsupported.join(' '))}` : ''}</div>`
+    : '';
+  const palette = result.stats.palette;
+  const paletteHtml = palette && (palette.set || palette.size < palette.total)
+    ? `<div><strong>Palette:</strong> ${palette.size.toLocaleString()} of ${palette.total.toLocaleString()} emojis${palette.set ? ` (set "${escapeHtml(palette.set)}")` : ''}</div>`
+    : '';
+  // Imported results have no conversion settings to share
+  const hasRecipe = Boolean(result.settings && result.settings.width);
   const statsHtml = `
-    <div><strong>Dimensions:</strong> ${result.stats.dimensions.width} × ${result.stats.dimensions.height}</div>
+    <div><strong>Dimensions:</strong> ${result.stats.dimensions.width} × ${result.stats.dimensions.height}${fittedNote}</div>
     <div><strong>Total Emojis:</strong> ${result.stats.totalEmojis.toLocaleString()}</div>
     <div><strong>Unique Emojis:</strong> ${result.stats.uniqueEmojis.toLocaleString()}</div>
     <div><strong>Character Count:</strong> ${result.stats.characterCount.toLocaleString()}</div>
+    ${result.frames ? `<div><strong>Frames:</strong> ${result.stats.frameCount} of ${result.stats.totalFrames}</div>` : ''}
+    ${!result.frames && result.messages && result.messages.length > 1 ? `<div><strong>Messages:</strong> ${result.messages.length}</div>` : ''}
     <div><strong>Emoji Diversity:</strong> ${((result.stats.uniqueEmojis / result.stats.totalEmojis) * 100).toFixed(1)}%</div>
     <div><strong>Top 5 Emojis:</strong></div>
     ${result.stats.topEmojis.map(e => `<div style="margin-left: 20px;">:${escapeHtml(e.name)}: (${e.count}×)</div>`).join('')}
+    ${paletteHtml}
+    ${timingText ? `<div><strong>Timings:</strong> ${timingText}</div>` : ''}
+    ${captionHtml}
+    ${missingHtml}
+    ${hasRecipe ? '<div><strong>Recipe:</strong> <button id="copyRecipe" class="compare-btn" title="Copy a code that restores the settings of this result">Copy Recipe</button></div>' : ''}
   `;
   stats.innerHTML = statsHtml;
+
+  renderMessageParts(result.messages, result.frames ? 'Frame' : 'Part');
+}
+
+// The stats are re-rendered after every edit, so the recipe button is handled here
+stats.addEventListener('click', async (e) => {
+  if (!e.target.closest('#copyRecipe') || !currentResult) return;
+  try {
+    await navigator.clipboard.writeText(encodeRecipe(currentResult.settings));
+    showStatus(copyStatus, 'Recipe copied! Paste it under Advanced Image Controls to restore these settings', 'success');
+  } catch (error) {
+    showStatus(copyStatus, 'Failed to copy: ' + error.message, 'error');
+  }
+});
+
+// Swap the emoji images of the rendered grid in place (same dimensions) without rebuilding the preview
+function updateVisualPreviewCells(grid) {
+  const gridContainer = document.getElementById('emojiGridContainer');
+  if (!gridContainer) return;
+
+  const rows = gridContainer.querySelectorAll('.emoji-row');
+  grid.forEach((row, y) => {
+    const cells = rows[y] ? rows[y].querySelectorAll('.emoji-cell') : [];
+    row.forEach((emoji, x) => {
+      if (cells[x]) updatePreviewCell(cells[x], emoji);
+    });
+  });
+}
+
+// Show an emoji (or nothing) in one preview cell, reusing its <img>
+function updatePreviewCell(cell, emoji) {
+  let img = cell.querySelector('img');
+  const missing = Boolean(emoji && emoji.missing);
+  cell.classList.toggle('missing', missing);
+  cell.title = missing ? `:${emoji.name}: is not in the cached emojis` : '';
+  if (!emoji || !emoji.url) {
+    if (img) img.remove();
+    return;
+  }
+  if (!img) {
+    img = document.createElement('img');
+    img.style.width = cell.style.width;
+    img.style.height = cell.style.height;
+    cell.appendChild(img);
+  }
+  if (img.getAttribute('src') !== emoji.url) {
+    img.src = emoji.url;
+  }
+  img.alt = emoji.name;
+  img.title = `:${emoji.name}:`;
+}
+
+function showAnimationFrame(index) {
+  const frames = currentResult && currentResult.frames;
+  if (!frames || !frames[index]) return;
+
+  animationFrameIndex = index;
+  currentGrid = frames[index].grid;
+  updateVisualPreviewCells(currentGrid);
+  animationFrameLabel.textContent = `Frame ${index + 1} of ${frames.length} (${frames[index].delay}ms)`;
+}
+
+function scheduleNextFrame() {
+  const frames = currentResult && currentResult.frames;
+  if (!animationPlaying || !frames) return;
+
+  animationTimer = setTimeout(() => {
+    showAnimationFrame((animationFrameIndex + 1) % frames.length);
+    scheduleNextFrame();
+  }, frames[animationFrameIndex].delay);
+}
+
+function stopAnimation() {
+  animationPlaying = false;
+  clearTimeout(animationTimer);
+  animationTimer = null;
+}
+
+// Play back animation frames in the visual preview using each frame's GIF delay
+function setupAnimation(frames) {
+  stopAnimation();
+  animationFrameIndex = 0;
+
+  if (!frames || frames.length <= 1) {
+    animationControls.style.display = 'none';
+    return;
+  }
+
+  animationControls.style.display = 'flex';
+  showAnimationFrame(0);
+  animationPlaying = true;
+  playAnimationBtn.textContent = 'Pause';
+  scheduleNextFrame();
+}
+
+playAnimationBtn.addEventListener('click', () => {
+  if (animationPlaying) {
+    stopAnimation();
+    playAnimationBtn.textContent = 'Play';
+  } else {
+    animationPlaying = true;
+    playAnimationBtn.textContent = 'Pause';
+    scheduleNextFrame();
+  }
+});
+
+// -------- Cell editor --------
+// Edits change the shown grid in place. Each edit is one undo step ({ grid, frameIndex, changes });
+// after every step the result's text, message parts and stats are regenerated.
+
+function getEditorConverter() {
+  if (!editorConverter) {
+    editorConverter = new PixelArtConverter(currentEmojis, currentResult.settings || collectConverterOptions());
+  }
+  return editorConverter;
+}
+
+function getPreviewCell(x, y) {
+  const gridContainer = document.getElementById('emojiGridContainer');
+  const row = gridContainer && gridContainer.children[y];
+  return row ? row.children[x] : null;
+}
+
+// Set one cell during an edit, remembering its original emoji the first time it is touched
+function setEditedCell(changes, x, y, emoji) {
+  const key = `${x},${y}`;
+  const before = changes.has(key) ? changes.get(key).before : currentGrid[y][x];
+  changes.set(key, { x, y, before, after: emoji });
+  currentGrid[y][x] = emoji;
+  const cell = getPreviewCell(x, y);
+  if (cell) updatePreviewCell(cell, emoji);
+}
+
+// Record the cells changed by an edit as one undo step; returns how many cells changed
+function finishEdit(changes) {
+  const cellKey = PixelArtConverter.getCellKey;
+  const step = [...changes.values()].filter(change => cellKey(change.before) !== cellKey(change.after));
+  if (step.length === 0) return 0;
+
+  undoStack.push({ grid: currentGrid, frameIndex: animationFrameIndex, changes: step });
+  if (undoStack.length > MAX_UNDO_STEPS) undoStack.shift();
+  redoStack = [];
+  syncEditedResult();
+  return step.length;
+}
+
+function applyEditStep(step, field) {
+  if (currentResult.frames && step.grid !== currentGrid) {
+    stopAnimation();
+    playAnimationBtn.textContent = 'Play';
+    showAnimationFrame(step.frameIndex);
+  }
+  for (const change of step.changes) {
+    step.grid[change.y][change.x] = change[field];
+    const cell = getPreviewCell(change.x, change.y);
+    if (cell) updatePreviewCell(cell, change[field]);
+  }
+  syncEditedResult();
+}
+
+function undoEdit() {
+  const step = undoStack.pop();
+  if (!step) return;
+  redoStack.push(step);
+  applyEditStep(step, 'before');
+}
+
+function redoEdit() {
+  const step = redoStack.pop();
+  if (!step) return;
+  undoStack.push(step);
+  applyEditStep(step, 'after');
+}
+
+// Regenerate output, message parts and stats of the current result from its (edited) grids
+function syncEditedResult() {
+  const converter = getEditorConverter();
+  const result = currentResult;
+  const previousStats = result.stats;
+
+  if (result.frames) {
+    for (const frame of result.frames) {
+      frame.output = converter.generateTextOutput(frame.grid);
+    }
+    result.messages = result.frames.map(frame => frame.output);
+    result.output = result.frames[0].output;
+  } else {
+    result.output = converter.generateTextOutput(result.grid);
+    result.messages = converter.options.multiMessage ? converter.generateMessageChunks(result.grid) : [result.output];
+  }
+
+  result.stats = converter.generateStats(result.grid);
+  result.stats.timings = previousStats.timings;
+  if (result.frames) {
+    result.stats.frameCount = previousStats.frameCount;
+    result.stats.totalFrames = previousStats.totalFrames;
+    result.stats.characterCount = Math.max(...result.frames.map(frame => converter.calculateCharacterCount(frame.grid)));
+  }
+
+  if (result.imported) {
+    const missing = new Map();
+    for (const row of result.grid) {
+      for (const emoji of row) {
+        if (emoji && emoji.missing) missing.set(emoji.name, (missing.get(emoji.name) || 0) + 1);
+      }
+    }
+    result.imported.missing = Array.from(missing.entries())
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  renderResultSummary(result);
+  updateEditorButtons();
+}
+
+function updateEditorButtons() {
+  undoEditBtn.disabled = undoStack.length === 0;
+  redoEditBtn.disabled = redoStack.length === 0;
+  copySelectionBtn.disabled = !selection;
+  pasteSelectionBtn.disabled = !selection || !selectionClipboard;
+}
+
+function updateBrushLabel() {
+  brushEmojiLabel.textContent = '';
+  if (!brushEmoji) {
+    brushEmojiLabel.textContent = 'No brush emoji';
+    return;
+  }
+  if (brushEmoji.url) {
+    const img = document.createElement('img');
+    img.src = brushEmoji.url;
+    img.alt = brushEmoji.name;
+    brushEmojiLabel.appendChild(img);
+  }
+  brushEmojiLabel.appendChild(document.createTextNode(`:${brushEmoji.name}:`));
+}
+
+function setEditorTool(tool) {
+  editorTool = tool;
+  editorToolButtons.forEach(button => button.classList.toggle('active', button.dataset.tool === tool));
+  if (tool !== 'pick') closePicker();
+}
+
+// Highlight the selected rectangle; called again after the preview is re-rendered
+function paintSelection() {
+  const gridContainer = document.getElementById('emojiGridContainer');
+  if (!gridContainer) return;
+  gridContainer.querySelectorAll('.emoji-cell.selected').forEach(cell => cell.classList.remove('selected'));
+  if (!selection) return;
+  for (let y = selection.y0; y <= selection.y1; y++) {
+    for (let x = selection.x0; x <= selection.x1; x++) {
+      const cell = getPreviewCell(x, y);
+      if (cell) cell.classList.add('selected');
+    }
+  }
+}
+
+function paintRegion() {
+  const gridContainer = document.getElementById('emojiGridContainer');
+  if (!gridContainer) return;
+  gridContainer.querySelectorAll('.emoji-cell.in-region').forEach(cell => cell.classList.remove('in-region'));
+  if (!regionMask) return;
+  regionMask.forEach((row, y) => row.forEach((inRegion, x) => {
+    const cell = inRegion ? getPreviewCell(x, y) : null;
+    if (cell) cell.classList.add('in-region');
+  }));
+}
+
+function setRegionCell(x, y, inRegion) {
+  if (!regionMask) {
+    regionMask = currentGrid.map(row => row.map(() => false));
+  }
+  regionMask[y][x] = inRegion;
+  const cell = getPreviewCell(x, y);
+  if (cell) cell.classList.toggle('in-region', inRegion);
+}
+
+// Cells to regenerate: the painted region, or the selected rectangle when nothing is painted
+function getRegionMask() {
+  if (regionMask && regionMask.some(row => row.some(Boolean))) return regionMask;
+  if (!selection) return null;
+  return currentGrid.map((row, y) => row.map((_, x) =>
+    x >= selection.x0 && x <= selection.x1 && y >= selection.y0 && y <= selection.y1));
+}
+
+// Per-region option overrides; blank fields keep the result's settings
+function collectRegionOverrides() {
+  const overrides = {};
+  if (regionDitheringStrengthInput.value !== '') {
+    overrides.ditheringStrength = Math.max(0, Math.min(100, parseInt(regionDitheringStrengthInput.value) || 0));
+  }
+  if (regionTexturePenaltyInput.value !== '') {
+    overrides.texturePenalty = Math.max(0, Math.min(100, parseInt(regionTexturePenaltyInput.value) || 0));
+  }
+  if (regionColorMetricSelect.value) {
+    overrides.colorMetric = regionColorMetricSelect.value;
+  }
+  return overrides;
+}
+
+function setSelection(ax, ay, bx, by) {
+  selection = ax === null ? null : {
+    x0: Math.min(ax, bx),
+    y0: Math.min(ay, by),
+    x1: Math.max(ax, bx),
+    y1: Math.max(ay, by)
+  };
+  paintSelection();
+  updateEditorButtons();
+}
+
+function copySelection() {
+  if (!selection) return;
+  selectionClipboard = currentGrid
+    .slice(selection.y0, selection.y1 + 1)
+    .map(row => row.slice(selection.x0, selection.x1 + 1));
+  showStatus(copyStatus, `Copied ${selectionClipboard[0].length} × ${selectionClipboard.length} cells`, 'success');
+  updateEditorButtons();
+}
+
+// Paste the copied cells with their top-left corner at the selection's, clipped to the grid
+function pasteSelection() {
+  if (!selection || !selectionClipboard) return;
+  const changes = new Map();
+  const height = currentGrid.length;
+  const width = currentGrid[0].length;
+  selectionClipboard.forEach((row, dy) => {
+    row.forEach((emoji, dx) => {
+      const x = selection.x0 + dx;
+      const y = selection.y0 + dy;
+      if (x < width && y < height) setEditedCell(changes, x, y, emoji);
+    });
+  });
+  finishEdit(changes);
+  setSelection(
+    selection.x0,
+    selection.y0,
+    Math.min(width - 1, selection.x0 + selectionClipboard[0].length - 1),
+    Math.min(height - 1, selection.y0 + selectionClipboard.length - 1)
+  );
+}
+
+// Color the picker sorts by: the cell's target color when known, else its current emoji's color
+function getPickerColor() {
+  if (pickerCell) {
+    const { x, y } = pickerCell;
+    const frame = currentResult.frames ? currentResult.frames[animationFrameIndex] : null;
+    const targetColors = frame ? frame.targetColors : currentResult.targetColors;
+    const target = targetColors && targetColors[y] && targetColors[y][x];
+    if (target) return PixelArtConverter.parseHexColor(target);
+    const emoji = currentGrid[y][x];
+    if (emoji && emoji.color) return emoji.color;
+  }
+  return brushEmoji && brushEmoji.color ? brushEmoji.color : { r: 128, g: 128, b: 128 };
+}
+
+function renderPickerList() {
+  pickerList.textContent = '';
+  const ranked = getEditorConverter().rankEmojisByColor(getPickerColor(), pickerSearchInput.value, PICKER_RESULT_LIMIT);
+  for (const { emoji } of ranked) {
+    const button = document.createElement('button');
+    button.title = `:${emoji.name}:`;
+    const img = document.createElement('img');
+    img.src = emoji.url;
+    img.alt = emoji.name;
+    img.loading = 'lazy';
+    button.appendChild(img);
+    button.addEventListener('click', () => choosePickerEmoji(emoji));
+    pickerList.appendChild(button);
+  }
+  if (ranked.length === 0) {
+    pickerList.textContent = 'No matching emojis';
+  }
+}
+
+// Open the picker for a cell, or for the brush emoji when `x` is null
+function openPicker(x, y) {
+  closePicker();
+  pickerCell = x === null ? null : { x, y };
+  const cell = pickerCell ? getPreviewCell(x, y) : null;
+  if (cell) cell.classList.add('picking');
+  cellPicker.style.display = 'block';
+  pickerSearchInput.value = '';
+  renderPickerList();
+  pickerSearchInput.focus();
 }
 
+function closePicker() {
+  if (pickerCell) {
+    const cell = getPreviewCell(pickerCell.x, pickerCell.y);
+    if (cell) cell.classList.remove('picking');
+  }
+  pickerCell = null;
+  cellPicker.style.display = 'none';
+}
+
+function choosePickerEmoji(emoji) {
+  brushEmoji = emoji;
+  updateBrushLabel();
+  if (pickerCell) {
+    const changes = new Map();
+    setEditedCell(changes, pickerCell.x, pickerCell.y, emoji);
+    finishEdit(changes);
+  }
+  closePicker();
+}
+
+// Forget edit history and selection when a new result is shown
+function resetEditor() {
+  undoStack = [];
+  redoStack = [];
+  selection = null;
+  strokeChanges = null;
+  dragStart = null;
+  regionMask = null;
+  regionPaintValue = null;
+  editorConverter = null;
+  closePicker();
+  visualPreview.classList.toggle('editing', editorEnabled);
+  updateBrushLabel();
+  updateEditorButtons();
+}
+
+toggleEditorBtn.addEventListener('click', () => {
+  editorEnabled = !editorEnabled;
+  toggleEditorBtn.classList.toggle('active', editorEnabled);
+  toggleEditorBtn.textContent = editorEnabled ? 'Done Editing' : 'Edit Cells';
+  editorTools.style.display = editorEnabled ? 'flex' : 'none';
+  regionPanel.style.display = editorEnabled ? 'block' : 'none';
+  visualPreview.classList.toggle('editing', editorEnabled);
+  if (editorEnabled) {
+    // Edits apply to the frame on screen, so hold the animation still
+    stopAnimation();
+    playAnimationBtn.textContent = 'Play';
+  } else {
+    closePicker();
+    setSelection(null);
+  }
+});
+
+editorToolButtons.forEach(button => {
+  button.addEventListener('click', () => setEditorTool(button.dataset.tool));
+});
+
+brushEmojiLabel.addEventListener('click', () => openPicker(null));
+pickerSearchInput.addEventListener('input', () => renderPickerList());
+copySelectionBtn.addEventListener('click', copySelection);
+pasteSelectionBtn.addEventListener('click', pasteSelection);
+clearRegionBtn.addEventListener('click', () => {
+  regionMask = null;
+  paintRegion();
+});
+undoEditBtn.addEventListener('click', undoEdit);
+redoEditBtn.addEventListener('click', redoEdit);
+
+visualPreview.addEventListener('mousedown', (e) => {
+  if (!editorEnabled || !currentGrid) return;
+  const cell = e.target.closest('.emoji-cell');
+  if (!cell) return;
+  e.preventDefault();
+  const x = parseInt(cell.dataset.x);
+  const y = parseInt(cell.dataset.y);
+
+  if (editorTool === 'pick') {
+    openPicker(x, y);
+  } else if (editorTool === 'eyedropper') {
+    if (currentGrid[y][x]) {
+      brushEmoji = currentGrid[y][x];
+      updateBrushLabel();
+      setEditorTool('brush');
+    }
+  } else if (editorTool === 'select') {
+    dragStart = { x, y };
+    setSelection(x, y, x, y);
+  } else if (editorTool === 'region') {
+    regionPaintValue = !(regionMask && regionMask[y][x]);
+    setRegionCell(x, y, regionPaintValue);
+  } else if (!brushEmoji) {
+    showStatus(copyStatus, 'Choose a brush emoji first (Eyedropper or click the brush)', 'info');
+  } else if (editorTool === 'fill') {
+    const changes = new Map();
+    for (const [cx, cy] of PixelArtConverter.findConnectedCells(currentGrid, x, y)) {
+      setEditedCell(changes, cx, cy, brushEmoji);
+    }
+    finishEdit(changes);
+  } else if (editorTool === 'brush') {
+    strokeChanges = new Map();
+    setEditedCell(strokeChanges, x, y, brushEmoji);
+  }
+});
+
+visualPreview.addEventListener('mouseover', (e) => {
+  if (!editorEnabled || (!strokeChanges && !dragStart && regionPaintValue === null)) return;
+  const cell = e.target.closest('.emoji-cell');
+  if (!cell) return;
+  const x = parseInt(cell.dataset.x);
+  const y = parseInt(cell.dataset.y);
+  if (strokeChanges) {
+    setEditedCell(strokeChanges, x, y, brushEmoji);
+  } else if (regionPaintValue !== null) {
+    setRegionCell(x, y, regionPaintValue);
+  } else {
+    setSelection(dragStart.x, dragStart.y, x, y);
+  }
+});
+
+// A brush stroke is one undo step, finished wherever the mouse is released
+document.addEventListener('mouseup', () => {
+  if (strokeChanges) {
+    const changes = strokeChanges;
+    strokeChanges = null;
+    finishEdit(changes);
+  }
+  dragStart = null;
+  regionPaintValue = null;
+});
+
+// Re-match the region with its own overrides; the result is one undoable edit
+regenerateRegionBtn.addEventListener('click', async () => {
+  if (!currentGrid) return;
+  const mask = getRegionMask();
+  if (!mask) {
+    showStatus(copyStatus, 'Paint a region or select a rectangle first', 'info');
+    return;
+  }
+
+  const frame = currentResult.frames ? currentResult.frames[animationFrameIndex] : null;
+  const targetColors = frame ? frame.targetColors : currentResult.targetColors;
+  const grid = currentGrid;
+  // Same progress bar and Cancel button as a full generation
+  regenerateRegionBtn.disabled = true;
+  generateBtn.disabled = true;
+  cancelGenerateBtn.style.display = 'flex';
+  progressBar.style.display = 'block';
+  progressFill.style.width = '0%';
+  generateController = new AbortController();
+  try {
+    const options = {
+      ...(currentResult.settings || collectConverterOptions()),
+      ...collectRegionOverrides()
+    };
+    const regenerated = await runConversion(
+      options,
+      (progress, message) => {
+        progressFill.style.width = progress + '%';
+        showStatus(copyStatus, message, 'info');
+      },
+      generateController.signal,
+      { grid, targetColors, mask }
+    );
+    if (grid !== currentGrid) {
+      throw new Error('The preview changed while the region was regenerating');
+    }
+    const changes = new Map();
+    regenerated.forEach((row, y) => row.forEach((emoji, x) => {
+      if (mask[y][x]) setEditedCell(changes, x, y, emoji);
+    }));
+    const changed = finishEdit(changes);
+    showStatus(copyStatus, `Regenerated ${changed} cell${changed !== 1 ? 's' : ''}`, 'success');
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      showStatus(copyStatus, 'Region regeneration cancelled', 'info');
+    } else {
+      showStatus(copyStatus, 'Error: ' + error.message, 'error');
+    }
+  }
+  progressBar.style.display = 'none';
+  generateController = null;
+  cancelGenerateBtn.style.display = 'none';
+  generateBtn.disabled = false;
+  regenerateRegionBtn.disabled = false;
+});
+
+document.addEventListener('keydown', (e) => {
+  if (!editorEnabled || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+  const key = e.key.toLowerCase();
+  const mod = e.ctrlKey || e.metaKey;
+  if (mod && key === 'z') {
+    e.preventDefault();
+    if (e.shiftKey) redoEdit(); else undoEdit();
+  } else if (mod && key === 'y') {
+    e.preventDefault();
+    redoEdit();
+  } else if (mod && key === 'c' && selection) {
+    e.preventDefault();
+    copySelection();
+  } else if (mod && key === 'v' && selectionClipboard) {
+    e.preventDefault();
+    pasteSelection();
+  } else if (key === 'escape') {
+    closePicker();
+    setSelection(null);
+  }
+});
+
 // Comparison mode handlers
 document.getElementById('sideBySideBtn').addEventListener('click', () => {
   comparisonMode = 'side-by-side';
@@ -1132,3 +3632,133 @@ document.getElementById('overlayOpacity').addEventListener('input', (e) => {
     refPane.style.opacity = e.target.value / 100;
   }
 });
+
+// Big emoji tile pack
+
+function readTilePackSettings() {
+  return {
+    prefix: tilePrefixInput.value.trim(),
+    columns: parseInt(tileColumnsInput.value),
+    rows: parseInt(tileRowsInput.value)
+  };
+}
+
+// Validate the prefix and check the tile names against the cached emojis as the user types.
+// Exact name clashes block creation because Slack would reject those uploads.
+function checkTilePrefix() {
+  const { prefix, columns, rows } = readTilePackSettings();
+  let blocked = !currentImageSource;
+
+  if (!prefix) {
+    tilePrefixStatus.className = 'status';
+    blocked = true;
+  } else if (!PixelArtConverter.VALID_EMOJI_NAME.test(prefix)) {
+    showStatus(tilePrefixStatus, 'Use only lowercase letters, numbers, and _ - + \' .', 'error');
+    blocked = true;
+  } else if (!(columns >= 1 && rows >= 1)) {
+    tilePrefixStatus.className = 'status';
+    blocked = true;
+  } else {
+    const { collisions, prefixMatches } = PixelArtConverter.findTileNameCollisions(currentEmojis, prefix, columns, rows);
+    if (collisions.length > 0) {
+      const shown = collisions.slice(0, 3).map(name => `:${name}:`).join(', ');
+      const more = collisions.length > 3 ? ` and ${collisions.length - 3} more` : '';
+      showStatus(tilePrefixStatus, `Already in your workspace: ${shown}${more}. Choose another prefix.`, 'error');
+      blocked = true;
+    } else if (prefixMatches.length > 0) {
+      showStatus(tilePrefixStatus, `${prefixMatches.length} existing emoji${prefixMatches.length !== 1 ? 's' : ''} already start with "${prefix}_"`, 'info');
+    } else if (currentEmojis.length > 0) {
+      showStatus(tilePrefixStatus, `No collisions with ${currentEmojis.length.toLocaleString()} cached emojis`, 'success');
+    } else {
+      showStatus(tilePrefixStatus, 'Extract emojis first to check for name collisions', 'info');
+    }
+  }
+
+  createTilePackBtn.disabled = blocked;
+}
+
+tilePrefixInput.addEventListener('input', checkTilePrefix);
+tileColumnsInput.addEventListener('input', checkTilePrefix);
+tileRowsInput.addEventListener('input', checkTilePrefix);
+
+function renderTilePack(pack) {
+  for (const url of tilePreviewUrls) {
+    URL.revokeObjectURL(url);
+  }
+  tilePreviewUrls = [];
+  tilePackPreview.innerHTML = '';
+  tilePackPreview.style.gridTemplateColumns = `repeat(${pack.dimensions.width}, 32px)`;
+
+  for (const tile of pack.tiles) {
+    const url = URL.createObjectURL(tile.blob);
+    tilePreviewUrls.push(url);
+    const img = document.createElement('img');
+    img.src = url;
+    img.alt = tile.name;
+    img.title = `:${tile.name}:`;
+    tilePackPreview.appendChild(img);
+  }
+
+  tilePackText.textContent = pack.output;
+  tilePackResult.style.display = 'block';
+}
+
+createTilePackBtn.addEventListener('click', async () => {
+  createTilePackBtn.disabled = true;
+  tilePackResult.style.display = 'none';
+
+  try {
+    const converter = new PixelArtConverter(currentEmojis, {});
+    const pack = await converter.createTilePack(
+      currentImageSource,
+      currentImageIsUrl,
+      readTilePackSettings(),
+      (progress, message) => showStatus(tilePackStatus, message, 'info')
+    );
+    currentTilePack = { ...pack, prefix: readTilePackSettings().prefix };
+    renderTilePack(pack);
+    showStatus(tilePackStatus, `Created ${pack.tiles.length} tiles`, 'success');
+  } catch (error) {
+    showStatus(tilePackStatus, 'Error: ' + error.message, 'error');
+  }
+
+  checkTilePrefix();
+});
+
+downloadTilePackBtn.addEventListener('click', async () => {
+  if (!currentTilePack) {
+    return;
+  }
+
+  try {
+    const files = [];
+    for (const tile of currentTilePack.tiles) {
+      files.push({ name: `${tile.name}.png`, data: await tile.blob.arrayBuffer() });
+    }
+    files.push({ name: `${currentTilePack.prefix}.txt`, data: currentTilePack.output + '\n' });
+
+    const url = URL.createObjectURL(createZip(files));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${currentTilePack.prefix}-tiles.zip`;
+    a.click();
+    URL.revokeObjectURL(url);
+
+    showStatus(tilePackStatus, 'Downloaded!', 'success');
+  } catch (error) {
+    showStatus(tilePackStatus, 'Failed to create zip: ' + error.message, 'error');
+  }
+});
+
+copyTilePackTextBtn.addEventListener('click', async () => {
+  if (!currentTilePack) {
+    return;
+  }
+
+  try {
+    await navigator.clipboard.writeText(currentTilePack.output);
+    showStatus(tilePackStatus, 'Copied to clipboard!', 'success');
+  } catch (error) {
+    showStatus(tilePackStatus, 'Failed to copy: ' + error.message, 'error');
+  }
+});